@@ -1,14 +1,25 @@
 import { APP_CONFIG } from "./config.js";
-import { ChainDirectory, HasuraClient } from "./core.js";
-import { AliasStore, QueryCoordinator, ResultsView, ToastQueue } from "./ui.js";
+import { buildHasuraAuthHeaders, ChainDirectory, HasuraClient } from "./core.js";
+import { QueryCache } from "./queryCache.js";
+import { SnapshotClient } from "./snapshot/SnapshotClient.js";
+import { AliasStore, ConnectionStore, QueryCoordinator, ResultsView, ToastQueue } from "./ui.js";
+import { getAddressCodec } from "./utils/AddressCodecs.js";
 import { AddressUtils } from "./utils/AddressUtils.js";
 
 class DashboardApp {
   constructor() {
-    this.client = new HasuraClient();
+    this.connectionStore = new ConnectionStore();
+    this.toastQueue = new ToastQueue();
+    this.client = APP_CONFIG.SNAPSHOT_URL
+      ? new SnapshotClient(APP_CONFIG.SNAPSHOT_URL)
+      : new HasuraClient(this.connectionStore.getActiveEndpoint(), {
+          authHeaders: (endpoint) => buildHasuraAuthHeaders(this.connectionStore.get(endpoint)),
+          onAuthError: (error) => this.reportAuthError(error),
+          cache: new QueryCache(),
+        });
     this.chainDirectory = new ChainDirectory();
     this.aliasStore = new AliasStore();
-    this.toastQueue = new ToastQueue();
+    this.lastAuthErrorAt = 0;
 
     this.dom = {
       title: document.getElementById("results-title"),
@@ -20,6 +31,9 @@ class DashboardApp {
       aliasModal: document.getElementById("alias-editor"),
       aliasForm: document.getElementById("alias-editor-form"),
       aliasTitle: document.getElementById("alias-editor-title"),
+      connectionButton: document.getElementById("open-connection"),
+      connectionModal: document.getElementById("connection-settings"),
+      connectionForm: document.getElementById("connection-settings-form"),
     };
     this.aliasFields = {
       id: this.dom.aliasForm?.querySelector('input[name="oappId"]') ?? null,
@@ -55,6 +69,11 @@ class DashboardApp {
 
     console.log("[DashboardApp] Metadata ready");
 
+    // The manifest anchors time windows, so it must load before any card runs
+    if (this.client instanceof SnapshotClient) {
+      await this.announceSnapshot();
+    }
+
     this.setupQueryCards();
     this.setupQuickCrawlButtons();
     this.registerGlobalHandlers();
@@ -62,6 +81,25 @@ class DashboardApp {
     console.log("[DashboardApp] Ready");
   }
 
+  async announceSnapshot() {
+    // Snapshots have no credentials to manage
+    if (this.dom.connectionButton) {
+      this.dom.connectionButton.style.display = "none";
+    }
+
+    try {
+      const manifest = await this.client.loadManifest();
+      const generatedAt = new Date(manifest.generatedAt);
+      const label = Number.isNaN(generatedAt.getTime())
+        ? "unknown date"
+        : generatedAt.toLocaleString();
+      this.toastQueue.show(`Offline snapshot from ${label}`, "success");
+    } catch (error) {
+      console.error("[DashboardApp] Failed to load snapshot manifest", error);
+      this.toastQueue.show(error.message, "error");
+    }
+  }
+
   setupQuickCrawlButtons() {
     const container = document.getElementById("quick-crawl-buttons");
     const section = document.getElementById("quick-crawl-section");
@@ -143,6 +181,24 @@ class DashboardApp {
       };
 
       runButton?.addEventListener("click", runQuery);
+
+      const liveToggle = card.querySelector("[data-live-toggle]");
+      if (liveToggle && !this.client.supportsSubscriptions) {
+        liveToggle.closest("label").style.display = "none";
+      }
+      liveToggle?.addEventListener("change", () => {
+        this.queryCoordinator
+          .setLive(key, card, statusEl, liveToggle.checked, {
+            onStop: () => {
+              liveToggle.checked = false;
+            },
+          })
+          .catch((error) => {
+            console.error(`[DashboardApp] Live mode failed: ${key}`, error);
+            liveToggle.checked = false;
+            this.toastQueue.show(error.message, "error");
+          });
+      });
       form?.addEventListener("submit", (event) => {
         event.preventDefault();
         runQuery();
@@ -189,6 +245,20 @@ class DashboardApp {
       this.handleAliasDoubleClick(event);
     });
 
+    document.addEventListener("query:refresh", (event) => {
+      const key = event?.detail?.queryKey;
+      const card = key ? document.querySelector(`[data-query-key="${key}"]`) : null;
+      if (!card) {
+        return;
+      }
+      this.queryCoordinator
+        .runQuery(key, card, card.querySelector("[data-status]"), { refresh: true })
+        .catch((error) => {
+          console.error(`[DashboardApp] Refresh failed: ${key}`, error);
+          this.toastQueue.show(error.message, "error");
+        });
+    });
+
     document.addEventListener("alias:rename-all", (event) => {
       const detail = event?.detail;
       if (!detail) {
@@ -214,10 +284,34 @@ class DashboardApp {
       });
     });
 
+    this.dom.connectionButton?.addEventListener("click", () => {
+      this.openConnectionModal();
+    });
+
+    this.dom.connectionForm?.addEventListener("submit", (event) => {
+      this.handleConnectionSubmit(event);
+    });
+
+    this.dom.connectionForm?.addEventListener("click", (event) => {
+      this.handleConnectionFormClick(event);
+    });
+
+    this.dom.connectionModal?.addEventListener("click", (event) => {
+      if (event.target === this.dom.connectionModal) {
+        this.closeConnectionModal();
+      }
+    });
+
     document.addEventListener("keydown", (event) => {
-      if (event.key === "Escape" && !this.dom.aliasModal?.classList.contains("hidden")) {
+      if (event.key !== "Escape") {
+        return;
+      }
+      if (!this.dom.aliasModal?.classList.contains("hidden")) {
         event.preventDefault();
         this.closeAliasModal();
+      } else if (!this.dom.connectionModal?.classList.contains("hidden")) {
+        event.preventDefault();
+        this.closeConnectionModal();
       }
     });
 
@@ -228,6 +322,101 @@ class DashboardApp {
     });
   }
 
+  reportAuthError(error) {
+    // A crawl fans out many requests; one toast per burst of rejections is enough
+    const now = Date.now();
+    if (now - this.lastAuthErrorAt < APP_CONFIG.FEEDBACK.TOAST_DURATION) {
+      return;
+    }
+    this.lastAuthErrorAt = now;
+
+    const reason =
+      error.status === 401
+        ? "401 Unauthorized"
+        : error.status === 403
+          ? "403 Forbidden"
+          : error.code || "access denied";
+    const hint = this.connectionStore.hasCredentials(error.endpoint)
+      ? "Check the saved credentials in Connection."
+      : "Add credentials in Connection.";
+    this.toastQueue.show(`${error.endpoint} rejected the request (${reason}). ${hint}`, "error");
+  }
+
+  openConnectionModal() {
+    const form = this.dom.connectionForm;
+    if (!this.dom.connectionModal || !form) return;
+
+    const endpoint = this.client.endpoint;
+    const credentials = this.connectionStore.get(endpoint) ?? {};
+    form.elements.endpoint.value = endpoint;
+    form.elements.adminSecret.value = credentials.adminSecret ?? "";
+    form.elements.role.value = credentials.role ?? "";
+    form.elements.bearerToken.value = credentials.bearerToken ?? "";
+
+    this.dom.connectionModal.classList.remove("hidden");
+    queueMicrotask(() => {
+      form.elements.endpoint.focus();
+    });
+  }
+
+  closeConnectionModal() {
+    if (!this.dom.connectionModal || !this.dom.connectionForm) return;
+
+    this.dom.connectionModal.classList.add("hidden");
+    this.dom.connectionForm.reset();
+  }
+
+  handleConnectionSubmit(event) {
+    event.preventDefault();
+    const form = this.dom.connectionForm;
+    if (!form) return;
+
+    const endpoint = this.connectionStore.save(form.elements.endpoint.value, {
+      adminSecret: form.elements.adminSecret.value,
+      role: form.elements.role.value,
+      bearerToken: form.elements.bearerToken.value,
+    });
+    this.queryCoordinator.stopLive();
+    this.client.setEndpoint(endpoint);
+    this.closeConnectionModal();
+    this.toastQueue.show(
+      this.connectionStore.hasCredentials(endpoint)
+        ? `Connected to ${endpoint} with credentials`
+        : `Connected to ${endpoint}`,
+      "success",
+    );
+  }
+
+  handleConnectionFormClick(event) {
+    if (!(event.target instanceof HTMLButtonElement)) return;
+
+    const action = event.target.dataset.action;
+    if (!action) {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (action === "cancel") {
+      this.closeConnectionModal();
+    } else if (action === "clear") {
+      const form = this.dom.connectionForm;
+      const endpoint = form?.elements.endpoint.value.trim() || this.client.endpoint;
+      const removed = this.connectionStore.clear(endpoint);
+      // Also drops anything cached under those credentials
+      this.client.cache?.clear();
+      if (form) {
+        form.elements.adminSecret.value = "";
+        form.elements.role.value = "";
+        form.elements.bearerToken.value = "";
+      }
+      this.toastQueue.show(
+        removed ? `Cleared credentials for ${endpoint}` : "No saved credentials",
+        "info",
+      );
+    }
+  }
+
   handleAliasDoubleClick(event) {
     const container = event.target.closest(".copyable[data-oapp-id]");
     if (!container || !this.dom.body.contains(container)) {
@@ -404,7 +593,8 @@ class DashboardApp {
       if (parts.length < 2) return;
 
       const addr = parts[parts.length - 1].toLowerCase();
-      if (!addr.startsWith("0x") || zeroAddrs.has(addr)) return;
+      const isNative = getAddressCodec(parts[0]) !== "evm";
+      if ((!isNative && !addr.startsWith("0x")) || zeroAddrs.has(addr)) return;
 
       seen.add(trimmed);
       result.push(trimmed);
@@ -4,6 +4,12 @@ export const APP_CONFIG = Object.freeze({
     document.documentElement.dataset.graphqlEndpoint ||
     "http://localhost:8080/v1/graphql",
 
+  // Base URL of an exported snapshot (scripts/exportSnapshot.js); replaces the endpoint when set
+  SNAPSHOT_URL:
+    new URLSearchParams(window.location.search).get("snapshot") ||
+    document.documentElement.dataset.snapshot ||
+    null,
+
   ADDRESSES: Object.freeze({
     DEAD: "0x000000000000000000000000000000000000dead",
     ZERO: "0x0000000000000000000000000000000000000000",
@@ -30,6 +36,38 @@ export const APP_CONFIG = Object.freeze({
     BATCH_SIZE: 16,
   }),
 
+  REQUESTS: Object.freeze({
+    TIMEOUT_MS: 30000,
+    MAX_RETRIES: 3,
+    RETRY_BASE_DELAY_MS: 500,
+    RETRY_MAX_DELAY_MS: 8000,
+  }),
+
+  CACHE: Object.freeze({
+    DB_NAME: "dashboard-query-cache",
+    DEFAULT_TTL_MS: 5 * 60 * 1000,
+    // LRU cap for entries kept in memory (credentialed responses, or no IndexedDB)
+    MEMORY_MAX_ENTRIES: 200,
+    // Keyed by GraphQL operation name; 0 disables caching for that operation
+    TTL_MS: Object.freeze({
+      TopOApps: 10 * 60 * 1000,
+      PopularOAppsWindow: 10 * 60 * 1000,
+      PopularOAppsDaily: 30 * 60 * 1000,
+      PopularOAppsRouteDaily: 30 * 60 * 1000,
+      DvnUsage: 10 * 60 * 1000,
+      CurrentSecurityConfig: 5 * 60 * 1000,
+      SecurityConfigTimeline: 5 * 60 * 1000,
+      PacketAnomalyFeed: 2 * 60 * 1000,
+      // Per-OApp crawl slices, see CrawlerDataLoader
+      GetSecurityConfigBatch: 15 * 60 * 1000,
+    }),
+  }),
+
+  LIVE: Object.freeze({
+    // Floor between refetches triggered by subscription updates
+    MIN_REFRESH_MS: 5000,
+  }),
+
   FEEDBACK: Object.freeze({
     TOAST_DURATION: 1600,
     MAX_TOASTS: 6,
@@ -41,6 +79,8 @@ export const APP_CONFIG = Object.freeze({
     MIN_RESULT_LIMIT: 1,
     MAX_RESULT_LIMIT: 200,
     MAX_FETCH_LIMIT: 200000,
+    // OApp-day buckets per request while Hot OApps pages through a day window
+    DAILY_BUCKET_PAGE_SIZE: 5000,
     MIN_YEAR: 1,
     MAX_YEAR: 365,
   }),
@@ -52,10 +92,19 @@ export const APP_CONFIG = Object.freeze({
 
   STORAGE_KEYS: Object.freeze({
     OAPP_ALIASES: "dashboard:oappAliases",
+    // Session-scoped so secrets are dropped when the tab closes
+    CONNECTION: "dashboard:connection",
+  }),
+
+  RATE_LIMITS: Object.freeze({
+    // Routes without a limit are flagged once they carry this share of the OApp's sent volume
+    HIGH_VOLUME_SHARE: 0.1,
+    USAGE_HISTORY_DAYS: 7,
   }),
 
   SENTINEL_VALUES: Object.freeze({
     REQUIRED_DVN_SENTINEL: 255,
+    OPTIONAL_DVN_SENTINEL: 255,
     CONFIRMATIONS_SENTINEL: "18446744073709551615",
   }),
 
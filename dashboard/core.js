@@ -1,33 +1,350 @@
 import { APP_CONFIG } from "./config.js";
+import { hashString, resolveCacheTtl, stableStringify } from "./queryCache.js";
+import { SubscriptionTransport, toWebSocketUrl } from "./subscriptions.js";
 import { AddressUtils } from "./utils/AddressUtils.js";
 import { resolveChainDisplayLabel as _resolveChainDisplayLabel } from "./utils/ChainUtils.js";
 
+// Hasura reports rejected credentials as GraphQL errors on a 200 response
+const HASURA_AUTH_ERROR_CODES = new Set([
+  "access-denied",
+  "invalid-headers",
+  "invalid-jwt",
+  "jwt-invalid-claims",
+  "jwt-missing-role-claims",
+]);
+
+const RETRYABLE_HTTP_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Hasura surfaces dropped Postgres connections and statement timeouts under these codes
+const RETRYABLE_GRAPHQL_CODES = new Set(["postgres-error", "unexpected"]);
+
+export class GraphQLRequestError extends Error {
+  constructor(
+    message,
+    { endpoint, status = null, code = null, retryable = false, retryAfterMs = null } = {},
+  ) {
+    super(message);
+    this.name = "GraphQLRequestError";
+    this.endpoint = endpoint;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get isAuthError() {
+    return this.status === 401 || this.status === 403 || HASURA_AUTH_ERROR_CODES.has(this.code);
+  }
+}
+
+/**
+ * Maps stored connection credentials onto Hasura's auth headers. An admin secret may be
+ * combined with a role to query as that role; a JWT carries its own role claims.
+ */
+export function buildHasuraAuthHeaders(credentials) {
+  const headers = {};
+  const adminSecret = credentials?.adminSecret?.trim();
+  const role = credentials?.role?.trim();
+  const bearerToken = credentials?.bearerToken?.trim();
+
+  if (adminSecret) {
+    headers["x-hasura-admin-secret"] = adminSecret;
+  }
+  if (role) {
+    headers["x-hasura-role"] = role;
+  }
+  if (bearerToken) {
+    headers.Authorization = /^bearer\s/i.test(bearerToken) ? bearerToken : `Bearer ${bearerToken}`;
+  }
+  return headers;
+}
+
+function abortReason(signal) {
+  return signal.reason ?? new DOMException("The operation was aborted.", "AbortError");
+}
+
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function parseRetryAfter(response) {
+  const header = response.headers.get("Retry-After");
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
 export class HasuraClient {
-  constructor(endpoint = APP_CONFIG.GRAPHQL_ENDPOINT) {
+  /**
+   * @param {string} endpoint
+   * @param {object} [options]
+   * @param {(endpoint: string) => Record<string, string>} [options.authHeaders] extra headers per request
+   * @param {(error: GraphQLRequestError) => void} [options.onAuthError] called before auth failures are thrown
+   * @param {number} [options.timeoutMs] per-attempt timeout
+   * @param {number} [options.maxRetries] retries after the first attempt for retryable failures
+   * @param {import("./queryCache.js").QueryCache} [options.cache] response cache, see APP_CONFIG.CACHE
+   */
+  constructor(
+    endpoint = APP_CONFIG.GRAPHQL_ENDPOINT,
+    {
+      authHeaders = null,
+      onAuthError = null,
+      timeoutMs = APP_CONFIG.REQUESTS.TIMEOUT_MS,
+      maxRetries = APP_CONFIG.REQUESTS.MAX_RETRIES,
+      cache = null,
+    } = {},
+  ) {
     this.endpoint = endpoint;
     this.headers = {
       "Content-Type": "application/json",
     };
+    this.authHeaders = authHeaders;
+    this.onAuthError = onAuthError;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.cache = cache;
+    this.supportsSubscriptions = true;
+    this.transport = null;
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  setEndpoint(endpoint) {
+    this.endpoint = endpoint || APP_CONFIG.GRAPHQL_ENDPOINT;
+    this.transport?.close();
+    this.transport = null;
   }
 
-  async query(query, variables = {}) {
-    const response = await fetch(this.endpoint, {
-      method: "POST",
-      headers: this.headers,
-      body: JSON.stringify({ query, variables }),
+  buildAuthHeaders() {
+    const extra = typeof this.authHeaders === "function" ? this.authHeaders(this.endpoint) : null;
+    return extra || {};
+  }
+
+  buildHeaders() {
+    return { ...this.buildAuthHeaders(), ...this.headers };
+  }
+
+  /**
+   * Starts a Hasura live query over the endpoint's websocket. `next` receives each
+   * result as it changes; `error` receives a GraphQLRequestError once the subscription
+   * has ended, with auth failures also routed through `onAuthError`.
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(query, variables, { next, error }) {
+    const url = toWebSocketUrl(this.endpoint);
+    if (this.transport?.url !== url) {
+      this.transport?.close();
+      this.transport = new SubscriptionTransport(url, {
+        connectionParams: () => ({ headers: this.buildAuthHeaders() }),
+      });
+    }
+
+    const endpoint = this.endpoint;
+    return this.transport.subscribe(query, variables, {
+      next,
+      error: (cause) => {
+        const status = cause.code === 4401 ? 401 : cause.code === 4403 ? 403 : null;
+        const code = typeof cause.code === "string" ? cause.code : null;
+        error(this.reportError(new GraphQLRequestError(cause.message, { endpoint, status, code })));
+      },
     });
+  }
 
-    if (!response.ok) {
-      throw new Error(`GraphQL request failed: ${response.status} ${response.statusText}`);
+  /**
+   * Scopes cache keys to the endpoint and the credentials in use, since roles can see
+   * different rows. Credentials only enter the key hashed.
+   */
+  cacheScope() {
+    return `${this.endpoint}#${hashString(stableStringify(this.buildAuthHeaders()))}`;
+  }
+
+  /**
+   * Responses fetched with credentials stay in memory only: the credentials themselves
+   * are session-scoped (see ConnectionStore), so what they unlock must not outlive it.
+   */
+  cacheOptions() {
+    return { persist: Object.keys(this.buildAuthHeaders()).length === 0 };
+  }
+
+  buildCacheKey(query, variables) {
+    return `${this.cacheScope()}|${hashString(query)}|${stableStringify(variables)}`;
+  }
+
+  /**
+   * Serves `query` from the cache while its entry is younger than the operation's TTL,
+   * otherwise fetches and stores it. `refresh` skips the read but still stores the
+   * fresh response; `cache: false` bypasses the cache entirely. `onCacheHit` receives
+   * the hit entry's `storedAt` timestamp.
+   */
+  async query(query, variables = {}, options = {}) {
+    const { cache = true, refresh = false, onCacheHit = null, signal = null } = options;
+    const ttl = this.cache && cache ? resolveCacheTtl(query) : 0;
+    if (!(ttl > 0)) {
+      return this.fetchWithRetry(query, variables, options);
+    }
+
+    const key = this.buildCacheKey(query, variables);
+    const cacheOptions = this.cacheOptions();
+    if (!refresh) {
+      const hit = await this.cache.get(key, cacheOptions);
+      signal?.throwIfAborted();
+      if (hit) {
+        onCacheHit?.(hit.storedAt);
+        return hit.value;
+      }
+    }
+
+    const data = await this.fetchWithRetry(query, variables, options);
+    await this.cache.set(key, data, ttl, cacheOptions);
+    return data;
+  }
+
+  /**
+   * Runs a query, retrying timeouts, dropped connections and retryable HTTP/GraphQL
+   * failures with exponential backoff. Aborting `signal` cancels the in-flight attempt
+   * or pending backoff and rejects with an AbortError.
+   */
+  async fetchWithRetry(query, variables = {}, options = {}) {
+    const { signal = null, timeoutMs = this.timeoutMs, maxRetries = this.maxRetries } = options;
+    const endpoint = this.endpoint;
+    const body = JSON.stringify({ query, variables });
+
+    for (let attempt = 0; ; attempt += 1) {
+      signal?.throwIfAborted();
+
+      let error;
+      try {
+        return await this.attempt(endpoint, body, { signal, timeoutMs });
+      } catch (caught) {
+        if (signal?.aborted || !(caught instanceof GraphQLRequestError)) {
+          throw caught;
+        }
+        error = caught;
+      }
+
+      if (!error.retryable || attempt >= maxRetries) {
+        throw this.reportError(error);
+      }
+
+      const backoff = Math.min(
+        APP_CONFIG.REQUESTS.RETRY_MAX_DELAY_MS,
+        APP_CONFIG.REQUESTS.RETRY_BASE_DELAY_MS * 2 ** attempt,
+      );
+      // Full jitter keeps a crawl's parallel batches from retrying in lockstep
+      const delay =
+        error.retryAfterMs !== null
+          ? Math.min(error.retryAfterMs, APP_CONFIG.REQUESTS.RETRY_MAX_DELAY_MS)
+          : Math.round(Math.random() * backoff);
+      console.warn(
+        `[HasuraClient] ${error.message}; retry ${attempt + 1}/${maxRetries} in ${delay} ms`,
+      );
+      await sleep(delay, signal);
     }
+  }
 
-    const payload = await response.json();
-    if (Array.isArray(payload.errors) && payload.errors.length > 0) {
-      const message = payload.errors.map((error) => error.message || "Unknown error").join("; ");
-      throw new Error(message);
+  async attempt(endpoint, body, { signal, timeoutMs }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const onAbort = () => controller.abort(abortReason(signal));
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const timer =
+      timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeoutMs)
+        : null;
+
+    try {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: this.buildHeaders(),
+        body,
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const reason =
+          response.status === 401 || response.status === 403
+            ? "check the connection credentials"
+            : response.statusText;
+        throw new GraphQLRequestError(`GraphQL request failed: ${response.status} ${reason}`, {
+          endpoint,
+          status: response.status,
+          retryable: RETRYABLE_HTTP_STATUSES.has(response.status),
+          retryAfterMs: parseRetryAfter(response),
+        });
+      }
+
+      const payload = await response.json();
+      if (Array.isArray(payload.errors) && payload.errors.length > 0) {
+        const message = payload.errors.map((error) => error.message || "Unknown error").join("; ");
+        const code = payload.errors[0]?.extensions?.code ?? null;
+        throw new GraphQLRequestError(message, {
+          endpoint,
+          status: response.status,
+          code,
+          retryable: RETRYABLE_GRAPHQL_CODES.has(code),
+        });
+      }
+
+      return payload.data;
+    } catch (error) {
+      if (timedOut) {
+        throw new GraphQLRequestError(`GraphQL request timed out after ${timeoutMs} ms`, {
+          endpoint,
+          code: "timeout",
+          retryable: true,
+        });
+      }
+      // fetch rejects with a TypeError for network failures such as a reset connection
+      if (error instanceof TypeError) {
+        throw new GraphQLRequestError(`GraphQL request failed: ${error.message}`, {
+          endpoint,
+          code: "network",
+          retryable: true,
+        });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
     }
+  }
 
-    return payload.data;
+  reportError(error) {
+    if (error.isAuthError && typeof this.onAuthError === "function") {
+      try {
+        this.onAuthError(error);
+      } catch (callbackError) {
+        console.warn("[HasuraClient] Auth error callback failed", callbackError);
+      }
+    }
+    return error;
   }
 }
 
@@ -13,6 +13,7 @@ import { normalizeSecurityConfig } from "./security/SecurityConfigNormalizer.js"
 import { AddressUtils } from "./utils/AddressUtils.js";
 import { resolveDvnLabels } from "./utils/DvnUtils.js";
 import { createRouteStatsMap } from "./utils/MetricsUtils.js";
+import { rawAmountShare, sumRawAmounts } from "./utils/NumberUtils.js";
 
 const sanitizePeerOAppId = (value) => {
   if (!value) {
@@ -37,6 +38,8 @@ export class SecurityGraphCrawler {
   async crawl(seedOAppId, options = {}) {
     const maxDepth = options.depth || APP_CONFIG.CRAWLER.DEFAULT_DEPTH;
     const onProgress = options.onProgress || (() => {});
+    const queryOptions = options.queryOptions ?? {};
+    const signal = queryOptions.signal ?? null;
     const batchSize = APP_CONFIG.CRAWLER.BATCH_SIZE || 16;
 
     onProgress("Initializing...");
@@ -68,8 +71,9 @@ export class SecurityGraphCrawler {
 
       if (!batch.length) continue;
 
+      signal?.throwIfAborted();
       const batchIds = batch.map((item) => item.oappId);
-      const batchData = await this.loader.fetchBatch(batchIds);
+      const batchData = await this.loader.fetchBatch(batchIds, queryOptions);
 
       for (const { oappId, depth } of batch) {
         if (visited.has(oappId)) continue;
@@ -81,6 +85,8 @@ export class SecurityGraphCrawler {
         const configs = batchData.origin.get(oappId) ?? [];
         const inboundConfigs = batchData.referencing.get(oappId) ?? [];
         const oapp = batchData.oapps.get(oappId) ?? null;
+        const delegateRecord = batchData.delegates.get(oappId) ?? null;
+        const ownerRecord = batchData.owners.get(oappId) ?? null;
 
         const { localEid: fallbackLocalEid, address: fallbackAddress } = splitOAppId(oappId);
         const resolvedLocalEid =
@@ -105,6 +111,7 @@ export class SecurityGraphCrawler {
         const oappLibraries = batchData.oappLibraries.get(oappId) ?? [];
         const oappConfigs = batchData.oappConfigs.get(oappId) ?? [];
         const routeStatsRaw = batchData.routeStats.get(oappId) ?? [];
+        const routeVolumes = batchData.routeVolumes.get(oappId) ?? new Map();
 
         const { routeStatsMap, totalRoutePackets } = createRouteStatsMap(
           routeStatsRaw,
@@ -131,14 +138,23 @@ export class SecurityGraphCrawler {
         const totalPacketsReceived =
           Number.isFinite(totalPacketsValue) && totalPacketsValue > 0 ? totalPacketsValue : 0;
 
+        const totalReceivedVolume = sumRawAmounts(
+          Array.from(routeVolumes.values()).map((volume) => volume.receivedAmount),
+        );
+
         const node = {
           id: oappId,
           localEid,
           address: resolvedAddress,
           totalPacketsReceived,
           totalRoutePackets,
+          totalReceivedVolume,
           isTracked: configs.length > 0,
           fromPacketDelivered,
+          delegate: delegateRecord?.delegate ?? null,
+          delegateKind: delegateRecord?.delegateKind ?? null,
+          owner: ownerRecord?.owner ?? null,
+          ownerKind: ownerRecord?.ownerKind ?? null,
           depth,
           securityConfigs: [],
           securitySummary,
@@ -167,6 +183,7 @@ export class SecurityGraphCrawler {
 
           const peerDetails = buildPeerInfo(cfg);
           const routeMetric = cfgSrcEid ? routeStatsMap.get(cfgSrcEid) : null;
+          const routeVolume = cfgSrcEid ? routeVolumes.get(cfgSrcEid) : null;
 
           const securityEntry = {
             id: cfg.id ?? null,
@@ -179,8 +196,16 @@ export class SecurityGraphCrawler {
             optionalDVNs,
             optionalDVNLabels,
             optionalDVNThreshold: cfg?.effectiveOptionalDVNThreshold ?? 0,
+            confirmations: cfg?.effectiveConfirmations ?? null,
             usesRequiredDVNSentinel: cfg?.usesRequiredDVNSentinel ?? false,
+            usesOptionalDVNSentinel: cfg?.usesOptionalDVNSentinel ?? false,
+            usesConfirmationsSentinel: cfg?.usesConfirmationsSentinel ?? false,
             libraryStatus: cfg?.libraryStatus ?? "unknown",
+            gracePeriodLibrary: cfg?.gracePeriodLibrary ?? null,
+            gracePeriodExpiry: cfg?.gracePeriodExpiry ?? null,
+            gracePeriodLibraryStatus: cfg?.gracePeriodLibraryStatus ?? null,
+            gracePeriodIsWeaker: Boolean(cfg?.gracePeriodIsWeaker),
+            lastComputedBlock: cfg?.lastComputedBlock ?? null,
             peer: cfg?.peer ?? null,
             peerStateHint: cfg?.peerStateHint ?? null,
             peerOAppId: peerDetails?.oappId ?? null,
@@ -194,6 +219,13 @@ export class SecurityGraphCrawler {
             routePacketPercent: routeMetric?.percent ?? 0,
             routeLastPacketBlock: routeMetric?.lastPacketBlock ?? null,
             routeLastPacketTimestamp: routeMetric?.lastPacketTimestamp ?? null,
+            routeReceivedVolume: routeVolume?.receivedAmount ?? "0",
+            routeReceivedTransfers: Number(routeVolume?.receivedCount ?? 0),
+            // Share of this OApp's received value; raw amounts differ in decimals across tokens
+            routeReceivedVolumeShare: rawAmountShare(
+              routeVolume?.receivedAmount,
+              totalReceivedVolume,
+            ),
             attachedCandidate: false,
             unresolvedPeer:
               !peerDetails?.oappId && !(peerDetails && peerDetails.isZeroPeer) && !cfg.peerOappId,
@@ -1,5 +1,6 @@
 import { APP_CONFIG } from "../config.js";
 import { AddressUtils } from "../utils/AddressUtils.js";
+import { formatRawAmount } from "../utils/NumberUtils.js";
 import { describeCombination } from "./utils.js";
 
 export class EdgeRenderer {
@@ -241,6 +242,9 @@ export class EdgeRenderer {
     line.setAttribute("y2", toPos.y);
     line.setAttribute("data-edge-from", info.edge.from);
     line.setAttribute("data-edge-to", info.edge.to);
+    if (info.pairDifferences?.length) {
+      line.setAttribute("data-pair-asymmetric", "true");
+    }
     Object.assign(line.style, { cursor: "pointer" });
 
     Object.entries(style).forEach(([key, value]) => {
@@ -291,8 +295,11 @@ export class EdgeRenderer {
         ? APP_CONFIG.GRAPH_COLORS.EDGE_WEAK
         : APP_CONFIG.GRAPH_COLORS.EDGE_NORMAL;
 
+    // OFT value share of the receiving OApp where the route moved any; packets otherwise
     let trafficStrength = 0;
-    if (typeof info.packetStrength === "number") {
+    if (info.volumeShare > 0) {
+      trafficStrength = info.volumeShare;
+    } else if (typeof info.packetStrength === "number") {
       trafficStrength = info.packetStrength;
     } else if (maxEdgePacketCount > 0 && typeof info.packetCount === "number") {
       trafficStrength = info.packetCount / maxEdgePacketCount;
@@ -327,6 +334,8 @@ export class EdgeRenderer {
       optionalDVNCount,
       optionalDVNThreshold,
       usesSentinel,
+      usesOptionalDVNSentinel,
+      usesConfirmationsSentinel,
       differsFromPopular,
       differenceReasons,
       packetCount,
@@ -334,7 +343,11 @@ export class EdgeRenderer {
       packetShare,
       lastPacketBlock,
       lastPacketTimestamp,
+      volumeShare,
+      volumeRaw,
+      volumeTransfers,
       libraryStatus,
+      gracePeriod,
       synthetic,
     } = info;
 
@@ -365,14 +378,25 @@ export class EdgeRenderer {
         : `Required DVN Count: ${requiredDVNCount}`
       : "Required DVNs: unknown";
 
-    const optionalLine =
-      hasSecurityConfig && optionalDVNCount > 0
-        ? `Optional DVNs quorum ${optionalDVNThreshold}/${optionalDVNCount}${optionalDVNLabels && optionalDVNLabels.length ? ` → ${optionalDVNLabels.join(", ")}` : ""}`
-        : null;
+    let optionalLine = null;
+    if (hasSecurityConfig && usesOptionalDVNSentinel) {
+      optionalLine = "Optional DVNs: explicitly none (sentinel)";
+    } else if (hasSecurityConfig && optionalDVNCount > 0) {
+      optionalLine = `Optional DVNs quorum ${optionalDVNThreshold}/${optionalDVNCount}${optionalDVNLabels && optionalDVNLabels.length ? ` → ${optionalDVNLabels.join(", ")}` : ""}`;
+    }
 
     const sentinelLine =
       hasSecurityConfig && usesSentinel ? "Sentinel: Only optional quorum enforced" : null;
 
+    const pairLine = info.pairDifferences?.length
+      ? `Reverse route differs (this vs reverse): ${info.pairDifferences.join("; ")}`
+      : null;
+
+    const confirmationsLine =
+      hasSecurityConfig && usesConfirmationsSentinel
+        ? "Confirmations: explicitly 0 (sentinel)"
+        : null;
+
     const anomalyLine =
       hasSecurityConfig && !isBlocked && differsFromPopular
         ? `Anomaly: ${differenceReasons?.length ? differenceReasons.join("; ") : "non-standard DVN set"}`
@@ -417,6 +441,11 @@ export class EdgeRenderer {
       lastPacketLine = `Last packet block: ${lastPacketBlock}`;
     }
 
+    const valueLine =
+      volumeShare > 0
+        ? `OFT value received: ${formatRawAmount(volumeRaw)} (raw units, ${volumeTransfers.toLocaleString("en-US")} transfers, ${(volumeShare * 100).toFixed(1)}% of this OApp's received value)`
+        : null;
+
     let libraryLine = null;
     if (libraryStatus === "none") {
       libraryLine = "Receive library: none configured";
@@ -424,6 +453,14 @@ export class EdgeRenderer {
       libraryLine = "Receive library: unsupported (ULN unavailable)";
     }
 
+    let gracePeriodLine = null;
+    if (gracePeriod?.isActive) {
+      const until = gracePeriod.expiry ? ` until block ${gracePeriod.expiry}` : "";
+      gracePeriodLine = gracePeriod.isWeaker
+        ? `Warning: Weaker previous library ${gracePeriod.library} can still verify${until}`
+        : `Grace period: previous library ${gracePeriod.library} valid${until}`;
+    }
+
     let peerHintLine = null;
     if (peerStateHint === "auto-discovered") {
       peerHintLine = "Peer source: auto-discovered from packets";
@@ -446,13 +483,17 @@ export class EdgeRenderer {
       requiredLine,
       optionalLine,
       sentinelLine,
+      confirmationsLine,
       anomalyLine,
+      pairLine,
       lowerSecurityLine,
       dominantLine,
       libraryLine,
+      gracePeriodLine,
       peerHintLine,
       resolutionLine,
       trafficLine,
+      valueLine,
       lastPacketLine,
     ].filter(Boolean);
 
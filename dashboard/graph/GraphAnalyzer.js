@@ -28,12 +28,16 @@ export class GraphAnalyzer {
       let optionalDVNCount = 0;
       let optionalDVNThreshold = 0;
       let usesSentinel = false;
+      let usesOptionalDVNSentinel = false;
+      let usesConfirmationsSentinel = false;
+      let confirmations = null;
       let isBlocked = false;
       let blockReason = null;
       const libraryStatusEdge = edge.libraryStatus ?? null;
       let libraryStatusValue = libraryStatusEdge;
       const syntheticEdge = Boolean(edge.synthetic);
       let peerStateHint = edge.peerStateHint ?? null;
+      let gracePeriod = null;
 
       if (edge.blockReasonHint === "implicit-block") {
         isBlocked = true;
@@ -67,6 +71,9 @@ export class GraphAnalyzer {
             (Array.isArray(optionalDVNLabels) ? optionalDVNLabels.length : 0);
           optionalDVNThreshold = config.optionalDVNThreshold || 0;
           usesSentinel = Boolean(config.usesRequiredDVNSentinel);
+          usesOptionalDVNSentinel = Boolean(config.usesOptionalDVNSentinel);
+          usesConfirmationsSentinel = Boolean(config.usesConfirmationsSentinel);
+          confirmations = config.confirmations ?? null;
           if (!peerStateHint && config.peerStateHint) {
             peerStateHint = config.peerStateHint;
           }
@@ -81,6 +88,7 @@ export class GraphAnalyzer {
           const defaultLibraryFallback = usesDefaultLibrary && !hasLibraryOverride;
 
           libraryStatusValue = config.libraryStatus ?? libraryStatusEdge;
+          gracePeriod = this.resolveGracePeriod(config);
 
           if (
             !isBlocked &&
@@ -200,6 +208,12 @@ export class GraphAnalyzer {
         }
       }
 
+      // OFT value is only comparable within the receiving OApp, so edges carry its share
+      const volumeRaw = config?.routeReceivedVolume ?? "0";
+      const volumeShareNumber = Number(config?.routeReceivedVolumeShare);
+      const volumeShare =
+        Number.isFinite(volumeShareNumber) && volumeShareNumber > 0 ? volumeShareNumber : 0;
+
       const info = {
         edge,
         requiredDVNCount,
@@ -210,6 +224,9 @@ export class GraphAnalyzer {
         optionalDVNCount,
         optionalDVNThreshold,
         usesSentinel,
+        usesOptionalDVNSentinel,
+        usesConfirmationsSentinel,
+        confirmations,
         combinationFingerprint,
         hasSecurityConfig,
         isUnknownSecurity,
@@ -217,6 +234,7 @@ export class GraphAnalyzer {
         blockReason,
         peerStateHint,
         libraryStatus: libraryStatusValue,
+        gracePeriod,
         synthetic: config?.synthetic ?? syntheticEdge,
         routeFromLabel,
         routeToLabel,
@@ -228,6 +246,9 @@ export class GraphAnalyzer {
         packetPercent,
         lastPacketBlock,
         lastPacketTimestamp,
+        volumeShare,
+        volumeRaw,
+        volumeTransfers: Number(config?.routeReceivedTransfers ?? 0),
         sourceType: config?.sourceType ?? edge.sourceType ?? null,
       };
 
@@ -382,6 +403,115 @@ export class GraphAnalyzer {
     };
   }
 
+  /**
+   * Pairs route A←B with route B←A. Edges run from the sender's peerOappId to the
+   * receiving OApp, so the reverse edge is the config on the other side of the peering.
+   * Each paired edge info gets `pairDifferences` worded from its own side.
+   */
+  calculateRoutePairs(edgeSecurityInfo) {
+    const infoByKey = new Map();
+    for (const info of edgeSecurityInfo) {
+      infoByKey.set(`${info.edge.from}|${info.edge.to}`, info);
+    }
+
+    const pairs = [];
+    const visited = new Set();
+    let unpairedCount = 0;
+
+    for (const info of edgeSecurityInfo) {
+      const { from, to } = info.edge;
+      const key = `${from}|${to}`;
+      if (visited.has(key)) continue;
+      visited.add(key);
+
+      const reverse = from !== to ? infoByKey.get(`${to}|${from}`) : null;
+      if (!reverse) {
+        unpairedCount += 1;
+        continue;
+      }
+      visited.add(`${to}|${from}`);
+
+      const differences = this.compareRouteDirections(info, reverse);
+      info.pairDifferences = differences;
+      reverse.pairDifferences = this.compareRouteDirections(reverse, info);
+      pairs.push({
+        key,
+        nodeA: to,
+        nodeB: from,
+        intoA: info,
+        intoB: reverse,
+        differences,
+        isAsymmetric: differences.length > 0,
+      });
+    }
+
+    return {
+      pairs,
+      asymmetricPairs: pairs.filter((pair) => pair.isAsymmetric),
+      unpairedCount,
+    };
+  }
+
+  /**
+   * DVNs are compared by label because their addresses differ per chain.
+   * Values read "<into A> vs <into B>".
+   */
+  compareRouteDirections(intoA, intoB) {
+    if (intoA.isBlocked !== intoB.isBlocked) {
+      const blocked = intoA.isBlocked ? intoA : intoB;
+      const route = `${blocked.routeFromLabel || blocked.edge.from} → ${blocked.routeToLabel || blocked.edge.to}`;
+      return [`only ${route} blocked (${blocked.blockReason || "blocked"})`];
+    }
+    if (intoA.isBlocked || !intoA.hasSecurityConfig || !intoB.hasSecurityConfig) {
+      return [];
+    }
+
+    const differences = [];
+    const describeRequired = (info) =>
+      info.usesSentinel ? "sentinel" : String(info.requiredDVNCount);
+    if (
+      intoA.usesSentinel !== intoB.usesSentinel ||
+      intoA.requiredDVNCount !== intoB.requiredDVNCount
+    ) {
+      differences.push(`required DVNs ${describeRequired(intoA)} vs ${describeRequired(intoB)}`);
+    } else if (
+      !this.areStringArraysEqual(intoA.normalizedRequiredNames, intoB.normalizedRequiredNames)
+    ) {
+      differences.push("required DVN set differs");
+    }
+
+    const normalizeLabels = (labels) =>
+      (labels || [])
+        .map((label) => (label === null || label === undefined ? "" : String(label).trim()))
+        .filter(Boolean)
+        .map((label) => label.toLowerCase())
+        .sort();
+    const describeOptional = (info) =>
+      info.usesOptionalDVNSentinel
+        ? "sentinel"
+        : `${info.optionalDVNThreshold || 0}/${info.optionalDVNCount || 0}`;
+    if (describeOptional(intoA) !== describeOptional(intoB)) {
+      differences.push(`optional quorum ${describeOptional(intoA)} vs ${describeOptional(intoB)}`);
+    } else if (
+      !this.areStringArraysEqual(
+        normalizeLabels(intoA.optionalDVNLabels),
+        normalizeLabels(intoB.optionalDVNLabels),
+      )
+    ) {
+      differences.push("optional DVN set differs");
+    }
+
+    if (
+      intoA.confirmations !== null &&
+      intoB.confirmations !== null &&
+      String(intoA.confirmations) !== String(intoB.confirmations)
+    ) {
+      differences.push(`confirmations ${intoA.confirmations} vs ${intoB.confirmations}`);
+    }
+
+    return differences;
+  }
+
   calculateMaxMinRequiredDVNsForNodes(nodes) {
     let max = 0;
 
@@ -428,6 +558,30 @@ export class GraphAnalyzer {
     );
   }
 
+  /**
+   * Grace period of the previous receive library, if the config records one.
+   * Expiry is compared to the newest local block known for the route.
+   */
+  resolveGracePeriod(config) {
+    const library = config?.gracePeriodLibrary;
+    if (!library || AddressUtils.isZero(library)) {
+      return null;
+    }
+    const expiry = Number(config.gracePeriodExpiry);
+    const referenceBlock = Math.max(
+      Number(config.lastComputedBlock) || 0,
+      Number(config.routeLastPacketBlock) || 0,
+    );
+    const hasExpiry = Number.isFinite(expiry) && expiry > 0;
+    return {
+      library,
+      expiry: hasExpiry ? expiry : null,
+      isActive: hasExpiry && expiry > referenceBlock,
+      isWeaker: Boolean(config.gracePeriodIsWeaker),
+      libraryStatus: config.gracePeriodLibraryStatus ?? null,
+    };
+  }
+
   isZeroPeer(peerAddress) {
     return AddressUtils.isZero(peerAddress);
   }
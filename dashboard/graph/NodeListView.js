@@ -1,5 +1,11 @@
 import { AddressUtils } from "../utils/AddressUtils.js";
-import { coerceToNumber } from "../utils/NumberUtils.js";
+import { describeNonceInterventions } from "../utils/MetricsUtils.js";
+import {
+  coerceToNumber,
+  formatRawAmount,
+  rawAmountShare,
+  sumRawAmounts,
+} from "../utils/NumberUtils.js";
 import { appendSummaryRow, describeCombination, shortenAddress } from "./utils.js";
 
 export class NodeListView {
@@ -198,6 +204,7 @@ export class NodeListView {
                 : 0,
             lastPacketBlock: cfg.routeLastPacketBlock ?? null,
             lastPacketTimestamp: cfg.routeLastPacketTimestamp ?? null,
+            receivedVolume: cfg.routeReceivedVolume ?? "0",
             libraryStatus: cfg.libraryStatus ?? "unknown",
             peerStateHint: cfg.peerStateHint ?? null,
             synthetic: Boolean(cfg.synthetic),
@@ -246,6 +253,29 @@ export class NodeListView {
         notes.add("Defaults only");
       }
 
+      // Inbound traffic through routes that deviate from the dominant set or rely on a sentinel.
+      // Nodes are ranked by route packet share, the basis every node has; raw OFT amounts only
+      // add up within this OApp, so the value share is shown alongside but never ranked on.
+      const weakDetails = configDetails.filter(
+        (detail) => detail.differsFromDominant || detail.usesSentinel,
+      );
+      const inboundVolume = node.totalReceivedVolume ?? "0";
+      const weakInboundVolume = sumRawAmounts(weakDetails.map((detail) => detail.receivedVolume));
+      const weakValueShare =
+        coerceToNumber(inboundVolume) > 0 ? rawAmountShare(weakInboundVolume, inboundVolume) : 0;
+      const weakPacketShare = Math.min(
+        1,
+        weakDetails.reduce((sum, detail) => sum + detail.packetShare, 0),
+      );
+
+      const nonceInterventions = (Array.isArray(node.routeStats) ? node.routeStats : [])
+        .map((route) => ({
+          srcEid: route.srcEid,
+          description: describeNonceInterventions(route),
+          hasBurnt: coerceToNumber(route.burntPacketCount) > 0,
+        }))
+        .filter((entry) => entry.description);
+
       return {
         id: node.id,
         node,
@@ -258,6 +288,10 @@ export class NodeListView {
         isBlocked: blockedNodes.has(node.id),
         totalPackets,
         totalRoutePackets,
+        inboundVolume,
+        weakInboundVolume,
+        weakValueShare,
+        weakPacketShare,
         incoming,
         outgoing,
         activeIncoming,
@@ -268,6 +302,7 @@ export class NodeListView {
         sentinelEdges,
         diffReasonSummary: Array.from(diffReasonSet),
         blockReasons,
+        nonceInterventions,
         configDetails,
         hasConfigDifference,
         hasSentinel,
@@ -461,6 +496,11 @@ export class NodeListView {
       variation: hasPacketVariation,
     } = collectExtremes(packetExtremes, (metric) => metric?.totalPackets);
 
+    const describeNodeId = (nodeId) => {
+      const metric = metricsById.get(nodeId);
+      return metric ? formatNodeDescriptor(metric) : nodeId;
+    };
+
     this.renderInsightsGrid(
       container,
       dominantCombination,
@@ -475,6 +515,8 @@ export class NodeListView {
       formatNodeDescriptor,
       formatMedianValue,
       formatNumber,
+      analysis?.routePairs ?? null,
+      describeNodeId,
     );
 
     this.renderNodeTable(
@@ -507,6 +549,8 @@ export class NodeListView {
     formatNodeDescriptor,
     formatMedianValue,
     formatNumber,
+    routePairs,
+    describeNodeId,
   ) {
     const insightGrid = document.createElement("div");
     insightGrid.className = "node-insight-grid";
@@ -548,6 +592,10 @@ export class NodeListView {
 
     this.renderAnomaliesCard(insightGrid, nodeMetrics, formatNodeDescriptor);
 
+    if (routePairs) {
+      this.renderPairAsymmetryCard(insightGrid, routePairs, describeNodeId);
+    }
+
     this.renderStatsCard(
       insightGrid,
       eligibleNodes,
@@ -622,12 +670,23 @@ export class NodeListView {
       .filter(
         (metric) => metric.hasConfigDifference && !metric.isBlocked && !metric.blockReasons.length,
       )
-      .map((metric) => ({
-        metric,
-        detail: metric.diffReasonSummary.length
+      .sort((a, b) => b.weakPacketShare - a.weakPacketShare)
+      .map((metric) => {
+        const reasons = metric.diffReasonSummary.length
           ? metric.diffReasonSummary.join("; ")
-          : "DVN set differs from dominant",
-      }));
+          : "DVN set differs from dominant";
+        const shares = [];
+        if (metric.weakPacketShare > 0) {
+          shares.push(`${(metric.weakPacketShare * 100).toFixed(1)}% of inbound packets`);
+        }
+        if (metric.weakValueShare > 0) {
+          shares.push(`${(metric.weakValueShare * 100).toFixed(1)}% of received OFT value`);
+        }
+        return {
+          metric,
+          detail: [reasons, ...shares].join(" • "),
+        };
+      });
     appendAnomalyGroup("Non-standard DVNs", variantItems);
 
     const sentinelItems = nodeMetrics
@@ -664,6 +723,52 @@ export class NodeListView {
     insightGrid.appendChild(anomaliesCard);
   }
 
+  renderPairAsymmetryCard(insightGrid, routePairs, describeNodeId) {
+    const { pairs, asymmetricPairs, unpairedCount } = routePairs;
+    const card = document.createElement("div");
+    card.className = asymmetricPairs.length ? "insight-card insight-card--alert" : "insight-card";
+    const title = document.createElement("h4");
+    title.textContent = "Pairwise Asymmetry";
+    card.appendChild(title);
+
+    const dl = document.createElement("dl");
+    dl.className = "insight-list";
+    this.appendSummaryRow(dl, "Paired Routes", pairs.length);
+    this.appendSummaryRow(dl, "Asymmetric Pairs", asymmetricPairs.length);
+    this.appendSummaryRow(dl, "One-way Routes", unpairedCount);
+    card.appendChild(dl);
+
+    if (!asymmetricPairs.length) {
+      const empty = document.createElement("p");
+      empty.textContent = pairs.length
+        ? "Both directions of every paired route match."
+        : "No route has its reverse direction in this crawl.";
+      card.appendChild(empty);
+      insightGrid.appendChild(card);
+      return;
+    }
+
+    const list = document.createElement("ul");
+    list.className = "anomaly-list";
+    for (const pair of asymmetricPairs) {
+      const li = document.createElement("li");
+      const nodeSpan = document.createElement("span");
+      nodeSpan.className = "anomaly-node";
+      nodeSpan.textContent = `${describeNodeId(pair.nodeA)} ⇄ ${describeNodeId(pair.nodeB)}`;
+      li.appendChild(nodeSpan);
+
+      // Differences read "<into first node> vs <into second node>"
+      const detailSpan = document.createElement("span");
+      detailSpan.className = "anomaly-detail";
+      detailSpan.textContent = pair.differences.join("; ");
+      li.appendChild(detailSpan);
+      list.appendChild(li);
+    }
+    card.appendChild(list);
+
+    insightGrid.appendChild(card);
+  }
+
   renderStatsCard(
     insightGrid,
     eligibleNodes,
@@ -760,6 +865,7 @@ export class NodeListView {
         <th>Optional Quorum</th>
         <th>Inbound Edges</th>
         <th>Packets</th>
+        <th>Inbound Value</th>
         <th>Notes</th>
       </tr>
     `;
@@ -864,6 +970,20 @@ export class NodeListView {
     }
     tr.appendChild(packetsCell);
 
+    // Value cell
+    const valueCell = document.createElement("td");
+    valueCell.className = "metric-cell";
+    valueCell.textContent =
+      coerceToNumber(metric.inboundVolume) > 0 ? formatRawAmount(metric.inboundVolume) : "—";
+    if (coerceToNumber(metric.weakInboundVolume) > 0) {
+      const risk = document.createElement("div");
+      risk.className = "value-at-risk";
+      risk.textContent = `⚠ ${formatRawAmount(metric.weakInboundVolume)} (${(metric.weakValueShare * 100).toFixed(1)}% of value) on weaker routes`;
+      valueCell.appendChild(risk);
+      valueCell.classList.add("cell-extreme-low");
+    }
+    tr.appendChild(valueCell);
+
     // Notes cell
     const notesCell = this.renderNotesCell(metric, createBadge);
     tr.appendChild(notesCell);
@@ -1161,6 +1281,19 @@ export class NodeListView {
         ),
       );
     }
+    if (metric.nonceInterventions.length) {
+      const details = metric.nonceInterventions.map(
+        (entry) =>
+          `${this.formatChainLabel(entry.srcEid) || `EID ${entry.srcEid}`}: ${entry.description}`,
+      );
+      noteBadges.push(
+        createBadge(
+          "Nonce intervention",
+          metric.nonceInterventions.some((entry) => entry.hasBurnt) ? "danger" : "alert",
+          details.join("; "),
+        ),
+      );
+    }
     if (metric.fromPacketDelivered) {
       noteBadges.push(createBadge("From packet", "info", "Inferred from packet"));
     }
@@ -80,6 +80,15 @@ export class NodeRenderer {
         titleLines.push(`No peer info: Inferred from packet`);
       }
 
+      if (node.delegate) {
+        titleLines.push(
+          `Delegate: ${AddressUtils.describeAccount(node.delegate, node.delegateKind)}`,
+        );
+      }
+      if (node.owner) {
+        titleLines.push(`Owner: ${AddressUtils.describeAccount(node.owner, node.ownerKind)}`);
+      }
+
       if (node.isTracked) {
         titleLines.push(`Lifetime packets received: ${node.totalPacketsReceived}`);
         titleLines.push(`Min required DVNs: ${minRequiredDVNs}`);
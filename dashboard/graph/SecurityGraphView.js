@@ -73,6 +73,7 @@ export class SecurityGraphView {
       webData.nodes,
       edgeAnalysis.edgeSecurityInfo,
     );
+    const routePairs = this.analyzer.calculateRoutePairs(edgeAnalysis.edgeSecurityInfo);
 
     const centerNodeId =
       options.centerNodeId || findMostConnectedNode(webData.nodes, webData.edges);
@@ -87,11 +88,14 @@ export class SecurityGraphView {
       maxMinRequiredDVNsForNodes,
       blockedNodes,
       centerNodeId,
+      routePairs,
     };
 
+    const svg = this.renderSVG(webData, context);
     container.append(
       this.renderSummary(webData, centerNodeId),
-      this.renderSVG(webData, context),
+      this.renderHighlightActions(svg, routePairs),
+      svg,
       this.nodeListView.renderNodeList(webData, context),
     );
 
@@ -138,6 +142,26 @@ export class SecurityGraphView {
     return summary;
   }
 
+  renderHighlightActions(svg, routePairs) {
+    const actions = document.createElement("div");
+    actions.className = "summary-actions graph-actions";
+
+    const asymmetricCount = routePairs.asymmetricPairs.length;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = `Highlight Asymmetric Pairs (${asymmetricCount})`;
+    button.title = "Dim every edge except route pairs whose two directions differ";
+    button.disabled = asymmetricCount === 0;
+    button.setAttribute("aria-pressed", "false");
+    button.addEventListener("click", () => {
+      const active = svg.classList.toggle("highlight-pair-asymmetry");
+      button.setAttribute("aria-pressed", String(active));
+    });
+    actions.appendChild(button);
+
+    return actions;
+  }
+
   renderSVG(webData, context) {
     const svg = document.createElementNS(SVG_NS, "svg");
     svg.setAttribute("width", "100%");
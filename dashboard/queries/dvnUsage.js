@@ -0,0 +1,17 @@
+export const DVN_USAGE_QUERY = `
+  query DvnUsage($where: Dvn_bool_exp!, $orderBy: [Dvn_order_by!], $limit: Int) {
+    Dvn(where: $where, order_by: $orderBy, limit: $limit) {
+      id
+      localEid
+      address
+      requiredRouteCount
+      optionalRouteCount
+      packetsSecured
+      lastPacketBlock
+      lastPacketTimestamp
+      lastUpdatedBlock
+      lastUpdatedTimestamp
+      lastUpdatedByEventId
+    }
+  }
+`;
@@ -25,6 +25,59 @@ export const OAPP_SECURITY_CONFIG_QUERY = `
       packetCount
       lastPacketBlock
       lastPacketTimestamp
+      skippedNonceCount
+      nilifiedPacketCount
+      burntPacketCount
+      lastInterventionType
+      lastInterventionBlock
+      lastInterventionTimestamp
+    }
+    OAppRouteDvnStats(where: { oappId: { _eq: $oappId } }, order_by: { packetsVerified: desc }) {
+      id
+      srcEid
+      dvn
+      role
+      packetsVerified
+      requiredVerifications
+      optionalVerifications
+      totalConfirmations
+      minConfirmations
+      maxConfirmations
+      lastVerifiedBlock
+      lastVerifiedTimestamp
+    }
+    OAppDelegate(where: { oappId: { _eq: $oappId } }) {
+      id
+      delegate
+      delegateKind
+      lastUpdatedBlock
+      lastUpdatedTimestamp
+    }
+    OAppOwner(where: { oappId: { _eq: $oappId } }) {
+      id
+      owner
+      previousOwner
+      ownerKind
+      lastUpdatedBlock
+      lastUpdatedTimestamp
+    }
+    OAppEnforcedOption(where: { oappId: { _eq: $oappId } }, order_by: { msgType: asc }) {
+      id
+      eid
+      msgType
+      options
+      optionsType
+      lzReceiveGas
+      lzReceiveValue
+      nativeDropAmount
+      composeGas
+      orderedExecution
+      dvnOptionCount
+      parseError
+      lastUpdatedBlock
+      lastUpdatedTimestamp
+      lastUpdatedByEventId
+      transactionHash
     }
     OAppRateLimiter(where: { oappId: { _eq: $oappId } }) {
       id
@@ -40,6 +93,34 @@ export const OAPP_SECURITY_CONFIG_QUERY = `
       lastUpdatedBlock
       lastUpdatedTimestamp
     }
+    OAppRateLimitUsage(where: { oappId: { _eq: $oappId } }) {
+      id
+      dstEid
+      limit
+      window
+      amountInFlight
+      utilizationBps
+      peakUtilizationBps
+      lastFlowTimestamp
+    }
+    OAppRateLimitDailyUsage(
+      where: { oappId: { _eq: $oappId } }
+      order_by: { day: desc }
+      limit: 500
+    ) {
+      id
+      dstEid
+      day
+      outflowAmount
+      inflowAmount
+      peakUtilizationBps
+    }
+    OAppRouteVolume(where: { oappId: { _eq: $oappId } }) {
+      id
+      eid
+      sentAmount
+      sentCount
+    }
     OAppSecurityConfig(
       where: { oappId: { _eq: $oappId } }
       order_by: { eid: asc }
@@ -49,6 +130,7 @@ export const OAPP_SECURITY_CONFIG_QUERY = `
       localEid
       oapp
       effectiveReceiveLibrary
+      effectiveReceiveLibraryVersion
       effectiveConfirmations
       effectiveRequiredDVNCount
       effectiveOptionalDVNCount
@@ -59,11 +141,18 @@ export const OAPP_SECURITY_CONFIG_QUERY = `
       usesDefaultLibrary
       usesDefaultConfig
       usesRequiredDVNSentinel
+      usesOptionalDVNSentinel
+      usesConfirmationsSentinel
       fallbackFields
       defaultLibraryVersionId
       defaultConfigVersionId
       libraryOverrideVersionId
       configOverrideVersionId
+      gracePeriodLibrary
+      gracePeriodExpiry
+      gracePeriodLibraryStatus
+      gracePeriodIsWeaker
+      gracePeriodVersionId
       lastComputedBlock
       lastComputedTimestamp
       lastComputedByEventId
@@ -75,6 +164,39 @@ export const OAPP_SECURITY_CONFIG_QUERY = `
       peerLastUpdatedTimestamp
       peerLastUpdatedEventId
     }
+    OAppSendSecurityConfig(
+      where: { oappId: { _eq: $oappId } }
+      order_by: { eid: asc }
+    ) {
+      id
+      eid
+      localEid
+      oapp
+      effectiveSendLibrary
+      effectiveConfirmations
+      effectiveRequiredDVNCount
+      effectiveOptionalDVNCount
+      effectiveOptionalDVNThreshold
+      effectiveRequiredDVNs
+      effectiveOptionalDVNs
+      effectiveExecutor
+      effectiveMaxMessageSize
+      libraryStatus
+      usesDefaultLibrary
+      usesDefaultConfig
+      usesDefaultExecutorConfig
+      usesRequiredDVNSentinel
+      usesOptionalDVNSentinel
+      usesConfirmationsSentinel
+      fallbackFields
+      libraryOverrideVersionId
+      configOverrideVersionId
+      executorConfigOverrideVersionId
+      lastComputedBlock
+      lastComputedTimestamp
+      lastComputedByEventId
+      lastComputedTransactionHash
+    }
     DefaultReceiveLibrary(where: { localEid: { _eq: $localEid } }) {
       localEid
       eid
@@ -87,6 +209,7 @@ export const OAPP_SECURITY_CONFIG_QUERY = `
     DefaultUlnConfig(where: { localEid: { _eq: $localEid } }) {
       localEid
       eid
+      library
       confirmations
       requiredDVNCount
       optionalDVNCount
@@ -110,6 +233,7 @@ export const OAPP_SECURITY_CONFIG_QUERY = `
     OAppUlnConfig(where: { oappId: { _eq: $oappId } }) {
       oappId
       eid
+      library
       confirmations
       requiredDVNCount
       optionalDVNCount
@@ -123,3 +247,32 @@ export const OAPP_SECURITY_CONFIG_QUERY = `
     }
   }
 `;
+
+// Live markers: each result changes when a packet lands or a route config is recomputed
+export const OAPP_PACKET_LIVE_SUBSCRIPTION = `
+  subscription OAppPacketMarker($oappId: String!) {
+    OAppStats(where: { id: { _eq: $oappId } }) {
+      id
+      totalPacketsReceived
+    }
+  }
+`;
+
+export const OAPP_RECEIVE_CONFIG_LIVE_SUBSCRIPTION = `
+  subscription OAppReceiveConfigMarker($oappId: String!) {
+    OAppSecurityConfig(where: { oappId: { _eq: $oappId } }) {
+      id
+      lastComputedByEventId
+      peerLastUpdatedEventId
+    }
+  }
+`;
+
+export const OAPP_SEND_CONFIG_LIVE_SUBSCRIPTION = `
+  subscription OAppSendConfigMarker($oappId: String!) {
+    OAppSendSecurityConfig(where: { oappId: { _eq: $oappId } }) {
+      id
+      lastComputedByEventId
+    }
+  }
+`;
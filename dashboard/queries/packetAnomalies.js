@@ -0,0 +1,26 @@
+export const PACKET_ANOMALY_FEED_QUERY = `
+  query PacketAnomalyFeed($where: PacketAnomaly_bool_exp!, $limit: Int) {
+    PacketAnomaly(where: $where, order_by: { blockTimestamp: desc }, limit: $limit) {
+      id
+      anomalyType
+      localEid
+      srcEid
+      oappId
+      receiver
+      packetId
+      nonce
+      expectedPeer
+      actualSender
+      senderOappId
+      peerVersionId
+      securityConfigId
+      defaultLibraryVersionId
+      defaultConfigVersionId
+      libraryOverrideVersionId
+      configOverrideVersionId
+      blockNumber
+      blockTimestamp
+      transactionHash
+    }
+  }
+`;
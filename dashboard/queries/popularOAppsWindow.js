@@ -1,3 +1,38 @@
+export const POPULAR_OAPPS_DAILY_QUERY = `
+  query PopularOAppsDaily($fromDay: numeric!, $cursor: String!, $pageSize: Int!) {
+    OAppDailyStats(
+      where: { day: { _gte: $fromDay }, id: { _gt: $cursor } }
+      order_by: { id: asc }
+      limit: $pageSize
+    ) {
+      id
+      oappId
+      localEid
+      oapp
+      day
+      packetCount
+      firstBlock
+      lastBlock
+      lastTimestamp
+      distinctSenders
+      distinctSrcEids
+    }
+  }
+`;
+
+export const POPULAR_OAPPS_ROUTE_DAILY_QUERY = `
+  query PopularOAppsRouteDaily($oappIds: [String!]!, $fromDay: numeric!) {
+    OAppRouteDailyStats(where: { oappId: { _in: $oappIds }, day: { _gte: $fromDay } }) {
+      id
+      oappId
+      srcEid
+      day
+      packetCount
+      distinctSenders
+    }
+  }
+`;
+
 export const POPULAR_OAPPS_WINDOW_QUERY = `
   query PopularOAppsWindow($fromTimestamp: numeric!, $fetchLimit: Int) {
     PacketDelivered(
@@ -15,3 +50,12 @@ export const POPULAR_OAPPS_WINDOW_QUERY = `
     }
   }
 `;
+
+// Live marker: the newest delivered packet on any chain
+export const LATEST_PACKET_LIVE_SUBSCRIPTION = `
+  subscription LatestPacketMarker {
+    PacketDelivered(order_by: [{ blockTimestamp: desc }, { blockNumber: desc }], limit: 1) {
+      id
+    }
+  }
+`;
@@ -0,0 +1,45 @@
+export const SECURITY_CONFIG_TIMELINE_QUERY = `
+  query SecurityConfigTimeline($where: SecurityConfigChange_bool_exp!, $limit: Int) {
+    SecurityConfigChange(where: $where, order_by: { blockNumber: desc }, limit: $limit) {
+      id
+      direction
+      configId
+      oappId
+      localEid
+      eid
+      isInitial
+      changedFields
+      cause
+      oldLibrary
+      newLibrary
+      oldLibraryStatus
+      newLibraryStatus
+      oldConfirmations
+      newConfirmations
+      oldRequiredDVNCount
+      newRequiredDVNCount
+      oldOptionalDVNCount
+      newOptionalDVNCount
+      oldOptionalDVNThreshold
+      newOptionalDVNThreshold
+      oldRequiredDVNs
+      newRequiredDVNs
+      oldOptionalDVNs
+      newOptionalDVNs
+      oldUsesRequiredDVNSentinel
+      newUsesRequiredDVNSentinel
+      oldUsesOptionalDVNSentinel
+      newUsesOptionalDVNSentinel
+      oldUsesConfirmationsSentinel
+      newUsesConfirmationsSentinel
+      oldExecutor
+      newExecutor
+      oldMaxMessageSize
+      newMaxMessageSize
+      blockNumber
+      blockTimestamp
+      eventId
+      transactionHash
+    }
+  }
+`;
@@ -0,0 +1,200 @@
+import { APP_CONFIG } from "./config.js";
+
+const STORE_NAME = "entries";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function getOperationName(query) {
+  const match = /\b(?:query|subscription)\s+([A-Za-z_]\w*)/.exec(query ?? "");
+  return match ? match[1] : null;
+}
+
+export function resolveCacheTtl(query) {
+  const operation = getOperationName(query);
+  const ttl = operation ? APP_CONFIG.CACHE.TTL_MS[operation] : undefined;
+  return ttl ?? APP_CONFIG.CACHE.DEFAULT_TTL_MS;
+}
+
+// Stable across key order so `{a, b}` and `{b, a}` share an entry
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// cyrb53: short, well-distributed key hashes without pulling in SubtleCrypto (HTTPS-only)
+export function hashString(input, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Expiring key/value cache for GraphQL responses, persisted in IndexedDB so repeat
+ * lookups survive reloads. Entries written with `persist: false` (responses fetched
+ * with credentials) stay in a bounded in-memory LRU, which also stands in when
+ * IndexedDB is unavailable (private windows, file:// pages). Every failure degrades
+ * to a cache miss.
+ */
+export class QueryCache {
+  constructor(
+    dbName = APP_CONFIG.CACHE.DB_NAME,
+    maxMemoryEntries = APP_CONFIG.CACHE.MEMORY_MAX_ENTRIES,
+  ) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+    this.memory = new Map();
+    this.maxMemoryEntries = maxMemoryEntries;
+  }
+
+  readMemory(key) {
+    const entry = this.memory.get(key);
+    if (entry) {
+      // Re-insert so Map order tracks recency
+      this.memory.delete(key);
+      this.memory.set(key, entry);
+    }
+    return entry ?? null;
+  }
+
+  writeMemory(entry) {
+    this.memory.delete(entry.key);
+    this.memory.set(entry.key, entry);
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+        store.createIndex("expiresAt", "expiresAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("[QueryCache] IndexedDB unavailable, caching in memory", request.error);
+        resolve(null);
+      };
+    }).then((db) => {
+      if (db) {
+        this.prune(db).catch((error) => console.warn("[QueryCache] Failed to prune", error));
+      }
+      return db;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * @param {string} key
+   * @param {{ persist?: boolean }} [options] `persist: false` never touches IndexedDB
+   * @returns {Promise<{ value: unknown, storedAt: number, expiresAt: number } | null>}
+   */
+  async get(key, { persist = true } = {}) {
+    let entry = this.readMemory(key);
+    try {
+      const db = !entry && persist ? await this.open() : null;
+      if (db) {
+        entry = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(key));
+      }
+    } catch (error) {
+      console.warn("[QueryCache] Failed to read", error);
+      return null;
+    }
+
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, value, ttlMs, { persist = true } = {}) {
+    if (!(ttlMs > 0)) {
+      return;
+    }
+    const storedAt = Date.now();
+    const entry = { key, value, storedAt, expiresAt: storedAt + ttlMs };
+    try {
+      const db = persist ? await this.open() : null;
+      if (db) {
+        await requestToPromise(
+          db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME).put(entry),
+        );
+      } else {
+        this.writeMemory(entry);
+      }
+    } catch (error) {
+      console.warn("[QueryCache] Failed to write", error);
+    }
+  }
+
+  async delete(key) {
+    this.memory.delete(key);
+    try {
+      const db = await this.open();
+      if (db) {
+        await requestToPromise(
+          db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME).delete(key),
+        );
+      }
+    } catch (error) {
+      console.warn("[QueryCache] Failed to delete", error);
+    }
+  }
+
+  /** Drops every entry, in memory and in IndexedDB. */
+  async clear() {
+    this.memory.clear();
+    try {
+      const db = await this.open();
+      if (db) {
+        await requestToPromise(
+          db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME).clear(),
+        );
+      }
+    } catch (error) {
+      console.warn("[QueryCache] Failed to clear", error);
+    }
+  }
+
+  async prune(db) {
+    const range = IDBKeyRange.upperBound(Date.now());
+    const store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME);
+    const keys = await requestToPromise(store.index("expiresAt").getAllKeys(range));
+    await Promise.all(keys.map((key) => requestToPromise(store.delete(key))));
+  }
+}
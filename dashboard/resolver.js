@@ -1,6 +1,6 @@
 import { normalizeKey } from "./core.js";
 import { normalizeSecurityConfig } from "./security/SecurityConfigNormalizer.js";
-import { getTrackedReceiveLibrary } from "./trackedLibraries.js";
+import { getTrackedReceiveLibraries } from "./trackedLibraries.js";
 import { bigIntSafe } from "./utils/NumberUtils.js";
 
 export function resolveOAppSecurityConfigs({
@@ -14,24 +14,29 @@ export function resolveOAppSecurityConfigs({
   oappReceiveLibraries = [],
   oappUlnConfigs = [],
   routeStats = [],
+  sendSecurityConfigs = [],
 }) {
-  const trackedReceiveLibrary = getTrackedReceiveLibrary(localEid);
+  const trackedReceiveLibraries = getTrackedReceiveLibraries(localEid);
   const securityByEid = buildMap(securityConfigs, (row) => normalizeKey(row.eid));
   const peerByEid = buildMap(oappPeers, (row) => normalizeKey(row.eid));
   const defaultLibraryByEid = buildMap(defaultReceiveLibraries, (row) => normalizeKey(row.eid));
-  const defaultConfigByEid = buildMap(defaultUlnConfigs, (row) => normalizeKey(row.eid));
+  // ULN configs are stored per receive library; the normalizer picks the effective one
+  const defaultConfigsByEid = buildGroupedMap(defaultUlnConfigs, (row) => normalizeKey(row.eid));
   const libraryOverrideByEid = buildMap(oappReceiveLibraries, (row) => normalizeKey(row.eid));
-  const configOverrideByEid = buildMap(oappUlnConfigs, (row) => normalizeKey(row.eid));
+  const configOverridesByEid = buildGroupedMap(oappUlnConfigs, (row) => normalizeKey(row.eid));
   const routeStatsEids = new Set(routeStats.map((row) => normalizeKey(row.srcEid || row.eid)));
+  // Send-only routes get a row too; their receive side is synthesized from the defaults
+  const sendEids = new Set(sendSecurityConfigs.map((row) => normalizeKey(row.eid)));
 
   const candidateEids = new Set([
     ...securityByEid.keys(),
     ...peerByEid.keys(),
     ...defaultLibraryByEid.keys(),
-    ...defaultConfigByEid.keys(),
+    ...defaultConfigsByEid.keys(),
     ...libraryOverrideByEid.keys(),
-    ...configOverrideByEid.keys(),
+    ...configOverridesByEid.keys(),
     ...routeStatsEids.values(),
+    ...sendEids.values(),
   ]);
 
   const resolvedRows = [];
@@ -51,11 +56,11 @@ export function resolveOAppSecurityConfigs({
       oappId,
       oappAddress,
       localEid,
-      trackedReceiveLibrary,
+      trackedReceiveLibraries,
       defaultLibrary: defaultLibraryByEid.get(eid),
-      defaultConfig: defaultConfigByEid.get(eid),
+      defaultConfigs: defaultConfigsByEid.get(eid),
       overrideLibrary: libraryOverrideByEid.get(eid),
-      overrideConfig: configOverrideByEid.get(eid),
+      overrideConfigs: configOverridesByEid.get(eid),
     });
 
     if (!normalized) {
@@ -107,3 +112,17 @@ function buildMap(list, keySelector) {
   }
   return map;
 }
+
+function buildGroupedMap(list, keySelector) {
+  const map = new Map();
+  if (!Array.isArray(list)) {
+    return map;
+  }
+  for (const item of list) {
+    const key = keySelector(item);
+    if (!key) continue;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(item);
+  }
+  return map;
+}
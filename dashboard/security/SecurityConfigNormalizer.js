@@ -1,7 +1,7 @@
 import { APP_CONFIG } from "../config.js";
 import { isZeroAddress, normalizeKey } from "../core.js";
 import { AddressUtils } from "../utils/AddressUtils.js";
-import { toString } from "../utils/NumberUtils.js";
+import { bigIntSafe, toString } from "../utils/NumberUtils.js";
 
 const SYNTHETIC_ID_PREFIX = "synthetic:";
 
@@ -16,6 +16,8 @@ const FALLBACK_FIELD_ORDER = [
 ];
 
 const REQUIRED_DVN_SENTINEL = APP_CONFIG.SENTINEL_VALUES.REQUIRED_DVN_SENTINEL;
+const OPTIONAL_DVN_SENTINEL = APP_CONFIG.SENTINEL_VALUES.OPTIONAL_DVN_SENTINEL;
+const CONFIRMATIONS_SENTINEL = BigInt(APP_CONFIG.SENTINEL_VALUES.CONFIRMATIONS_SENTINEL);
 
 export function normalizeSecurityConfig({
   eid,
@@ -24,11 +26,11 @@ export function normalizeSecurityConfig({
   oappId,
   oappAddress,
   localEid,
-  trackedReceiveLibrary,
+  trackedReceiveLibraries = [],
   defaultLibrary,
-  defaultConfig,
+  defaultConfigs = [],
   overrideLibrary,
-  overrideConfig,
+  overrideConfigs = [],
 }) {
   const normalizedEid = normalizeKey(config?.eid ?? eid);
   if (!normalizedEid) {
@@ -62,11 +64,11 @@ export function normalizeSecurityConfig({
     localEid: normalizedLocalEid,
     oappId,
     oappAddress,
-    trackedReceiveLibrary,
+    trackedReceiveLibraries,
     defaultLibrary,
-    defaultConfig,
+    defaultConfigs,
     overrideLibrary,
-    overrideConfig,
+    overrideConfigs,
     peerRecord,
   });
 }
@@ -100,11 +102,11 @@ function createSyntheticSecurityConfig({
   localEid,
   oappId,
   oappAddress,
-  trackedReceiveLibrary,
+  trackedReceiveLibraries,
   defaultLibrary,
-  defaultConfig,
+  defaultConfigs,
   overrideLibrary,
-  overrideConfig,
+  overrideConfigs,
   peerRecord,
 }) {
   const fallbackFields = new Set();
@@ -119,11 +121,15 @@ function createSyntheticSecurityConfig({
         ? defaultLibraryAddress
         : null;
 
+  const trackedLibrary = effectiveReceiveLibrary
+    ? trackedReceiveLibraries.find((tracked) => tracked.address === effectiveReceiveLibrary)
+    : undefined;
+
   let libraryStatus = "none";
   let isConfigTracked = false;
   let usesDefaultLibrary = true;
   if (effectiveReceiveLibrary) {
-    if (trackedReceiveLibrary && effectiveReceiveLibrary === trackedReceiveLibrary) {
+    if (trackedLibrary) {
       libraryStatus = "tracked";
       isConfigTracked = true;
     } else {
@@ -131,6 +137,10 @@ function createSyntheticSecurityConfig({
     }
   }
 
+  // Only the effective library's ULN configs apply to this route
+  const defaultConfig = selectLibraryConfig(defaultConfigs, effectiveReceiveLibrary);
+  const overrideConfig = selectLibraryConfig(overrideConfigs, effectiveReceiveLibrary);
+
   if (overrideLibraryAddress && !isZeroAddress(overrideLibraryAddress)) {
     usesDefaultLibrary = false;
   } else if (effectiveReceiveLibrary) {
@@ -139,8 +149,11 @@ function createSyntheticSecurityConfig({
 
   const overrideCfg = normalizeConfig(overrideConfig);
   const defaultCfg = normalizeConfig(defaultConfig);
-  const { effectiveConfig, usesDefaultConfig, usesRequiredDVNSentinel } = resolveConfig({
+  const { effectiveConfig, usesDefaultConfig } = resolveConfig({
     isConfigTracked,
+    isDefaultTracked: trackedReceiveLibraries.some(
+      (tracked) => tracked.address === defaultLibraryAddress,
+    ),
     defaultCfg,
     overrideCfg,
     fallbackFields,
@@ -162,7 +175,7 @@ function createSyntheticSecurityConfig({
   }
 
   if (!peerOappId && peer && !isZeroAddress(peer)) {
-    peerOappId = `${eid}_${AddressUtils.normalizeSafe(peer)}`;
+    peerOappId = `${eid}_${AddressUtils.normalizeRemote(peer, eid)}`;
   }
 
   const normalizedEntry = {
@@ -172,6 +185,7 @@ function createSyntheticSecurityConfig({
     oapp: oappAddress,
     oappId,
     effectiveReceiveLibrary,
+    effectiveReceiveLibraryVersion: trackedLibrary?.version ?? null,
     effectiveConfirmations: effectiveConfig.confirmations,
     effectiveRequiredDVNCount: effectiveConfig.requiredDVNCount,
     effectiveOptionalDVNCount: effectiveConfig.optionalDVNCount,
@@ -182,12 +196,19 @@ function createSyntheticSecurityConfig({
     isConfigTracked,
     usesDefaultLibrary,
     usesDefaultConfig,
-    usesRequiredDVNSentinel,
+    usesRequiredDVNSentinel: effectiveConfig.usesRequiredDVNSentinel,
+    usesOptionalDVNSentinel: effectiveConfig.usesOptionalDVNSentinel,
+    usesConfirmationsSentinel: effectiveConfig.usesConfirmationsSentinel,
     fallbackFields: orderFallbackFields(fallbackFields),
     defaultLibraryVersionId: defaultLibrary?.lastUpdatedByEventId ?? null,
     defaultConfigVersionId: defaultConfig?.lastUpdatedByEventId ?? null,
     libraryOverrideVersionId: overrideLibrary?.lastUpdatedByEventId ?? null,
     configOverrideVersionId: overrideConfig?.lastUpdatedByEventId ?? null,
+    gracePeriodLibrary: null,
+    gracePeriodExpiry: null,
+    gracePeriodLibraryStatus: null,
+    gracePeriodIsWeaker: false,
+    gracePeriodVersionId: null,
     lastComputedTransactionHash: null,
     lastComputedBlock: null,
     lastComputedTimestamp: null,
@@ -210,52 +231,169 @@ function createSyntheticSecurityConfig({
   return normalizedEntry;
 }
 
-function resolveConfig({ isConfigTracked, defaultCfg, overrideCfg, fallbackFields }) {
+function selectLibraryConfig(configs, library) {
+  if (!library || !Array.isArray(configs)) {
+    return null;
+  }
+  return configs.find((row) => AddressUtils.normalizeSafe(row.library) === library) ?? null;
+}
+
+/**
+ * Field-by-field merge of default and override ULN configs, mirroring mergeSecurityConfig in
+ * src/securityConfigMerge.ts. test/securityConfigConformance.test.ts runs both against the
+ * shared fixtures in test/fixtures/securityConfigMerge.json.
+ */
+function resolveConfig({
+  isConfigTracked,
+  isDefaultTracked,
+  defaultCfg,
+  overrideCfg,
+  fallbackFields,
+}) {
   if (!isConfigTracked) {
     return {
       effectiveConfig: emptyEffectiveConfig(),
       usesDefaultConfig: false,
-      usesRequiredDVNSentinel: false,
     };
   }
 
-  const effective = emptyEffectiveConfig();
-  let usesDefaultConfig = true;
-  let usesSentinel = false;
+  const effective = mergeConfigFields(defaultCfg, overrideCfg, fallbackFields);
+  const defaultOnly = mergeConfigFields(defaultCfg, emptyNormalizedConfig(), new Set());
+
+  return {
+    effectiveConfig: effective,
+    usesDefaultConfig: isDefaultTracked && effectiveConfigsEqual(effective, defaultOnly),
+  };
+}
+
+function mergeConfigFields(defaultCfg, overrideCfg, fallbackFields) {
+  // Fields only count as fallbacks when the OApp set some config of its own
+  const markFallback = (field) => {
+    if (overrideCfg.hasValues) {
+      fallbackFields.add(field);
+    }
+  };
+
+  let confirmations = null;
+  let usesConfirmationsSentinel = false;
+  if (overrideCfg.confirmations !== null && overrideCfg.confirmations !== 0n) {
+    usesConfirmationsSentinel = overrideCfg.confirmations === CONFIRMATIONS_SENTINEL;
+    confirmations =
+      overrideCfg.confirmations === CONFIRMATIONS_SENTINEL ? 0n : overrideCfg.confirmations;
+  } else if (defaultCfg.confirmations !== null) {
+    usesConfirmationsSentinel = defaultCfg.confirmations === CONFIRMATIONS_SENTINEL;
+    confirmations =
+      defaultCfg.confirmations === CONFIRMATIONS_SENTINEL ? 0n : defaultCfg.confirmations;
+    markFallback("confirmations");
+  }
+
+  let rawRequiredCount = null;
+  if (overrideCfg.requiredDVNCount !== null && overrideCfg.requiredDVNCount > 0) {
+    rawRequiredCount = overrideCfg.requiredDVNCount;
+  } else if (defaultCfg.requiredDVNCount !== null) {
+    rawRequiredCount = defaultCfg.requiredDVNCount;
+    markFallback("requiredDVNCount");
+  }
+
+  let rawOptionalCount = null;
+  let usesOptionalDVNSentinel = false;
+  if (overrideCfg.optionalDVNCount !== null && overrideCfg.optionalDVNCount > 0) {
+    usesOptionalDVNSentinel = overrideCfg.optionalDVNCount === OPTIONAL_DVN_SENTINEL;
+    rawOptionalCount =
+      overrideCfg.optionalDVNCount === OPTIONAL_DVN_SENTINEL ? 0 : overrideCfg.optionalDVNCount;
+  } else if (defaultCfg.optionalDVNCount !== null) {
+    usesOptionalDVNSentinel = defaultCfg.optionalDVNCount === OPTIONAL_DVN_SENTINEL;
+    rawOptionalCount =
+      defaultCfg.optionalDVNCount === OPTIONAL_DVN_SENTINEL ? 0 : defaultCfg.optionalDVNCount;
+    markFallback("optionalDVNCount");
+  }
 
-  if (overrideCfg.hasValues) {
-    usesDefaultConfig = false;
-    assignConfig(effective, overrideCfg);
-    usesSentinel = overrideCfg.requiredDVNCount === REQUIRED_DVN_SENTINEL;
+  let optionalDVNThreshold = null;
+  if (overrideCfg.optionalDVNThreshold !== null && overrideCfg.optionalDVNThreshold > 0) {
+    optionalDVNThreshold = overrideCfg.optionalDVNThreshold;
+  } else if (defaultCfg.optionalDVNThreshold !== null) {
+    optionalDVNThreshold = defaultCfg.optionalDVNThreshold;
+    markFallback("optionalDVNThreshold");
+  }
 
-    FALLBACK_FIELD_ORDER.forEach((field) => {
-      if (overrideCfg[field] === undefined || overrideCfg[field] === null) {
-        fallbackFields.add(field);
-      }
-    });
-  } else {
-    assignConfig(effective, defaultCfg);
-    usesSentinel = defaultCfg.requiredDVNCount === REQUIRED_DVN_SENTINEL;
-    FALLBACK_FIELD_ORDER.forEach((field) => {
-      if (defaultCfg[field] !== undefined && defaultCfg[field] !== null) {
-        fallbackFields.add(field);
-      }
-    });
+  const usesRequiredDVNSentinel = rawRequiredCount === REQUIRED_DVN_SENTINEL;
+
+  let requiredDVNs = [];
+  if (usesRequiredDVNSentinel) {
+    requiredDVNs = [];
+  } else if (overrideCfg.requiredDVNs.length > 0) {
+    requiredDVNs = overrideCfg.requiredDVNs;
+  } else if (
+    defaultCfg.requiredDVNs.length > 0 ||
+    (defaultCfg.requiredDVNCount !== null && defaultCfg.requiredDVNCount > 0)
+  ) {
+    requiredDVNs = defaultCfg.requiredDVNs;
+    markFallback("requiredDVNs");
+  }
+
+  let optionalDVNs = [];
+  if (usesOptionalDVNSentinel) {
+    optionalDVNs = [];
+  } else if (overrideCfg.optionalDVNs.length > 0) {
+    optionalDVNs = overrideCfg.optionalDVNs;
+  } else if (
+    defaultCfg.optionalDVNs.length > 0 ||
+    (defaultCfg.optionalDVNCount !== null && defaultCfg.optionalDVNCount > 0)
+  ) {
+    optionalDVNs = defaultCfg.optionalDVNs;
+    markFallback("optionalDVNs");
+  }
+
+  let requiredDVNCount = null;
+  if (usesRequiredDVNSentinel) {
+    requiredDVNCount = 0;
+  } else if (requiredDVNs.length > 0) {
+    requiredDVNCount = requiredDVNs.length;
+  } else if (rawRequiredCount !== null) {
+    requiredDVNCount = rawRequiredCount;
+  }
+
+  let optionalDVNCount = optionalDVNs.length;
+  if (optionalDVNCount === 0 && rawOptionalCount !== null) {
+    optionalDVNCount = rawOptionalCount;
+  }
+
+  // Same auto-correction as the indexer: a threshold above the count is capped
+  if (optionalDVNThreshold !== null && optionalDVNThreshold > optionalDVNCount) {
+    optionalDVNThreshold = optionalDVNCount;
   }
 
   return {
-    effectiveConfig: effective,
-    usesDefaultConfig,
-    usesRequiredDVNSentinel: usesSentinel,
+    confirmations: confirmations !== null ? confirmations.toString() : null,
+    requiredDVNCount,
+    optionalDVNCount,
+    optionalDVNThreshold,
+    requiredDVNs,
+    optionalDVNs,
+    usesRequiredDVNSentinel,
+    usesOptionalDVNSentinel,
+    usesConfirmationsSentinel,
   };
 }
 
+function effectiveConfigsEqual(a, b) {
+  return (
+    a.usesRequiredDVNSentinel === b.usesRequiredDVNSentinel &&
+    a.confirmations === b.confirmations &&
+    (a.requiredDVNCount ?? 0) === (b.requiredDVNCount ?? 0) &&
+    a.optionalDVNCount === b.optionalDVNCount &&
+    (a.optionalDVNThreshold ?? 0) === (b.optionalDVNThreshold ?? 0) &&
+    a.requiredDVNs.join(",") === b.requiredDVNs.join(",") &&
+    a.optionalDVNs.join(",") === b.optionalDVNs.join(",")
+  );
+}
+
 function normalizeConfig(input) {
   if (!input) {
     return emptyNormalizedConfig();
   }
 
-  const confirmations = input.confirmations ?? null;
+  const confirmations = bigIntSafe(input.confirmations);
   const requiredDVNCount =
     input.requiredDVNCount !== undefined && input.requiredDVNCount !== null
       ? Number(input.requiredDVNCount)
@@ -272,11 +410,12 @@ function normalizeConfig(input) {
   const requiredDVNs = Array.isArray(input.requiredDVNs) ? dedupeAddresses(input.requiredDVNs) : [];
   const optionalDVNs = Array.isArray(input.optionalDVNs) ? dedupeAddresses(input.optionalDVNs) : [];
 
+  // Zero means "inherit from default"; sentinels count as explicit values
   const hasValues =
-    confirmations !== null ||
-    (requiredDVNCount !== null && requiredDVNCount !== 0) ||
-    (optionalDVNCount !== null && optionalDVNCount !== 0) ||
-    (optionalDVNThreshold !== null && optionalDVNThreshold !== 0) ||
+    (confirmations !== null && confirmations !== 0n) ||
+    (requiredDVNCount !== null && requiredDVNCount > 0) ||
+    (optionalDVNCount !== null && optionalDVNCount > 0) ||
+    (optionalDVNThreshold !== null && optionalDVNThreshold > 0) ||
     requiredDVNs.length > 0 ||
     optionalDVNs.length > 0;
 
@@ -311,30 +450,12 @@ function emptyEffectiveConfig() {
     optionalDVNThreshold: null,
     requiredDVNs: [],
     optionalDVNs: [],
+    usesRequiredDVNSentinel: false,
+    usesOptionalDVNSentinel: false,
+    usesConfirmationsSentinel: false,
   };
 }
 
-function assignConfig(target, source) {
-  target.confirmations =
-    source.confirmations !== undefined && source.confirmations !== null
-      ? source.confirmations
-      : null;
-  target.requiredDVNCount =
-    source.requiredDVNCount !== undefined && source.requiredDVNCount !== null
-      ? source.requiredDVNCount
-      : null;
-  target.optionalDVNCount =
-    source.optionalDVNCount !== undefined && source.optionalDVNCount !== null
-      ? source.optionalDVNCount
-      : 0;
-  target.optionalDVNThreshold =
-    source.optionalDVNThreshold !== undefined && source.optionalDVNThreshold !== null
-      ? source.optionalDVNThreshold
-      : null;
-  target.requiredDVNs = source.requiredDVNs ?? [];
-  target.optionalDVNs = source.optionalDVNs ?? [];
-}
-
 function dedupeAddresses(addresses) {
   const seen = new Set();
   const result = [];
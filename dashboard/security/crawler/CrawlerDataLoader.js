@@ -1,4 +1,5 @@
 import { splitOAppId } from "../../core.js";
+import { resolveCacheTtl } from "../../queryCache.js";
 import { AddressUtils } from "../../utils/AddressUtils.js";
 
 const SECURITY_BATCH_QUERY = `
@@ -10,6 +11,7 @@ const SECURITY_BATCH_QUERY = `
       localEid
       oapp
       effectiveReceiveLibrary
+      effectiveReceiveLibraryVersion
       effectiveConfirmations
       effectiveRequiredDVNCount
       effectiveOptionalDVNCount
@@ -20,11 +22,18 @@ const SECURITY_BATCH_QUERY = `
       usesDefaultLibrary
       usesDefaultConfig
       usesRequiredDVNSentinel
+      usesOptionalDVNSentinel
+      usesConfirmationsSentinel
       fallbackFields
       defaultLibraryVersionId
       defaultConfigVersionId
       libraryOverrideVersionId
       configOverrideVersionId
+      gracePeriodLibrary
+      gracePeriodExpiry
+      gracePeriodLibraryStatus
+      gracePeriodIsWeaker
+      gracePeriodVersionId
       lastComputedBlock
       lastComputedTimestamp
       lastComputedByEventId
@@ -43,6 +52,7 @@ const SECURITY_BATCH_QUERY = `
       localEid
       oapp
       effectiveReceiveLibrary
+      effectiveReceiveLibraryVersion
       effectiveConfirmations
       effectiveRequiredDVNCount
       effectiveOptionalDVNCount
@@ -53,11 +63,18 @@ const SECURITY_BATCH_QUERY = `
       usesDefaultLibrary
       usesDefaultConfig
       usesRequiredDVNSentinel
+      usesOptionalDVNSentinel
+      usesConfirmationsSentinel
       fallbackFields
       defaultLibraryVersionId
       defaultConfigVersionId
       libraryOverrideVersionId
       configOverrideVersionId
+      gracePeriodLibrary
+      gracePeriodExpiry
+      gracePeriodLibraryStatus
+      gracePeriodIsWeaker
+      gracePeriodVersionId
       lastComputedBlock
       lastComputedTimestamp
       lastComputedByEventId
@@ -87,6 +104,16 @@ const SECURITY_BATCH_QUERY = `
       lastUpdatedByEventId
       transactionHash
     }
+    OAppDelegate(where: { oappId: { _in: $oappIds } }) {
+      oappId
+      delegate
+      delegateKind
+    }
+    OAppOwner(where: { oappId: { _in: $oappIds } }) {
+      oappId
+      owner
+      ownerKind
+    }
     OAppRouteStats(where: { oappId: { _in: $oappIds } }) {
       id
       oappId
@@ -94,6 +121,17 @@ const SECURITY_BATCH_QUERY = `
       packetCount
       lastPacketBlock
       lastPacketTimestamp
+      skippedNonceCount
+      nilifiedPacketCount
+      burntPacketCount
+    }
+    OAppRouteVolume(where: { oappId: { _in: $oappIds } }) {
+      oappId
+      eid
+      sentAmount
+      sentCount
+      receivedAmount
+      receivedCount
     }
     OAppReceiveLibrary(where: { oappId: { _in: $oappIds } }) {
       oappId
@@ -107,6 +145,7 @@ const SECURITY_BATCH_QUERY = `
     OAppUlnConfig(where: { oappId: { _in: $oappIds } }) {
       oappId
       eid
+      library
       confirmations
       requiredDVNCount
       optionalDVNCount
@@ -130,6 +169,7 @@ const SECURITY_BATCH_QUERY = `
     DefaultUlnConfig(where: { localEid: { _in: $localEids } }) {
       localEid
       eid
+      library
       confirmations
       requiredDVNCount
       optionalDVNCount
@@ -144,6 +184,23 @@ const SECURITY_BATCH_QUERY = `
   }
 `;
 
+// Batch result fields keyed by the OApp they belong to; a per-OApp slice keeps the same shape
+const OAPP_ROW_FIELDS = Object.freeze({
+  origin: "oappId",
+  referencing: "peerOappId",
+  OAppStats: "id",
+  OAppPeer: "oappId",
+  OAppDelegate: "oappId",
+  OAppOwner: "oappId",
+  OAppRouteStats: "oappId",
+  OAppRouteVolume: "oappId",
+  OAppReceiveLibrary: "oappId",
+  OAppUlnConfig: "oappId",
+});
+
+// Chain-wide defaults, copied into every slice of that localEid
+const DEFAULT_ROW_FIELDS = Object.freeze(["DefaultReceiveLibrary", "DefaultUlnConfig"]);
+
 export class CrawlerDataLoader {
   constructor(client) {
     this.client = client;
@@ -162,14 +219,63 @@ export class CrawlerDataLoader {
     return AddressUtils.isZero(addressPart) ? null : str;
   }
 
-  async fetchBatch(oappIds) {
+  /**
+   * Loads security data for a batch of OApps. With a client cache, each OApp's slice of
+   * the batch response is cached on its own, so later crawls only query the OApps they
+   * have not seen within the TTL, whatever batches they fall into.
+   */
+  async fetchBatch(oappIds, options = {}) {
     if (!Array.isArray(oappIds) || oappIds.length === 0) {
       return this.emptyBatch();
     }
 
-    const uniqueIds = Array.from(new Set(oappIds));
+    const uniqueIds = Array.from(new Set(oappIds.map(String)));
+    const cache = this.client.cache;
+    const ttl = resolveCacheTtl(SECURITY_BATCH_QUERY);
+    const useCache = Boolean(cache) && options.cache !== false && ttl > 0;
+    const scope = useCache ? this.client.cacheScope() : null;
+    const cacheOptions = useCache ? this.client.cacheOptions() : null;
+    const sliceKey = (oappId) => `${scope}|crawler-oapp|${oappId}`;
+
+    const slices = [];
+    let missingIds = uniqueIds;
+    if (useCache && !options.refresh) {
+      const hits = await Promise.all(uniqueIds.map((id) => cache.get(sliceKey(id), cacheOptions)));
+      options.signal?.throwIfAborted();
+      missingIds = [];
+      hits.forEach((hit, index) => {
+        if (hit) {
+          slices.push(hit.value);
+          options.onCacheHit?.(hit.storedAt);
+        } else {
+          missingIds.push(uniqueIds[index]);
+        }
+      });
+    }
+
+    if (missingIds.length) {
+      const variables = { oappIds: missingIds, localEids: this.collectLocalEids(missingIds) };
+      const data = await this.client.query(SECURITY_BATCH_QUERY, variables, {
+        ...options,
+        cache: false,
+      });
+      const fetched = this.splitByOApp(data, missingIds);
+      if (useCache) {
+        await Promise.all(
+          Array.from(fetched, ([oappId, slice]) =>
+            cache.set(sliceKey(oappId), slice, ttl, cacheOptions),
+          ),
+        );
+      }
+      slices.push(...fetched.values());
+    }
+
+    return this.buildMaps(this.mergeSlices(slices));
+  }
+
+  collectLocalEids(oappIds) {
     const localEidSet = new Set();
-    uniqueIds.forEach((id) => {
+    oappIds.forEach((id) => {
       const { localEid } = splitOAppId(id);
       if (localEid === null || localEid === undefined) {
         return;
@@ -179,11 +285,65 @@ export class CrawlerDataLoader {
         localEidSet.add(numeric);
       }
     });
-    const localEids = Array.from(localEidSet);
+    return Array.from(localEidSet);
+  }
 
-    const variables = { oappIds: uniqueIds, localEids };
-    const data = await this.client.query(SECURITY_BATCH_QUERY, variables);
-    return this.buildMaps(data);
+  emptySlice() {
+    const slice = {};
+    Object.keys(OAPP_ROW_FIELDS).forEach((field) => {
+      slice[field] = [];
+    });
+    DEFAULT_ROW_FIELDS.forEach((field) => {
+      slice[field] = [];
+    });
+    return slice;
+  }
+
+  splitByOApp(data, oappIds) {
+    const slices = new Map(oappIds.map((id) => [id, this.emptySlice()]));
+
+    Object.entries(OAPP_ROW_FIELDS).forEach(([field, idField]) => {
+      (data?.[field] || []).forEach((row) => {
+        slices.get(String(row[idField]))?.[field].push(row);
+      });
+    });
+
+    DEFAULT_ROW_FIELDS.forEach((field) => {
+      const rowsByLocalEid = new Map();
+      (data?.[field] || []).forEach((row) => {
+        const key = String(row.localEid);
+        if (!rowsByLocalEid.has(key)) rowsByLocalEid.set(key, []);
+        rowsByLocalEid.get(key).push(row);
+      });
+      slices.forEach((slice, oappId) => {
+        const { localEid } = splitOAppId(oappId);
+        slice[field] = rowsByLocalEid.get(String(localEid)) ?? [];
+      });
+    });
+
+    return slices;
+  }
+
+  // Defaults repeat across slices of one chain; the first slice carrying a localEid wins
+  mergeSlices(slices) {
+    const merged = this.emptySlice();
+    const claimed = new Map(DEFAULT_ROW_FIELDS.map((field) => [field, new Set()]));
+
+    slices.forEach((slice) => {
+      Object.keys(OAPP_ROW_FIELDS).forEach((field) => {
+        merged[field].push(...(slice[field] || []));
+      });
+      DEFAULT_ROW_FIELDS.forEach((field) => {
+        const seen = claimed.get(field);
+        const rows = (slice[field] || []).filter((row) => !seen.has(String(row.localEid)));
+        rows.forEach((row) => {
+          seen.add(String(row.localEid));
+        });
+        merged[field].push(...rows);
+      });
+    });
+
+    return merged;
   }
 
   emptyBatch() {
@@ -192,11 +352,14 @@ export class CrawlerDataLoader {
       referencing: new Map(),
       oapps: new Map(),
       peerRecordsByOapp: new Map(),
+      delegates: new Map(),
+      owners: new Map(),
       defaultLibraries: new Map(),
       defaultConfigs: new Map(),
       oappLibraries: new Map(),
       oappConfigs: new Map(),
       routeStats: new Map(),
+      routeVolumes: new Map(),
     };
   }
 
@@ -253,6 +416,16 @@ export class CrawlerDataLoader {
       peerRecordsByOapp.get(oappKey).set(eidKey, peer);
     });
 
+    const delegateMap = new Map();
+    (data.OAppDelegate || []).forEach((row) => {
+      delegateMap.set(String(row.oappId), row);
+    });
+
+    const ownerMap = new Map();
+    (data.OAppOwner || []).forEach((row) => {
+      ownerMap.set(String(row.oappId), row);
+    });
+
     const defaultLibraryMap = new Map();
     (data.DefaultReceiveLibrary || []).forEach((row) => {
       const key = String(row.localEid);
@@ -288,16 +461,26 @@ export class CrawlerDataLoader {
       routeStatsMap.get(key).push(row);
     });
 
+    const routeVolumeMap = new Map();
+    (data.OAppRouteVolume || []).forEach((row) => {
+      const key = String(row.oappId);
+      if (!routeVolumeMap.has(key)) routeVolumeMap.set(key, new Map());
+      routeVolumeMap.get(key).set(String(row.eid), row);
+    });
+
     return {
       origin: originMap,
       referencing: referencingMap,
       oapps: oappMap,
       peerRecordsByOapp,
+      delegates: delegateMap,
+      owners: ownerMap,
       defaultLibraries: defaultLibraryMap,
       defaultConfigs: defaultConfigMap,
       oappLibraries: oappLibraryMap,
       oappConfigs: oappConfigMap,
       routeStats: routeStatsMap,
+      routeVolumes: routeVolumeMap,
     };
   }
 }
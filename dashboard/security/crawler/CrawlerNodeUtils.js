@@ -25,7 +25,6 @@ export function buildPeerInfo(config) {
 
   const rawPeer = config.peer ?? null;
   const peerStateHint = config.peerStateHint ?? null;
-  const normalizedPeer = AddressUtils.normalizeSafe(rawPeer);
   let peerOappId = config.peerOappId ?? null;
 
   let derivedLocalEid = null;
@@ -42,6 +41,8 @@ export function buildPeerInfo(config) {
     derivedLocalEid = String(config.localEid);
   }
 
+  const normalizedPeer = AddressUtils.normalizeRemote(rawPeer, derivedLocalEid);
+
   const isExplicitBlock = peerStateHint === "explicit-blocked";
   const isImplicitBlock = peerStateHint === "implicit-blocked";
   const isZeroPeer =
@@ -3,9 +3,15 @@
 const fs = require("fs");
 const path = require("path");
 
-const args = process.argv.slice(2);
+const rawArgs = process.argv.slice(2);
+const args = rawArgs.filter((arg) => !arg.startsWith("--"));
+const manifestArg = rawArgs.find((arg) => arg.startsWith("--manifest="));
 const inputPath = args[0] || path.join(__dirname, "layerzero.json");
 const outputPath = args[1] || path.join(__dirname, "layerzero-slim.json");
+const manifestPath = manifestArg ? path.resolve(manifestArg.slice("--manifest=".length)) : null;
+
+// Contracts the indexer subscribes to; kept so chains.json can be derived from the slim file
+const DEPLOYMENT_CONTRACTS = ["endpointV2", "receiveUln302", "receiveUln301", "sendUln302"];
 
 function slimifyDeployment(deployment) {
   if (!deployment || typeof deployment !== "object") {
@@ -16,6 +22,12 @@ function slimifyDeployment(deployment) {
 
   if (deployment.eid !== undefined) slim.eid = deployment.eid;
   if (deployment.stage !== undefined) slim.stage = deployment.stage;
+  if (deployment.version !== undefined) slim.version = deployment.version;
+
+  for (const contract of DEPLOYMENT_CONTRACTS) {
+    const address = deployment[contract] && deployment[contract].address;
+    if (address !== undefined) slim[contract] = { address };
+  }
 
   return slim;
 }
@@ -57,6 +69,9 @@ function slimifyChain(chain) {
     if (chain.chainDetails.chainKey !== undefined) {
       slim.chainDetails.chainKey = chain.chainDetails.chainKey;
     }
+    if (chain.chainDetails.nativeChainId !== undefined) {
+      slim.chainDetails.nativeChainId = chain.chainDetails.nativeChainId;
+    }
   }
 
   if (Array.isArray(chain.deployments)) {
@@ -93,6 +108,52 @@ function slimifyLayerzero(data) {
   return { data: slim, filteredCount };
 }
 
+/**
+ * Refresh chains.json entries (keyed by localEid) from LayerZero metadata.
+ * New chains are added to the manifest by hand with just chainKey + localEid;
+ * chainId and library addresses are filled in here, startBlock is preserved.
+ */
+function deriveChainManifest(data, manifest) {
+  const deploymentsByEid = new Map();
+  for (const chain of Object.values(data)) {
+    if (!chain || !Array.isArray(chain.deployments)) continue;
+    for (const deployment of chain.deployments) {
+      if (!deployment || deployment.endpointV2 === undefined) continue;
+      deploymentsByEid.set(String(deployment.eid), { chain, deployment });
+    }
+  }
+
+  const missing = [];
+  const chains = manifest.chains.map((entry) => {
+    const match = deploymentsByEid.get(String(entry.localEid));
+    if (!match) {
+      missing.push(entry.chainKey || entry.localEid);
+      return entry;
+    }
+    const { chain, deployment } = match;
+    const nativeChainId = chain.chainDetails && chain.chainDetails.nativeChainId;
+    const next = {
+      chainKey: entry.chainKey || chain.chainKey,
+      chainId: nativeChainId !== undefined ? Number(nativeChainId) : entry.chainId,
+      localEid: entry.localEid,
+      startBlock: entry.startBlock ?? 0,
+    };
+    for (const contract of DEPLOYMENT_CONTRACTS) {
+      const address = deployment[contract] && deployment[contract].address;
+      if (address !== undefined || entry[contract] !== undefined) {
+        next[contract] = address ?? entry[contract];
+      }
+    }
+    return next;
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`No EndpointV2 deployment found for manifest chains: ${missing.join(", ")}`);
+  }
+
+  return { ...manifest, chains };
+}
+
 function displayStats(originalSize, slimSize, originalChainCount, slimChainCount, filteredCount) {
   const reduction = originalSize - slimSize;
   const percentReduction = ((reduction / originalSize) * 100).toFixed(2);
@@ -133,6 +194,14 @@ try {
 
   displayStats(originalSize, slimSize, originalChainCount, slimChainCount, filteredCount);
   console.log("\nOutput written to:", outputPath);
+
+  if (manifestPath) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    const refreshed = deriveChainManifest(slimData, manifest);
+    fs.writeFileSync(manifestPath, `${JSON.stringify(refreshed, null, 2)}\n`, "utf8");
+    console.log("Manifest refreshed:", manifestPath);
+    console.log("Run `npm run chains:generate` to regenerate config.yaml and the registries.");
+  }
 } catch (error) {
   console.error("Error:", error.message);
   process.exit(1);
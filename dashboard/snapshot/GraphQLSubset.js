@@ -0,0 +1,392 @@
+/**
+ * Just enough GraphQL to answer the explorer's own queries offline: one operation of
+ * root fields with optional aliases, `where` / `order_by` / `limit` / `offset`
+ * arguments and flat scalar selections. Filters follow Hasura's bool_exp semantics.
+ */
+
+const PUNCTUATORS = new Set(["{", "}", "(", ")", "[", "]", ":", "$", "!", "="]);
+const NAME_PATTERN = /[_A-Za-z][_0-9A-Za-z]*/y;
+const NUMBER_PATTERN = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const STRING_PATTERN = /"(?:[^"\\]|\\.)*"/y;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMERIC_PATTERN = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    if (/[\s,]/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (char === "#") {
+      const lineEnd = source.indexOf("\n", index);
+      index = lineEnd === -1 ? source.length : lineEnd;
+      continue;
+    }
+    if (PUNCTUATORS.has(char)) {
+      tokens.push({ kind: "punct", value: char });
+      index += 1;
+      continue;
+    }
+
+    const match = [
+      ["name", NAME_PATTERN],
+      ["number", NUMBER_PATTERN],
+      ["string", STRING_PATTERN],
+    ].find(([, pattern]) => {
+      pattern.lastIndex = index;
+      return pattern.test(source);
+    });
+    if (!match) {
+      throw new Error(`Unexpected character "${char}" at offset ${index}`);
+    }
+    const [kind, pattern] = match;
+    const text = source.slice(index, pattern.lastIndex);
+    tokens.push({ kind, value: kind === "string" ? JSON.parse(text) : text });
+    index = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position] ?? null;
+  }
+
+  next() {
+    const token = this.tokens[this.position];
+    if (!token) {
+      throw new Error("Unexpected end of query");
+    }
+    this.position += 1;
+    return token;
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return token?.kind === "punct" && token.value === value;
+  }
+
+  expectPunct(value) {
+    const token = this.next();
+    if (token.kind !== "punct" || token.value !== value) {
+      throw new Error(`Expected "${value}" but found "${token.value}"`);
+    }
+  }
+
+  expectName() {
+    const token = this.next();
+    if (token.kind !== "name") {
+      throw new Error(`Expected a name but found "${token.value}"`);
+    }
+    return token.value;
+  }
+
+  parseDocument() {
+    let operation = "query";
+    let name = null;
+    const variableDefaults = {};
+
+    if (!this.isPunct("{")) {
+      operation = this.expectName();
+      if (operation !== "query" && operation !== "subscription") {
+        throw new Error(`Unsupported operation type "${operation}"`);
+      }
+      if (this.peek()?.kind === "name") {
+        name = this.expectName();
+      }
+      if (this.isPunct("(")) {
+        this.parseVariableDefinitions(variableDefaults);
+      }
+    }
+
+    const fields = this.parseSelectionSet();
+    if (this.peek()) {
+      throw new Error("Only a single operation per document is supported");
+    }
+    return { operation, name, variableDefaults, fields };
+  }
+
+  parseVariableDefinitions(defaults) {
+    this.expectPunct("(");
+    while (!this.isPunct(")")) {
+      this.expectPunct("$");
+      const variable = this.expectName();
+      this.expectPunct(":");
+      this.skipType();
+      if (this.isPunct("=")) {
+        this.next();
+        defaults[variable] = this.parseValue();
+      }
+    }
+    this.expectPunct(")");
+  }
+
+  skipType() {
+    if (this.isPunct("[")) {
+      this.next();
+      this.skipType();
+      this.expectPunct("]");
+    } else {
+      this.expectName();
+    }
+    if (this.isPunct("!")) {
+      this.next();
+    }
+  }
+
+  parseSelectionSet() {
+    this.expectPunct("{");
+    const fields = [];
+    while (!this.isPunct("}")) {
+      fields.push(this.parseField());
+    }
+    this.expectPunct("}");
+    return fields;
+  }
+
+  parseField() {
+    let name = this.expectName();
+    let alias = null;
+    if (this.isPunct(":")) {
+      this.next();
+      alias = name;
+      name = this.expectName();
+    }
+
+    const args = {};
+    if (this.isPunct("(")) {
+      this.next();
+      while (!this.isPunct(")")) {
+        const argName = this.expectName();
+        this.expectPunct(":");
+        args[argName] = this.parseValue();
+      }
+      this.expectPunct(")");
+    }
+
+    const selections = this.isPunct("{") ? this.parseSelectionSet() : null;
+    return { name, alias, args, selections };
+  }
+
+  parseValue() {
+    if (this.isPunct("$")) {
+      this.next();
+      return { variable: this.expectName() };
+    }
+    if (this.isPunct("[")) {
+      this.next();
+      const list = [];
+      while (!this.isPunct("]")) {
+        list.push(this.parseValue());
+      }
+      this.expectPunct("]");
+      return { list };
+    }
+    if (this.isPunct("{")) {
+      this.next();
+      const object = {};
+      while (!this.isPunct("}")) {
+        const key = this.expectName();
+        this.expectPunct(":");
+        object[key] = this.parseValue();
+      }
+      this.expectPunct("}");
+      return { object };
+    }
+
+    const token = this.next();
+    if (token.kind === "number") {
+      return { literal: Number(token.value) };
+    }
+    if (token.kind === "string") {
+      return { literal: token.value };
+    }
+    if (token.kind === "name") {
+      const keywords = { true: true, false: false, null: null };
+      // Enum values such as `desc` are kept as their names
+      return { literal: token.value in keywords ? keywords[token.value] : token.value };
+    }
+    throw new Error(`Unexpected "${token.value}" in value position`);
+  }
+}
+
+/**
+ * @returns {{ operation: string, name: string | null, variableDefaults: object, fields: object[] }}
+ */
+export function parseOperation(source) {
+  return new Parser(source).parseDocument();
+}
+
+/**
+ * Substitutes variables into a parsed argument value. Object fields bound to an unset
+ * variable are dropped, matching how Hasura treats omitted nullable arguments.
+ */
+export function resolveValue(node, variables, defaults = {}) {
+  if (!node) {
+    return undefined;
+  }
+  if ("variable" in node) {
+    const value = variables?.[node.variable];
+    if (value !== undefined) {
+      return value;
+    }
+    return node.variable in defaults ? resolveValue(defaults[node.variable], variables) : undefined;
+  }
+  if ("list" in node) {
+    return node.list.map((item) => resolveValue(item, variables, defaults));
+  }
+  if ("object" in node) {
+    const object = {};
+    Object.entries(node.object).forEach(([key, value]) => {
+      const resolved = resolveValue(value, variables, defaults);
+      if (resolved !== undefined) {
+        object[key] = resolved;
+      }
+    });
+    return object;
+  }
+  return node.literal;
+}
+
+function toComparable(value) {
+  if (typeof value === "boolean") {
+    return Number(value);
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? BigInt(value) : value;
+  }
+  if (typeof value === "string" && NUMERIC_PATTERN.test(value)) {
+    return INTEGER_PATTERN.test(value) ? BigInt(value) : Number(value);
+  }
+  return value;
+}
+
+/**
+ * Orders two column values the way Postgres would for the explorer's columns: numeric
+ * (including bigint strings) by value, everything else as strings.
+ */
+export function compareValues(left, right) {
+  const a = toComparable(left);
+  const b = toComparable(right);
+  const numeric = (value) => typeof value === "bigint" || typeof value === "number";
+  if (numeric(a) && numeric(b)) {
+    if (typeof a === typeof b) {
+      return a < b ? -1 : a > b ? 1 : 0;
+    }
+    return Number(a) < Number(b) ? -1 : Number(a) > Number(b) ? 1 : 0;
+  }
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function likeToRegExp(pattern, flags) {
+  const escaped = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".");
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+const COMPARISON_OPERATORS = {
+  _eq: (value, operand) =>
+    value !== null && value !== undefined && compareValues(value, operand) === 0,
+  _neq: (value, operand) =>
+    value !== null && value !== undefined && compareValues(value, operand) !== 0,
+  _gt: (value, operand) =>
+    value !== null && value !== undefined && compareValues(value, operand) > 0,
+  _gte: (value, operand) =>
+    value !== null && value !== undefined && compareValues(value, operand) >= 0,
+  _lt: (value, operand) =>
+    value !== null && value !== undefined && compareValues(value, operand) < 0,
+  _lte: (value, operand) =>
+    value !== null && value !== undefined && compareValues(value, operand) <= 0,
+  _in: (value, operand) =>
+    value !== null &&
+    value !== undefined &&
+    operand.some((candidate) => compareValues(value, candidate) === 0),
+  _nin: (value, operand) =>
+    value !== null &&
+    value !== undefined &&
+    !operand.some((candidate) => compareValues(value, candidate) === 0),
+  _is_null: (value, operand) => (value === null || value === undefined) === Boolean(operand),
+  _like: (value, operand) => typeof value === "string" && likeToRegExp(operand, "").test(value),
+  _ilike: (value, operand) => typeof value === "string" && likeToRegExp(operand, "i").test(value),
+  _contains: (value, operand) =>
+    Array.isArray(value) &&
+    (Array.isArray(operand) ? operand : [operand]).every((item) =>
+      value.some((entry) => compareValues(entry, item) === 0),
+    ),
+};
+
+export function matchesWhere(row, where) {
+  if (!where) {
+    return true;
+  }
+
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === "_and") {
+      return condition.every((clause) => matchesWhere(row, clause));
+    }
+    if (key === "_or") {
+      return condition.some((clause) => matchesWhere(row, clause));
+    }
+    if (key === "_not") {
+      return !matchesWhere(row, condition);
+    }
+
+    return Object.entries(condition ?? {}).every(([operator, operand]) => {
+      const compare = COMPARISON_OPERATORS[operator];
+      if (!compare) {
+        throw new Error(`Filter operator ${operator} is not supported offline`);
+      }
+      return compare(row[key], operand);
+    });
+  });
+}
+
+/**
+ * Sorts rows by a Hasura order_by value (an object or list of objects). Like Postgres,
+ * nulls sort last ascending and first descending unless the direction says otherwise.
+ */
+export function sortRows(rows, orderBy) {
+  const clauses = (Array.isArray(orderBy) ? orderBy : [orderBy])
+    .filter(Boolean)
+    .flatMap((clause) => Object.entries(clause));
+  if (!clauses.length) {
+    return rows;
+  }
+
+  return [...rows].sort((left, right) => {
+    for (const [column, direction] of clauses) {
+      const descending = direction.startsWith("desc");
+      const nullsFirst =
+        direction.endsWith("nulls_first") || (descending && !direction.endsWith("nulls_last"));
+      const a = left[column];
+      const b = right[column];
+      const aNull = a === null || a === undefined;
+      const bNull = b === null || b === undefined;
+
+      let result = 0;
+      if (aNull || bNull) {
+        result = aNull === bNull ? 0 : aNull === nullsFirst ? -1 : 1;
+      } else {
+        result = compareValues(a, b) * (descending ? -1 : 1);
+      }
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  });
+}
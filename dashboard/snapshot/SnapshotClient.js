@@ -0,0 +1,246 @@
+import { GraphQLRequestError } from "../core.js";
+import { matchesWhere, parseOperation, resolveValue, sortRows } from "./GraphQLSubset.js";
+
+const MANIFEST_FILE = "manifest.json";
+
+function normalizeBaseUrl(url) {
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+function collectEqualityValues(condition) {
+  if (!condition || typeof condition !== "object") {
+    return null;
+  }
+  if ("_eq" in condition) {
+    return [condition._eq];
+  }
+  if (Array.isArray(condition._in)) {
+    return condition._in;
+  }
+  return null;
+}
+
+/**
+ * Answers the explorer's GraphQL queries from a static snapshot written by
+ * scripts/exportSnapshot.js. Mirrors the HasuraClient surface the UI relies on, so
+ * QueryCoordinator, the query configs and the crawler work unchanged; live updates
+ * are not available.
+ */
+export class SnapshotClient {
+  /**
+   * @param {string} baseUrl directory holding manifest.json and the entity shards
+   */
+  constructor(baseUrl) {
+    this.endpoint = normalizeBaseUrl(baseUrl);
+    // Shards are fetched once and kept in memory, so there is nothing to cache
+    this.cache = null;
+    this.supportsSubscriptions = false;
+    this.manifestPromise = null;
+    this.shardPromises = new Map();
+    this.generatedAtMs = null;
+  }
+
+  /**
+   * The snapshot's export time once the manifest has loaded; shards hold nothing newer,
+   * so "last N days" windows are measured back from it.
+   */
+  now() {
+    return this.generatedAtMs ?? Date.now();
+  }
+
+  /**
+   * @returns {Promise<{ version: number, generatedAt: string, source: string, entities: object }>}
+   */
+  loadManifest() {
+    if (!this.manifestPromise) {
+      this.manifestPromise = this.fetchJson(MANIFEST_FILE).then(
+        (manifest) => {
+          const generatedAtMs = Date.parse(manifest?.generatedAt);
+          this.generatedAtMs = Number.isNaN(generatedAtMs) ? null : generatedAtMs;
+          return manifest;
+        },
+        (error) => {
+          this.manifestPromise = null;
+          throw error;
+        },
+      );
+    }
+    return this.manifestPromise;
+  }
+
+  async fetchJson(file) {
+    const url = new URL(file, new URL(this.endpoint, window.location.href)).toString();
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      if (error instanceof TypeError) {
+        throw new GraphQLRequestError(`Snapshot request failed: ${error.message}`, {
+          endpoint: this.endpoint,
+          code: "network",
+        });
+      }
+      throw error;
+    }
+    if (!response.ok) {
+      throw new GraphQLRequestError(
+        `Snapshot file ${file} could not be loaded: ${response.status} ${response.statusText}`,
+        { endpoint: this.endpoint, status: response.status },
+      );
+    }
+    return response.json();
+  }
+
+  loadShard(file) {
+    if (!this.shardPromises.has(file)) {
+      // Not tied to the caller's signal: other queries may be waiting on the same shard
+      const promise = this.fetchJson(file).catch((error) => {
+        this.shardPromises.delete(file);
+        throw error;
+      });
+      this.shardPromises.set(file, promise);
+    }
+    return this.shardPromises.get(file);
+  }
+
+  /**
+   * Narrows the shards to read from `localEid` or `${localEid}_…` id filters at the top
+   * level of `where` (or inside its `_and`); anything else reads every shard.
+   */
+  selectShardKeys(entry, where) {
+    const allKeys = Object.keys(entry.shards ?? {});
+    if (!entry.shardKey || !where) {
+      return allKeys;
+    }
+
+    const clauses = [where, ...(Array.isArray(where._and) ? where._and : [])];
+    let selected = null;
+    const narrow = (keys) => {
+      selected = selected ? selected.filter((key) => keys.has(key)) : [...keys];
+    };
+
+    for (const clause of clauses) {
+      const shardValues = collectEqualityValues(clause[entry.shardKey]);
+      if (shardValues) {
+        narrow(new Set(shardValues.map(String)));
+      }
+      for (const field of entry.prefixedFields ?? []) {
+        const values = collectEqualityValues(clause[field]);
+        if (values) {
+          narrow(new Set(values.map((value) => String(value).split("_")[0])));
+        }
+      }
+    }
+
+    return selected ? allKeys.filter((key) => selected.includes(key)) : allKeys;
+  }
+
+  async loadEntityRows(entity, where, signal) {
+    const manifest = await this.loadManifest();
+    const entry = manifest.entities?.[entity];
+    if (!entry) {
+      throw new GraphQLRequestError(`${entity} is not included in this snapshot`, {
+        endpoint: this.endpoint,
+        code: "validation-failed",
+      });
+    }
+
+    const files = this.selectShardKeys(entry, where).map((key) => entry.shards[key].file);
+    const shards = await Promise.all(files.map((file) => this.loadShard(file)));
+    signal?.throwIfAborted();
+    return shards.flat();
+  }
+
+  async resolveField(field, variables, defaults, signal) {
+    if (!field.selections) {
+      throw new GraphQLRequestError(`Field ${field.name} needs a selection set`, {
+        endpoint: this.endpoint,
+        code: "validation-failed",
+      });
+    }
+
+    const args = Object.fromEntries(
+      Object.entries(field.args).map(([name, node]) => [
+        name,
+        resolveValue(node, variables, defaults),
+      ]),
+    );
+    const unsupported = Object.keys(args).filter(
+      (name) => !["where", "order_by", "limit", "offset"].includes(name),
+    );
+    if (unsupported.length) {
+      throw new GraphQLRequestError(
+        `Argument ${unsupported.join(", ")} on ${field.name} is not supported offline`,
+        { endpoint: this.endpoint, code: "validation-failed" },
+      );
+    }
+
+    const rows = await this.loadEntityRows(field.name, args.where, signal);
+    let matched;
+    try {
+      matched = sortRows(
+        rows.filter((row) => matchesWhere(row, args.where)),
+        args.order_by,
+      );
+    } catch (error) {
+      throw new GraphQLRequestError(error.message, {
+        endpoint: this.endpoint,
+        code: "validation-failed",
+      });
+    }
+
+    const offset = Number(args.offset) || 0;
+    const limit = args.limit === undefined || args.limit === null ? undefined : Number(args.limit);
+    const page = matched.slice(offset, limit === undefined ? undefined : offset + limit);
+
+    return page.map((row) =>
+      Object.fromEntries(
+        field.selections.map((selection) => [
+          selection.alias ?? selection.name,
+          row[selection.name] ?? null,
+        ]),
+      ),
+    );
+  }
+
+  /**
+   * Same contract as HasuraClient.query: resolves to the `data` object and rejects with
+   * a GraphQLRequestError, or an AbortError once `options.signal` is aborted.
+   */
+  async query(query, variables = {}, options = {}) {
+    const { signal = null } = options;
+    signal?.throwIfAborted();
+
+    let operation;
+    try {
+      operation = parseOperation(query);
+    } catch (error) {
+      throw new GraphQLRequestError(`Could not parse query: ${error.message}`, {
+        endpoint: this.endpoint,
+        code: "parse-failed",
+      });
+    }
+
+    const results = await Promise.all(
+      operation.fields.map((field) =>
+        this.resolveField(field, variables, operation.variableDefaults, signal),
+      ),
+    );
+    signal?.throwIfAborted();
+
+    return Object.fromEntries(
+      operation.fields.map((field, index) => [field.alias ?? field.name, results[index]]),
+    );
+  }
+
+  subscribe() {
+    throw new Error("Live updates are not available for snapshot data");
+  }
+
+  setEndpoint(endpoint) {
+    this.endpoint = normalizeBaseUrl(endpoint);
+    this.manifestPromise = null;
+    this.shardPromises.clear();
+    this.generatedAtMs = null;
+  }
+}
@@ -0,0 +1,209 @@
+import { APP_CONFIG } from "./config.js";
+
+const PROTOCOL = "graphql-transport-ws";
+
+// 4400 bad request, 4401 unauthorized, 4403 forbidden: reconnecting cannot fix these
+const FATAL_CLOSE_CODES = new Set([4400, 4401, 4403]);
+
+export function toWebSocketUrl(endpoint) {
+  return String(endpoint).replace(/^http(s?):/i, "ws$1:");
+}
+
+/**
+ * Minimal graphql-transport-ws client for Hasura subscriptions. One socket multiplexes
+ * every active subscription; it opens with the first subscriber, reconnects with
+ * exponential backoff while any remain, and closes once the last one unsubscribes.
+ */
+export class SubscriptionTransport {
+  /**
+   * @param {string} url ws:// or wss:// endpoint
+   * @param {object} [options]
+   * @param {() => object} [options.connectionParams] connection_init payload, read on every connect
+   */
+  constructor(url, { connectionParams = null } = {}) {
+    this.url = url;
+    this.connectionParams = connectionParams;
+    this.socket = null;
+    this.acknowledged = false;
+    this.subscriptions = new Map();
+    this.nextId = 1;
+    this.failures = 0;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * @param {string} query
+   * @param {object} variables
+   * @param {{ next: (data: object) => void, error: (error: Error) => void }} handlers
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(query, variables, handlers) {
+    const id = String(this.nextId++);
+    this.subscriptions.set(id, { query, variables, handlers });
+
+    if (this.acknowledged) {
+      this.sendSubscribe(id);
+    } else {
+      this.connect();
+    }
+
+    return () => this.unsubscribe(id);
+  }
+
+  unsubscribe(id) {
+    if (!this.subscriptions.delete(id)) {
+      return;
+    }
+    if (this.acknowledged) {
+      this.send({ id, type: "complete" });
+    }
+    if (!this.subscriptions.size) {
+      this.close();
+    }
+  }
+
+  connect() {
+    if (this.socket || this.reconnectTimer) {
+      return;
+    }
+
+    const socket = new WebSocket(this.url, PROTOCOL);
+    this.socket = socket;
+    this.acknowledged = false;
+
+    socket.addEventListener("open", () => {
+      const payload = typeof this.connectionParams === "function" ? this.connectionParams() : {};
+      this.send({ type: "connection_init", payload: payload ?? {} });
+    });
+
+    socket.addEventListener("message", (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.warn("[SubscriptionTransport] Ignoring malformed message", error);
+        return;
+      }
+      this.handleMessage(message);
+    });
+
+    socket.addEventListener("close", (event) => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.socket = null;
+      this.acknowledged = false;
+      this.handleClose(event);
+    });
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case "connection_ack":
+        this.acknowledged = true;
+        this.failures = 0;
+        this.subscriptions.forEach((_, id) => {
+          this.sendSubscribe(id);
+        });
+        break;
+      case "ping":
+        this.send({ type: "pong" });
+        break;
+      case "next": {
+        const subscription = this.subscriptions.get(message.id);
+        const errors = message.payload?.errors;
+        if (Array.isArray(errors) && errors.length) {
+          this.failSubscription(message.id, errors);
+        } else {
+          subscription?.handlers.next(message.payload?.data ?? null);
+        }
+        break;
+      }
+      case "error":
+        this.failSubscription(message.id, message.payload);
+        break;
+      case "complete":
+        this.subscriptions.delete(message.id);
+        break;
+      default:
+        break;
+    }
+  }
+
+  failSubscription(id, errors) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      return;
+    }
+    this.subscriptions.delete(id);
+    const list = Array.isArray(errors) ? errors : [];
+    const error = new Error(
+      list.map((entry) => entry?.message || "Unknown error").join("; ") || "Subscription failed",
+    );
+    error.code = list[0]?.extensions?.code ?? null;
+    subscription.handlers.error(error);
+  }
+
+  handleClose(event) {
+    if (!this.subscriptions.size) {
+      return;
+    }
+
+    this.failures += 1;
+    if (FATAL_CLOSE_CODES.has(event.code) || this.failures > APP_CONFIG.REQUESTS.MAX_RETRIES) {
+      const error = new Error(
+        `Subscription connection closed: ${event.code}${event.reason ? ` ${event.reason}` : ""}`,
+      );
+      error.code = event.code;
+      const subscriptions = Array.from(this.subscriptions.values());
+      this.subscriptions.clear();
+      subscriptions.forEach(({ handlers }) => {
+        handlers.error(error);
+      });
+      return;
+    }
+
+    const delay = Math.min(
+      APP_CONFIG.REQUESTS.RETRY_MAX_DELAY_MS,
+      APP_CONFIG.REQUESTS.RETRY_BASE_DELAY_MS * 2 ** (this.failures - 1),
+    );
+    console.warn(
+      `[SubscriptionTransport] Connection lost (${event.code}); reconnecting in ${delay} ms`,
+    );
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.subscriptions.size) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  sendSubscribe(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      return;
+    }
+    this.send({
+      id,
+      type: "subscribe",
+      payload: { query: subscription.query, variables: subscription.variables },
+    });
+  }
+
+  send(message) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  close() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.failures = 0;
+    this.subscriptions.clear();
+    const socket = this.socket;
+    this.socket = null;
+    this.acknowledged = false;
+    socket?.close(1000, "No active subscriptions");
+  }
+}
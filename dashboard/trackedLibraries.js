@@ -1,35 +1,64 @@
+// BEGIN GENERATED CHAINS (scripts/generateChainArtifacts.js, edit chains.json)
 const entries = [
-  ["30101", "0xc02ab410f0734efa3f14628780e6e695156024c2"],
-  ["30111", "0x3c4962ff6258dcfcafd23a814237b7d6eb712063"],
-  ["30102", "0xb217266c3a98c8b2709ee26836c98cf12f6ccec1"],
-  ["30320", "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043"],
-  ["30109", "0x1322871e4ab09bc7f5717189434f97bbd9546e95"],
-  ["30165", "0x04830f6decf08dec9ed6c3fcad215245b78a59e1"],
-  ["30319", "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043"],
-  ["30367", "0x7cacbe439ead55fa1c22790330b12835c6884a91"],
-  ["30321", "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043"],
-  ["30340", "0x364b548d8e6db7ca84aaafa54595919eccf961ea"],
-  ["30184", "0xc70ab6f32772f59fbfc23889caf4ba3376c84baf"],
-  ["30260", "0xc1b621b18187f74c8f6d52a6f709dd2780c09821"],
-  ["30110", "0x7b9e184e07a6ee1ac23eae0fe8d6be2f663f05e6"],
-  ["30339", "0x473132bb594caef281c68718f4541f73fe14dc89"],
-  ["30183", "0xe22ed54177ce1148c557de74e4873619e6c6b205"],
-  ["30243", "0x377530cda84dfb2673bf4d145dcf0c4d7fdcb5b6"],
-  ["30214", "0x8363302080e711e0cab978c081b9e69308d49808"],
-  ["30195", "0x57d9775ee8fec31f1b612a06266f599da167d211"],
+  ["30101", "0xc02ab410f0734efa3f14628780e6e695156024c2", 302],
+  ["30101", "0x245b6e8ffe9ea5fc301e32d16f66bd4c2123eefc", 301],
+  ["30111", "0x3c4962ff6258dcfcafd23a814237b7d6eb712063", 302],
+  ["30111", "0x6c9ae31dfb56699d6bd553146f653dcec3b174fe", 301],
+  ["30102", "0xb217266c3a98c8b2709ee26836c98cf12f6ccec1", 302],
+  ["30102", "0xff3da3a1cd39bbaeb8d7cb2deb83efc065cbb38f", 301],
+  ["30320", "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043", 302],
+  ["30320", "0x15e51701f245f6d5bd0fee87bcaf55b0841451b3", 301],
+  ["30109", "0x1322871e4ab09bc7f5717189434f97bbd9546e95", 302],
+  ["30109", "0x3823094993190fbb3bfabfec8365b8c18517566f", 301],
+  ["30165", "0x04830f6decf08dec9ed6c3fcad215245b78a59e1", 302],
+  ["30165", "0xf7709ee21566034c06e9308850b58a3ed4b752e0", 301],
+  ["30319", "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043", 302],
+  ["30319", "0x15e51701f245f6d5bd0fee87bcaf55b0841451b3", 301],
+  ["30367", "0x7cacbe439ead55fa1c22790330b12835c6884a91", 302],
+  ["30367", "0x377530cda84dfb2673bf4d145dcf0c4d7fdcb5b6", 301],
+  ["30321", "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043", 302],
+  ["30321", "0x15e51701f245f6d5bd0fee87bcaf55b0841451b3", 301],
+  ["30340", "0x364b548d8e6db7ca84aaafa54595919eccf961ea", 302],
+  ["30340", "0x46523e5fd61840d065fb8a0f5dffaf235f4475f6", 301],
+  ["30184", "0xc70ab6f32772f59fbfc23889caf4ba3376c84baf", 302],
+  ["30184", "0x58d53a2d6a08b72a15137f3381d21b90638bd753", 301],
+  ["30260", "0xc1b621b18187f74c8f6d52a6f709dd2780c09821", 302],
+  ["30260", "0x7cacbe439ead55fa1c22790330b12835c6884a91", 301],
+  ["30110", "0x7b9e184e07a6ee1ac23eae0fe8d6be2f663f05e6", 302],
+  ["30110", "0xe4dd168822767c4342e54e6241f0b91de0d3c241", 301],
+  ["30339", "0x473132bb594caef281c68718f4541f73fe14dc89", 302],
+  ["30339", "0xbb2753c1b940363d278c81d6402fa89e79ab4ebc", 301],
+  ["30183", "0xe22ed54177ce1148c557de74e4873619e6c6b205", 302],
+  ["30183", "0x443caa8cd23d8cc1e04b3ce897822aea6ad3ebda", 301],
+  ["30243", "0x377530cda84dfb2673bf4d145dcf0c4d7fdcb5b6", 302],
+  ["30243", "0x282b3386571f7f794450d5789911a9804fa346b4", 301],
+  ["30214", "0x8363302080e711e0cab978c081b9e69308d49808", 302],
+  ["30214", "0xe4b45f3744ef05668b22fcf05fb19ff4a75d3219", 301],
+  ["30195", "0x57d9775ee8fec31f1b612a06266f599da167d211", 302],
+  ["30195", "0x5eb6b3db915d29fc624b8a0e42ac029e36a1d86b", 301],
 ];
+// END GENERATED CHAINS
 
 export const TRACKED_RECEIVE_LIBRARIES = Object.freeze(
-  entries.reduce((acc, [key, value]) => {
-    acc[key] = value.toLowerCase();
+  entries.reduce((acc, [key, address, version]) => {
+    if (!acc[key]) acc[key] = [];
+    acc[key].push(Object.freeze({ address: address.toLowerCase(), version }));
     return acc;
   }, {}),
 );
 
-export function getTrackedReceiveLibrary(localEid) {
+export function getTrackedReceiveLibraries(localEid) {
   if (localEid === undefined || localEid === null) {
-    return undefined;
+    return [];
   }
   const key = String(localEid);
-  return TRACKED_RECEIVE_LIBRARIES[key];
+  return TRACKED_RECEIVE_LIBRARIES[key] ?? [];
+}
+
+export function findTrackedReceiveLibrary(localEid, library) {
+  if (!library) {
+    return undefined;
+  }
+  const address = String(library).toLowerCase();
+  return getTrackedReceiveLibraries(localEid).find((tracked) => tracked.address === address);
 }
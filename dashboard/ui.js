@@ -1,4 +1,5 @@
 export { ToastQueue } from "./ui/components/ToastQueue.js";
 export { QueryCoordinator } from "./ui/queries/QueryCoordinator.js";
 export { AliasStore } from "./ui/stores/AliasStore.js";
+export { ConnectionStore } from "./ui/stores/ConnectionStore.js";
 export { ResultsView } from "./ui/views/ResultsView.js";
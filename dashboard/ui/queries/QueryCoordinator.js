@@ -1,4 +1,5 @@
-import { resolveChainDisplayLabel } from "../../core.js";
+import { APP_CONFIG } from "../../config.js";
+import { isAbortError, resolveChainDisplayLabel } from "../../core.js";
 import { resolveDvnLabels as _resolveDvnLabels } from "../../utils/DvnUtils.js";
 import { OAppFormatter } from "./formatters/OAppFormatter.js";
 import { SecurityConfigFormatter } from "./formatters/SecurityConfigFormatter.js";
@@ -12,11 +13,14 @@ export class QueryCoordinator {
     this.onResultsUpdate = onResultsUpdate;
     this.requestSeq = 0;
     this.latestRequest = 0;
+    this.activeController = null;
+    this.activeStatusEl = null;
     this.lastPayload = null;
     this.lastQueryKey = null;
     this.lastMetaBase = null;
     this.lastVariables = null;
     this.registry = null;
+    this.live = null;
 
     this.securityConfigFormatter = new SecurityConfigFormatter(
       this.chainMetadata,
@@ -34,6 +38,14 @@ export class QueryCoordinator {
     return resolveChainDisplayLabel(this.chainMetadata, chainId);
   }
 
+  /**
+   * Current time in ms as seen by the data source. Time windows are built from this
+   * rather than Date.now(), so a frozen snapshot keeps answering "last N days".
+   */
+  now() {
+    return typeof this.client.now === "function" ? this.client.now() : Date.now();
+  }
+
   formatOAppIdCell(oappId) {
     return this.oappFormatter.formatOAppIdCell(oappId);
   }
@@ -68,11 +80,26 @@ export class QueryCoordinator {
     });
   }
 
-  async runQuery(key, card, statusEl) {
+  /**
+   * Runs a registered query. Starting a new query aborts the previous one; the aborted
+   * run resolves to an empty row set without touching the results view. `refresh`
+   * bypasses cached responses; `live` marks a refetch triggered by a subscription.
+   */
+  async runQuery(key, card, statusEl, { refresh = false, live = false } = {}) {
     const requestId = ++this.requestSeq;
     this.latestRequest = requestId;
 
-    this.setStatus(statusEl, "Loading…", "loading");
+    if (this.live && this.live.key !== key) {
+      this.stopLive();
+    }
+
+    this.activeController?.abort();
+    const controller = new AbortController();
+    this.activeController = controller;
+    this.activeStatusEl = statusEl;
+    const { signal } = controller;
+
+    this.setStatus(statusEl, live ? "Live update…" : "Loading…", "loading");
 
     const registry = this.buildQueryRegistry();
     const config = registry[key];
@@ -99,6 +126,15 @@ export class QueryCoordinator {
     }
 
     const startedAt = performance.now();
+    // Oldest cached response the result was assembled from
+    let cachedAt = null;
+    const queryOptions = {
+      signal,
+      refresh,
+      onCacheHit: (storedAt) => {
+        cachedAt = cachedAt === null ? storedAt : Math.min(cachedAt, storedAt);
+      },
+    };
 
     try {
       const executionContext = {
@@ -106,7 +142,13 @@ export class QueryCoordinator {
         chainMetadata: this.chainMetadata,
         coordinator: this,
         requestId,
-        setStatus: (text, state) => this.setStatus(statusEl, text, state),
+        signal,
+        queryOptions,
+        setStatus: (text, state) => {
+          if (!signal.aborted) {
+            this.setStatus(statusEl, text, state);
+          }
+        },
       };
 
       let payload;
@@ -116,10 +158,12 @@ export class QueryCoordinator {
         if (!config.query) {
           throw new Error(`Query definition for ${key} is missing an executor.`);
         }
-        const data = await this.client.query(config.query, variables);
+        const data = await this.client.query(config.query, variables, queryOptions);
         payload = { data };
       }
 
+      signal.throwIfAborted();
+
       if (!payload || typeof payload !== "object") {
         throw new Error("Query execution returned an invalid payload.");
       }
@@ -132,6 +176,9 @@ export class QueryCoordinator {
         label: extraMeta.resultLabel || config.label,
         originalLabel: config.label,
         queryKey: key,
+        cachedAt,
+        liveUpdate: live,
+        liveRowKey: config.live?.rowKey ?? null,
         ...extraMeta,
       };
 
@@ -148,18 +195,24 @@ export class QueryCoordinator {
         rows = config.extractRows(payload.data) ?? [];
       }
 
+      signal.throwIfAborted();
+
       this.lastMetaBase = baseMeta;
       this.lastQueryKey = key;
       this.lastVariables = variables;
       this.lastPayload = payload;
 
-      this.setStatus(
-        statusEl,
+      const isLive = this.live?.key === key;
+      if (isLive && !live) {
+        // A manual rerun may have changed the inputs the subscriptions watch
+        this.subscribeLive(config, variables);
+      }
+
+      const statusText =
         finalMeta.renderMode === "graph"
           ? `Loaded web with ${finalMeta.webData?.nodes?.length || 0} nodes in ${elapsed.toFixed(0)} ms`
-          : `Fetched ${rows.length} row${rows.length === 1 ? "" : "s"} in ${elapsed.toFixed(0)} ms`,
-        "success",
-      );
+          : `Fetched ${rows.length} row${rows.length === 1 ? "" : "s"} in ${elapsed.toFixed(0)} ms`;
+      this.setStatus(statusEl, isLive ? `${statusText} • live` : statusText, "success");
 
       if (requestId === this.latestRequest) {
         this.onResultsUpdate(rows, payload, finalMeta);
@@ -167,6 +220,12 @@ export class QueryCoordinator {
 
       return rows;
     } catch (error) {
+      if (signal.aborted && isAbortError(error)) {
+        if (statusEl !== this.activeStatusEl) {
+          this.setStatus(statusEl, "Cancelled", null);
+        }
+        return [];
+      }
       console.error("Query failed", error);
       this.setStatus(statusEl, error.message, "error");
 
@@ -180,7 +239,120 @@ export class QueryCoordinator {
         });
       }
       return [];
+    } finally {
+      if (this.activeController === controller) {
+        this.activeController = null;
+        this.activeStatusEl = null;
+      }
+    }
+  }
+
+  /**
+   * Turns live mode on or off for a card whose config declares `live`. Marker
+   * subscriptions watch for changes and each one triggers a throttled refetch of the
+   * card, rendered with the changed cells highlighted. Runs the card first unless its
+   * results are already showing. `onStop` fires when live mode ends without being
+   * toggled off: another query ran or the subscription failed.
+   */
+  async setLive(key, card, statusEl, enabled, { onStop = null } = {}) {
+    if (!enabled) {
+      if (this.live?.key === key) {
+        this.stopLive({ notify: false });
+        this.setStatus(statusEl, "Live updates off", null);
+      }
+      return;
     }
+
+    const config = this.buildQueryRegistry()[key];
+    if (!config?.live) {
+      throw new Error(`Query ${key} does not support live updates.`);
+    }
+
+    this.stopLive();
+    this.live = {
+      key,
+      card,
+      statusEl,
+      onStop,
+      unsubscribes: [],
+      lastRefreshAt: 0,
+      timer: null,
+    };
+
+    if (this.lastQueryKey === key && this.lastVariables) {
+      this.subscribeLive(config, this.lastVariables);
+      this.setStatus(statusEl, "Live • waiting for changes", "success");
+      return;
+    }
+    await this.runQuery(key, card, statusEl);
+    // A failed first run leaves nothing to watch
+    if (this.live?.key === key && !this.live.unsubscribes.length) {
+      this.stopLive();
+    }
+  }
+
+  stopLive({ notify = true } = {}) {
+    const live = this.live;
+    if (!live) {
+      return;
+    }
+    this.live = null;
+    clearTimeout(live.timer);
+    live.unsubscribes.forEach((unsubscribe) => {
+      unsubscribe();
+    });
+    if (notify) {
+      live.onStop?.();
+    }
+  }
+
+  subscribeLive(config, variables) {
+    const live = this.live;
+    live.unsubscribes.forEach((unsubscribe) => {
+      unsubscribe();
+    });
+
+    live.unsubscribes = config.live.subscriptions(variables).map((subscription) => {
+      // The first result mirrors what the last run already fetched
+      let initial = true;
+      return this.client.subscribe(subscription.query, subscription.variables, {
+        next: () => {
+          if (initial) {
+            initial = false;
+            return;
+          }
+          this.scheduleLiveRefresh(live, config);
+        },
+        error: (error) => {
+          if (this.live !== live) {
+            return;
+          }
+          console.error("[QueryCoordinator] Live subscription failed", error);
+          this.stopLive();
+          this.setStatus(live.statusEl, `Live updates stopped: ${error.message}`, "error");
+        },
+      });
+    });
+  }
+
+  scheduleLiveRefresh(live, config) {
+    if (this.live !== live || live.timer) {
+      return;
+    }
+    const minInterval = config.live.minIntervalMs ?? APP_CONFIG.LIVE.MIN_REFRESH_MS;
+    const wait = Math.max(0, live.lastRefreshAt + minInterval - Date.now());
+    live.timer = setTimeout(() => {
+      live.timer = null;
+      if (this.live !== live) {
+        return;
+      }
+      live.lastRefreshAt = Date.now();
+      this.runQuery(live.key, live.card, live.statusEl, { refresh: true, live: true }).catch(
+        (error) => {
+          console.error("[QueryCoordinator] Live refresh failed", error);
+        },
+      );
+    }, wait);
   }
 
   async reprocessLastResults() {
@@ -1,5 +1,8 @@
+import { createAnomalyFeedConfig } from "./configs/AnomalyFeedConfig.js";
+import { createDvnUsageConfig } from "./configs/DvnUsageConfig.js";
 import { createOAppSecurityConfig } from "./configs/OAppSecurityConfig.js";
 import { createPopularOAppsWindowConfig } from "./configs/PopularOAppsWindowConfig.js";
+import { createSecurityTimelineConfig } from "./configs/SecurityTimelineConfig.js";
 import { createTopOAppsConfig } from "./configs/TopOAppsConfig.js";
 import { createWebOfSecurityConfig } from "./configs/WebOfSecurityConfig.js";
 
@@ -9,5 +12,8 @@ export function buildQueryRegistry(coordinator) {
     "oapp-security-config": createOAppSecurityConfig(coordinator),
     "popular-oapps-window": createPopularOAppsWindowConfig(coordinator),
     "web-of-security": createWebOfSecurityConfig(coordinator),
+    "security-timeline": createSecurityTimelineConfig(coordinator),
+    "anomaly-feed": createAnomalyFeedConfig(coordinator),
+    "dvn-usage": createDvnUsageConfig(coordinator),
   };
 }
@@ -0,0 +1,117 @@
+import { clampInteger } from "../../../core.js";
+import { createFormattedCell, formatUpdateInfo } from "../../../formatters/cellFormatters.js";
+import { PACKET_ANOMALY_FEED_QUERY } from "../../../queries/packetAnomalies.js";
+
+const ANOMALY_TYPE_LABELS = {
+  "explicit-block-delivered": "Delivered on blocked route",
+  "sender-mismatch": "Sender ≠ configured peer",
+};
+
+export function createAnomalyFeedConfig(coordinator) {
+  return {
+    label: "Anomaly Feed",
+    description: "Packets delivered against an explicitly configured peer",
+    query: PACKET_ANOMALY_FEED_QUERY,
+
+    initialize: ({ card }) => {
+      const endpointInput = card.querySelector("[data-chain-input]");
+      const chainLabel = card.querySelector("[data-chain-label]");
+      const datalist = card.querySelector("[data-chain-datalist]");
+
+      if (datalist) {
+        coordinator.populateChainDatalist(datalist);
+      }
+
+      if (endpointInput && chainLabel) {
+        const updateLabel = () => {
+          const localEid = endpointInput.value.trim();
+          const display = coordinator.getChainDisplayLabel(localEid);
+          chainLabel.textContent = display ? `Chain: ${display}` : "All chains.";
+        };
+        endpointInput.addEventListener("input", updateLabel);
+        updateLabel();
+      }
+    },
+
+    buildVariables: (card) => {
+      const eidInput = card.querySelector('input[name="localEid"]');
+      const typeSelect = card.querySelector('select[name="anomalyType"]');
+      const lookbackInput = card.querySelector('input[name="lookbackDays"]');
+      const limitInput = card.querySelector('input[name="limit"]');
+
+      const localEid = eidInput?.value?.trim() ?? "";
+      const anomalyType = typeSelect?.value ?? "";
+      const lookbackDays = clampInteger(lookbackInput?.value, 0, 3650, 30);
+      const limit = clampInteger(limitInput?.value, 1, 1000, 100);
+
+      const where = {};
+      if (localEid) {
+        if (!/^\d+$/.test(localEid)) {
+          throw new Error("Local EID must be numeric.");
+        }
+        where.localEid = { _eq: localEid };
+      }
+      if (anomalyType) {
+        where.anomalyType = { _eq: anomalyType };
+      }
+      if (lookbackDays > 0) {
+        const fromTimestamp = Math.max(
+          Math.floor(coordinator.now() / 1000) - lookbackDays * 86400,
+          0,
+        );
+        where.blockTimestamp = { _gte: String(fromTimestamp) };
+      }
+
+      const chainLabel = localEid
+        ? coordinator.getChainDisplayLabel(localEid) || `EID ${localEid}`
+        : "All chains";
+      const windowLabel = lookbackDays > 0 ? `last ${lookbackDays}d` : "all time";
+
+      return {
+        variables: { where, limit },
+        meta: {
+          limitLabel: `limit=${limit}`,
+          summary: `${chainLabel} • ${windowLabel}`,
+          resultLabel: `Anomaly Feed – ${chainLabel}`,
+        },
+      };
+    },
+
+    extractRows: (data) =>
+      (data?.PacketAnomaly ?? []).map((row) => {
+        const chainDisplay = coordinator.getChainDisplayLabel(row.localEid) || row.localEid || "—";
+        const srcDisplay = coordinator.getChainDisplayLabel(row.srcEid) || row.srcEid || "—";
+        const typeLabel = ANOMALY_TYPE_LABELS[row.anomalyType] || row.anomalyType;
+        const snapshotIds = [
+          row.securityConfigId ? `Config ${row.securityConfigId}` : null,
+          row.peerVersionId ? `Peer ${row.peerVersionId}` : null,
+          row.defaultLibraryVersionId ? `Default lib ${row.defaultLibraryVersionId}` : null,
+          row.defaultConfigVersionId ? `Default ULN ${row.defaultConfigVersionId}` : null,
+          row.libraryOverrideVersionId ? `Lib override ${row.libraryOverrideVersionId}` : null,
+          row.configOverrideVersionId ? `ULN override ${row.configOverrideVersionId}` : null,
+        ].filter(Boolean);
+
+        return {
+          Time: formatUpdateInfo({
+            block: row.blockNumber,
+            timestamp: row.blockTimestamp,
+            txHash: row.transactionHash,
+          }),
+          Chain: createFormattedCell([chainDisplay], row.localEid),
+          Type: createFormattedCell([typeLabel], row.anomalyType, { highlight: true }),
+          OApp: coordinator.formatOAppIdCell(row.oappId),
+          "Source EID": createFormattedCell([srcDisplay], row.srcEid),
+          "Expected Peer": createFormattedCell([row.expectedPeer || "—"], row.expectedPeer || ""),
+          "Actual Sender": createFormattedCell(
+            [row.actualSender, `Nonce ${row.nonce}`],
+            row.actualSender,
+          ),
+          Packet: createFormattedCell([row.packetId], row.packetId),
+          "Config Snapshot": createFormattedCell(
+            snapshotIds.length ? snapshotIds : ["—"],
+            row.securityConfigId || "",
+          ),
+        };
+      }),
+  };
+}
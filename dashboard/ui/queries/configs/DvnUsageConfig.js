@@ -0,0 +1,103 @@
+import { clampInteger } from "../../../core.js";
+import { createFormattedCell, formatUpdateInfo } from "../../../formatters/cellFormatters.js";
+import { DVN_USAGE_QUERY } from "../../../queries/dvnUsage.js";
+
+const ORDER_BY = {
+  required: [{ requiredRouteCount: "desc" }, { packetsSecured: "desc" }],
+  optional: [{ optionalRouteCount: "desc" }, { packetsSecured: "desc" }],
+  packets: [{ packetsSecured: "desc" }, { requiredRouteCount: "desc" }],
+};
+
+export function createDvnUsageConfig(coordinator) {
+  return {
+    label: "DVN Usage",
+    description: "Routes and packets that depend on each DVN",
+    query: DVN_USAGE_QUERY,
+
+    initialize: ({ card }) => {
+      const endpointInput = card.querySelector("[data-chain-input]");
+      const chainLabel = card.querySelector("[data-chain-label]");
+      const datalist = card.querySelector("[data-chain-datalist]");
+
+      if (datalist) {
+        coordinator.populateChainDatalist(datalist);
+      }
+
+      if (endpointInput && chainLabel) {
+        const updateLabel = () => {
+          const localEid = endpointInput.value.trim();
+          const display = coordinator.getChainDisplayLabel(localEid);
+          chainLabel.textContent = display ? `Chain: ${display}` : "All chains.";
+        };
+        endpointInput.addEventListener("input", updateLabel);
+        updateLabel();
+      }
+    },
+
+    buildVariables: (card) => {
+      const eidInput = card.querySelector('input[name="localEid"]');
+      const dvnInput = card.querySelector('input[name="dvn"]');
+      const sortSelect = card.querySelector('select[name="sortBy"]');
+      const limitInput = card.querySelector('input[name="limit"]');
+
+      const localEid = eidInput?.value?.trim() ?? "";
+      const dvn = dvnInput?.value?.trim().toLowerCase() ?? "";
+      const sortBy = ORDER_BY[sortSelect?.value] ? sortSelect.value : "required";
+      const limit = clampInteger(limitInput?.value, 1, 1000, 100);
+
+      const where = {};
+      if (localEid) {
+        if (!/^\d+$/.test(localEid)) {
+          throw new Error("Local EID must be numeric.");
+        }
+        where.localEid = { _eq: localEid };
+      }
+      if (dvn) {
+        where.address = { _eq: dvn };
+      }
+
+      const chainLabel = localEid
+        ? coordinator.getChainDisplayLabel(localEid) || `EID ${localEid}`
+        : "All chains";
+
+      return {
+        variables: { where, orderBy: ORDER_BY[sortBy], limit },
+        meta: {
+          limitLabel: `limit=${limit}`,
+          summary: `${chainLabel} • sorted by ${sortBy}`,
+          resultLabel: `DVN Usage – ${chainLabel}`,
+        },
+      };
+    },
+
+    extractRows: (data) =>
+      (data?.Dvn ?? []).map((row) => {
+        const chainDisplay = coordinator.getChainDisplayLabel(row.localEid) || row.localEid || "—";
+        const [label] = coordinator.resolveDvnLabels([row.address], null, row.localEid);
+        const requiredRoutes = Number(row.requiredRouteCount ?? 0);
+        const optionalRoutes = Number(row.optionalRouteCount ?? 0);
+
+        return {
+          DVN: createFormattedCell(
+            label && label !== row.address ? [label, row.address] : [row.address],
+            row.address,
+          ),
+          Chain: createFormattedCell([chainDisplay], row.localEid),
+          "Required Routes": createFormattedCell([String(requiredRoutes)], requiredRoutes),
+          "Optional Routes": createFormattedCell([String(optionalRoutes)], optionalRoutes),
+          "Packets Secured": createFormattedCell(
+            [String(row.packetsSecured ?? 0)],
+            row.packetsSecured ?? 0,
+          ),
+          "Last Packet": row.lastPacketBlock
+            ? formatUpdateInfo({ block: row.lastPacketBlock, timestamp: row.lastPacketTimestamp })
+            : createFormattedCell(["—"], ""),
+          "Last Route Change": formatUpdateInfo({
+            block: row.lastUpdatedBlock,
+            timestamp: row.lastUpdatedTimestamp,
+            eventId: row.lastUpdatedByEventId,
+          }),
+        };
+      }),
+  };
+}
@@ -1,6 +1,13 @@
+import { APP_CONFIG } from "../../../config.js";
 import { normalizeAddress, normalizeOAppId } from "../../../core.js";
-import { OAPP_SECURITY_CONFIG_QUERY } from "../../../queries/oappSecurityConfig.js";
+import {
+  OAPP_PACKET_LIVE_SUBSCRIPTION,
+  OAPP_RECEIVE_CONFIG_LIVE_SUBSCRIPTION,
+  OAPP_SECURITY_CONFIG_QUERY,
+  OAPP_SEND_CONFIG_LIVE_SUBSCRIPTION,
+} from "../../../queries/oappSecurityConfig.js";
 import { resolveOAppSecurityConfigs } from "../../../resolver.js";
+import { summarizeRateLimitUsage } from "../../../utils/MetricsUtils.js";
 
 export function createOAppSecurityConfig(coordinator) {
   return {
@@ -8,6 +15,16 @@ export function createOAppSecurityConfig(coordinator) {
     description: "Resolve the current security posture for a single OApp",
     query: OAPP_SECURITY_CONFIG_QUERY,
 
+    live: {
+      rowKey: "Source EID",
+      subscriptions: (variables) =>
+        [
+          OAPP_PACKET_LIVE_SUBSCRIPTION,
+          OAPP_RECEIVE_CONFIG_LIVE_SUBSCRIPTION,
+          OAPP_SEND_CONFIG_LIVE_SUBSCRIPTION,
+        ].map((query) => ({ query, variables: { oappId: variables.oappId } })),
+    },
+
     initialize: ({ card }) => {
       const endpointInput = card.querySelector("[data-chain-input]");
       const chainLabel = card.querySelector("[data-chain-label]");
@@ -104,10 +121,18 @@ export function createOAppSecurityConfig(coordinator) {
     processResponse: (payload, meta) => {
       const oapp = payload?.data?.OAppStats?.[0] ?? null;
       const configs = payload?.data?.OAppSecurityConfig ?? [];
+      const sendConfigs = payload?.data?.OAppSendSecurityConfig ?? [];
       const peers = payload?.data?.OAppPeer ?? [];
       const routeStats = payload?.data?.OAppRouteStats ?? [];
+      const dvnStats = payload?.data?.OAppRouteDvnStats ?? [];
+      const enforcedOptions = payload?.data?.OAppEnforcedOption ?? [];
+      const delegate = payload?.data?.OAppDelegate?.[0] ?? null;
+      const owner = payload?.data?.OAppOwner?.[0] ?? null;
       const rateLimiter = payload?.data?.OAppRateLimiter?.[0] ?? null;
       const rateLimits = payload?.data?.OAppRateLimit ?? [];
+      const rateLimitUsages = payload?.data?.OAppRateLimitUsage ?? [];
+      const rateLimitDailyUsages = payload?.data?.OAppRateLimitDailyUsage ?? [];
+      const routeVolumes = payload?.data?.OAppRouteVolume ?? [];
       const defaultReceiveLibraries = payload?.data?.DefaultReceiveLibrary ?? [];
       const defaultUlnConfigs = payload?.data?.DefaultUlnConfig ?? [];
       const oappReceiveLibraries = payload?.data?.OAppReceiveLibrary ?? [];
@@ -136,10 +161,50 @@ export function createOAppSecurityConfig(coordinator) {
       });
       enrichedMeta.peerMap = peerMap;
 
-      // Store route stats, rate limiting info
+      // Send-side configs share the remote eid with the receive row
+      const sendConfigMap = new Map();
+      sendConfigs.forEach((config) => {
+        sendConfigMap.set(String(config.eid), config);
+      });
+      enrichedMeta.sendConfigMap = sendConfigMap;
+
+      // Observed PayloadVerified participation, grouped by srcEid
+      const dvnParticipationMap = new Map();
+      dvnStats.forEach((stat) => {
+        const key = String(stat.srcEid);
+        if (!dvnParticipationMap.has(key)) {
+          dvnParticipationMap.set(key, []);
+        }
+        dvnParticipationMap.get(key).push(stat);
+      });
+      enrichedMeta.dvnParticipationMap = dvnParticipationMap;
+
+      // Enforced options are per remote eid and message type
+      const enforcedOptionsMap = new Map();
+      enforcedOptions.forEach((option) => {
+        const key = String(option.eid);
+        if (!enforcedOptionsMap.has(key)) {
+          enforcedOptionsMap.set(key, []);
+        }
+        enforcedOptionsMap.get(key).push(option);
+      });
+      enrichedMeta.enforcedOptionsMap = enforcedOptionsMap;
+
+      // Store admin accounts, route stats, rate limiting info
+      enrichedMeta.delegate = delegate;
+      enrichedMeta.owner = owner;
       enrichedMeta.routeStats = routeStats;
       enrichedMeta.rateLimiter = rateLimiter;
       enrichedMeta.rateLimits = rateLimits;
+      enrichedMeta.rateLimitUsage = summarizeRateLimitUsage({
+        rateLimits,
+        usages: rateLimitUsages,
+        dailyUsages: rateLimitDailyUsages,
+        routeVolumes,
+        historyDays: APP_CONFIG.RATE_LIMITS.USAGE_HISTORY_DAYS,
+        highVolumeShare: APP_CONFIG.RATE_LIMITS.HIGH_VOLUME_SHARE,
+        nowSeconds: coordinator.now() / 1000,
+      });
       const queryVars = meta?.variables ?? {};
       const derivedLocalEid =
         enrichedMeta.localEid ||
@@ -163,6 +228,7 @@ export function createOAppSecurityConfig(coordinator) {
           oappReceiveLibraries,
           oappUlnConfigs,
           routeStats,
+          sendSecurityConfigs: sendConfigs,
         });
         resolvedRows = resolution.rows;
         enrichedMeta.securitySummary = resolution.summary;
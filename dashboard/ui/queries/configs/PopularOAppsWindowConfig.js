@@ -1,11 +1,26 @@
+import { APP_CONFIG } from "../../../config.js";
 import { clampInteger, parseOptionalPositiveInt } from "../../../core.js";
-import { POPULAR_OAPPS_WINDOW_QUERY } from "../../../queries/popularOAppsWindow.js";
+import {
+  LATEST_PACKET_LIVE_SUBSCRIPTION,
+  POPULAR_OAPPS_DAILY_QUERY,
+  POPULAR_OAPPS_ROUTE_DAILY_QUERY,
+  POPULAR_OAPPS_WINDOW_QUERY,
+} from "../../../queries/popularOAppsWindow.js";
+
+const SECONDS_PER_DAY = 86400;
 
 export function createPopularOAppsWindowConfig(coordinator) {
   return {
     label: "Hot OApps",
     description: "Rank OApps by packets in a configurable time window",
-    query: POPULAR_OAPPS_WINDOW_QUERY,
+    query: POPULAR_OAPPS_DAILY_QUERY,
+
+    // Any packet can reshuffle the ranking; the window is rebuilt from the form on each refetch
+    live: {
+      rowKey: "OApp ID",
+      minIntervalMs: 15000,
+      subscriptions: () => [{ query: LATEST_PACKET_LIVE_SUBSCRIPTION, variables: {} }],
+    },
 
     initialize: ({ card }) => {
       const unitSelect = card.querySelector('select[name="windowUnit"]');
@@ -25,14 +40,39 @@ export function createPopularOAppsWindowConfig(coordinator) {
       const unitSeconds = {
         minutes: 60,
         hours: 3600,
-        days: 86400,
+        days: SECONDS_PER_DAY,
       };
       const secondsPerUnit = unitSeconds[windowUnit] ?? unitSeconds.days;
       const windowSeconds = rawWindowValue * secondsPerUnit;
-      const nowSeconds = Math.floor(Date.now() / 1000);
-      const fromTimestamp = Math.max(nowSeconds - windowSeconds, 0);
-
+      const nowSeconds = Math.floor(coordinator.now() / 1000);
       const resultLimit = clampInteger(resultLimitInput?.value, 1, 200, 20);
+      const windowLabel = `${rawWindowValue}${windowUnit.charAt(0)}`;
+
+      // Day windows are served exactly from daily aggregates: today plus the
+      // preceding (N - 1) UTC days. Sub-day windows still sample raw packets.
+      if (windowUnit === "days") {
+        const todayStart = nowSeconds - (nowSeconds % SECONDS_PER_DAY);
+        const fromDay = Math.max(todayStart - (rawWindowValue - 1) * SECONDS_PER_DAY, 0);
+        return {
+          variables: {
+            fromDay: String(fromDay),
+            cursor: "",
+            pageSize: APP_CONFIG.LIMITS.DAILY_BUCKET_PAGE_SIZE,
+          },
+          meta: {
+            limitLabel: `window=${windowLabel} (UTC days), top=${resultLimit}`,
+            summary: `Top ${resultLimit} • last ${windowLabel}`,
+            mode: "daily",
+            windowSeconds,
+            windowLabel: `${windowLabel} (UTC days)`,
+            fromTimestamp: fromDay,
+            nowTimestamp: nowSeconds,
+            resultLimit,
+          },
+        };
+      }
+
+      const fromTimestamp = Math.max(nowSeconds - windowSeconds, 0);
       const fetchLimitRaw = fetchLimitInput?.value?.trim();
       const fetchLimitParsed = parseOptionalPositiveInt(fetchLimitRaw);
       const fetchLimit =
@@ -40,8 +80,6 @@ export function createPopularOAppsWindowConfig(coordinator) {
           ? Math.min(fetchLimitParsed, 200000)
           : null;
 
-      const windowLabel = `${rawWindowValue}${windowUnit.charAt(0)}`;
-
       return {
         variables: {
           fromTimestamp: String(fromTimestamp),
@@ -50,6 +88,7 @@ export function createPopularOAppsWindowConfig(coordinator) {
         meta: {
           limitLabel: `window=${windowLabel}, top=${resultLimit}, sample=${fetchLimit ?? "∞"}`,
           summary: `Top ${resultLimit} • last ${windowLabel}`,
+          mode: "sample",
           windowSeconds,
           windowLabel,
           fromTimestamp,
@@ -60,9 +99,69 @@ export function createPopularOAppsWindowConfig(coordinator) {
       };
     },
 
+    execute: async (request, context) => {
+      const { variables, meta } = request;
+      if (meta.mode !== "daily") {
+        const data = await context.client.query(
+          POPULAR_OAPPS_WINDOW_QUERY,
+          variables,
+          context.queryOptions,
+        );
+        return { data };
+      }
+
+      // Every bucket in the window is needed for exact totals, so page by id until exhausted
+      const dailyStats = [];
+      let cursor = "";
+      while (true) {
+        context.setStatus(
+          `Loading daily aggregates… ${dailyStats.length.toLocaleString("en-US")} buckets`,
+          "loading",
+        );
+        const dailyData = await context.client.query(
+          POPULAR_OAPPS_DAILY_QUERY,
+          { ...variables, cursor },
+          context.queryOptions,
+        );
+        const page = dailyData?.OAppDailyStats ?? [];
+        dailyStats.push(...page);
+        if (page.length < variables.pageSize) {
+          break;
+        }
+        cursor = page[page.length - 1].id;
+      }
+
+      const topOappIds = coordinator.oappFormatter
+        .rankPopularGroups(coordinator.oappFormatter.groupDailyStats(dailyStats))
+        .slice(0, meta.resultLimit)
+        .map((group) => group.oappId);
+
+      let routeDailyStats = [];
+      if (topOappIds.length) {
+        context.setStatus("Loading route aggregates…", "loading");
+        const routeData = await context.client.query(
+          POPULAR_OAPPS_ROUTE_DAILY_QUERY,
+          { oappIds: topOappIds, fromDay: variables.fromDay },
+          context.queryOptions,
+        );
+        routeDailyStats = routeData?.OAppRouteDailyStats ?? [];
+      }
+
+      return { data: { OAppDailyStats: dailyStats, OAppRouteDailyStats: routeDailyStats } };
+    },
+
     processResponse: (payload, meta) => {
-      const packets = payload?.data?.PacketDelivered ?? [];
-      const result = coordinator.oappFormatter.aggregatePopularOapps(packets, meta);
+      const result =
+        meta.mode === "daily"
+          ? coordinator.oappFormatter.aggregateDailyPopularOapps(
+              payload?.data?.OAppDailyStats ?? [],
+              payload?.data?.OAppRouteDailyStats ?? [],
+              meta,
+            )
+          : coordinator.oappFormatter.aggregatePopularOapps(
+              payload?.data?.PacketDelivered ?? [],
+              meta,
+            );
 
       return {
         rows: result.rows,
@@ -0,0 +1,156 @@
+import { clampInteger, normalizeOAppId } from "../../../core.js";
+import { createFormattedCell, formatUpdateInfo } from "../../../formatters/cellFormatters.js";
+import { SECURITY_CONFIG_TIMELINE_QUERY } from "../../../queries/securityConfigTimeline.js";
+
+const CAUSE_LABELS = {
+  DefaultReceiveLibrary: "Default receive library",
+  DefaultUlnConfig: "Default ULN config",
+  OAppReceiveLibrary: "OApp receive library",
+  OAppUlnConfig: "OApp ULN config",
+  DefaultSendLibrary: "Default send library",
+  DefaultSendUlnConfig: "Default send ULN config",
+  OAppSendLibrary: "OApp send library",
+  OAppSendUlnConfig: "OApp send ULN config",
+  DefaultExecutorConfig: "Default executor config",
+  OAppExecutorConfig: "OApp executor config",
+  initial: "First computation",
+  recompute: "Recompute",
+};
+
+export function createSecurityTimelineConfig(coordinator) {
+  const describeSide = (row, prefix, localEid) => {
+    const fields = row.isInitial ? null : new Set(row.changedFields ?? []);
+    const include = (field) => !fields || fields.has(field);
+    const value = (field) => row[`${prefix}${field}`];
+    const lines = [];
+
+    if (include("library") || include("libraryStatus")) {
+      const status = value("LibraryStatus");
+      lines.push(`Library ${value("Library") || "—"}${status ? ` (${status})` : ""}`);
+    }
+    if (
+      include("requiredDVNCount") ||
+      include("requiredDVNs") ||
+      include("usesRequiredDVNSentinel")
+    ) {
+      if (value("UsesRequiredDVNSentinel")) {
+        lines.push("Required: SENTINEL (0 required)");
+      } else {
+        const dvns = value("RequiredDVNs") ?? [];
+        const labels = coordinator.resolveDvnLabels(dvns, {}, localEid);
+        lines.push(`Required ${value("RequiredDVNCount") ?? "—"}: ${labels.join(", ") || "none"}`);
+      }
+    }
+    if (
+      include("optionalDVNCount") ||
+      include("optionalDVNThreshold") ||
+      include("optionalDVNs") ||
+      include("usesOptionalDVNSentinel")
+    ) {
+      if (value("UsesOptionalDVNSentinel")) {
+        lines.push("Optional: SENTINEL (0 optional)");
+      } else {
+        const dvns = value("OptionalDVNs") ?? [];
+        const labels = coordinator.resolveDvnLabels(dvns, {}, localEid);
+        lines.push(
+          `Optional ${value("OptionalDVNThreshold") ?? "—"}/${value("OptionalDVNCount") ?? "—"}${
+            labels.length ? `: ${labels.join(", ")}` : ""
+          }`,
+        );
+      }
+    }
+    if (include("confirmations") || include("usesConfirmationsSentinel")) {
+      lines.push(
+        value("UsesConfirmationsSentinel")
+          ? "Confirmations: SENTINEL (0 confirmations)"
+          : `Confirmations ${value("Confirmations") ?? "—"}`,
+      );
+    }
+    if (row.direction === "send" && (include("executor") || include("maxMessageSize"))) {
+      const maxMessageSize = value("MaxMessageSize");
+      lines.push(
+        `Executor ${value("Executor") || "—"}${
+          maxMessageSize !== null && maxMessageSize !== undefined
+            ? ` • max message ${maxMessageSize} bytes`
+            : ""
+        }`,
+      );
+    }
+    return lines;
+  };
+
+  return {
+    label: "Security Timeline",
+    description: "Effective security config changes for an OApp route",
+    query: SECURITY_CONFIG_TIMELINE_QUERY,
+
+    buildVariables: (card) => {
+      const idInput = card.querySelector('input[name="oappId"]');
+      const eidInput = card.querySelector('input[name="eid"]');
+      const directionSelect = card.querySelector('select[name="direction"]');
+      const limitInput = card.querySelector('input[name="limit"]');
+
+      const rawId = idInput?.value?.trim() ?? "";
+      if (!rawId) {
+        throw new Error("Provide an OApp ID.");
+      }
+      const oappId = normalizeOAppId(rawId);
+      if (idInput) {
+        idInput.value = oappId;
+      }
+
+      const eid = eidInput?.value?.trim() ?? "";
+      const direction = directionSelect?.value ?? "";
+      const limit = clampInteger(limitInput?.value, 1, 1000, 200);
+
+      const where = { oappId: { _eq: oappId } };
+      if (eid) {
+        if (!/^\d+$/.test(eid)) {
+          throw new Error("Remote EID must be numeric.");
+        }
+        where.eid = { _eq: eid };
+      }
+      if (direction) {
+        where.direction = { _eq: direction };
+      }
+
+      const [localEid] = oappId.split("_");
+      const localLabel = coordinator.getChainDisplayLabel(localEid) || `EID ${localEid}`;
+      const routeLabel = eid ? coordinator.getChainDisplayLabel(eid) || `EID ${eid}` : "all routes";
+
+      return {
+        variables: { where, limit },
+        meta: {
+          limitLabel: `limit=${limit}`,
+          summary: `${oappId} • ${routeLabel}${direction ? ` • ${direction}` : ""}`,
+          resultLabel: `Security Timeline – ${localLabel}`,
+          localEid,
+        },
+      };
+    },
+
+    extractRows: (data) =>
+      (data?.SecurityConfigChange ?? []).map((row) => {
+        const routeDisplay = coordinator.getChainDisplayLabel(row.eid) || row.eid || "—";
+        const changed = row.isInitial ? ["initial state"] : (row.changedFields ?? []);
+
+        return {
+          When: formatUpdateInfo({
+            block: row.blockNumber,
+            timestamp: row.blockTimestamp,
+            eventId: row.eventId,
+            txHash: row.transactionHash,
+          }),
+          Route: createFormattedCell([routeDisplay, row.direction], row.eid),
+          Cause: createFormattedCell([CAUSE_LABELS[row.cause] || row.cause], row.cause),
+          Changed: createFormattedCell(changed, changed.join(", ")),
+          Before: row.isInitial
+            ? createFormattedCell(["—"], "")
+            : createFormattedCell(describeSide(row, "old", row.localEid), ""),
+          After: createFormattedCell(describeSide(row, "new", row.localEid), "", {
+            highlight: !row.isInitial,
+          }),
+        };
+      }),
+  };
+}
@@ -64,6 +64,7 @@ export function createWebOfSecurityConfig(coordinator) {
         const webData = await crawler.crawl(seed, {
           depth: request.depth,
           onProgress: (status) => context.setStatus(status, "loading"),
+          queryOptions: context.queryOptions,
         });
         return { webData };
       }
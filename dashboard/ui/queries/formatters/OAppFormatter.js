@@ -69,56 +69,10 @@ export class OAppFormatter {
       groups.set(inferredKey, group);
     });
 
-    const sortedGroups = Array.from(groups.values()).sort((a, b) => {
-      if (b.count !== a.count) {
-        return b.count - a.count;
-      }
-      return (b.lastTimestamp || 0) - (a.lastTimestamp || 0);
-    });
+    const sortedGroups = this.rankPopularGroups(groups);
 
     const limited = sortedGroups.slice(0, resultLimit);
-    const rows = limited.map((group, index) => {
-      const chainDisplay = this.getChainDisplayLabel(group.localEid) || group.localEid || "—";
-      const address = group.address || (group.oappId.split("_")[1] ?? "—");
-      const eids = Array.from(group.eids).sort();
-
-      const chainCell = createFormattedCell([chainDisplay], group.localEid);
-
-      const oappCell = this.formatOAppIdCell(group.oappId);
-      const addressCell = createFormattedCell([address], address);
-
-      const eidLines = [`Count ${eids.length}`];
-      const eidCopyValue = eids.join(", ");
-      const eidCell = createFormattedCell(eidLines, eidCopyValue || `Count ${eids.length}`);
-
-      const lastLines = [];
-      if (group.lastTimestamp) {
-        const ts = formatTimestampValue(group.lastTimestamp);
-        if (ts) {
-          lastLines.push(ts.primary);
-          if (ts.secondary) {
-            lastLines.push(ts.secondary);
-          }
-        }
-      }
-      if (group.lastBlock !== null && group.lastBlock !== undefined) {
-        lastLines.push(`Block ${group.lastBlock}`);
-      }
-      const lastCell = createFormattedCell(
-        lastLines.length ? lastLines : ["—"],
-        String(group.lastTimestamp ?? ""),
-      );
-
-      return {
-        Rank: String(index + 1),
-        "OApp ID": oappCell,
-        Endpoint: chainCell,
-        Address: addressCell,
-        Packets: String(group.count),
-        "Unique incoming EIDs": eidCell,
-        "Last Packet": lastCell,
-      };
-    });
+    const rows = limited.map((group, index) => this.formatPopularOappRow(group, index));
 
     return {
       rows,
@@ -136,4 +90,129 @@ export class OAppFormatter {
       },
     };
   }
+
+  /**
+   * Ranks OApps from indexer-maintained OAppDailyStats buckets, so the window
+   * is exact for whole UTC days. Incoming EIDs come from OAppRouteDailyStats
+   * of the ranked OApps only. `dailyStats` holds every bucket of the window.
+   */
+  aggregateDailyPopularOapps(dailyStats, routeDailyStats, options = {}) {
+    const resultLimit = clampInteger(options.resultLimit, 1, 200, 20);
+    const windowLabel = options.windowLabel || "";
+
+    const groups = this.groupDailyStats(dailyStats);
+    (routeDailyStats ?? []).forEach((routeDay) => {
+      const group = groups.get(routeDay?.oappId);
+      if (group && routeDay.srcEid !== undefined && routeDay.srcEid !== null) {
+        group.eids.add(String(routeDay.srcEid));
+      }
+    });
+
+    const sortedGroups = this.rankPopularGroups(groups);
+    const rows = sortedGroups
+      .slice(0, resultLimit)
+      .map((group, index) => this.formatPopularOappRow(group, index));
+    const totalPackets = sortedGroups.reduce((sum, group) => sum + group.count, 0);
+
+    return {
+      rows,
+      meta: {
+        summary: `Top ${rows.length} • last ${windowLabel || "window"}`,
+        popularOappsSummary: {
+          windowLabel,
+          fromTimestamp: options.fromTimestamp ?? 0,
+          toTimestamp: options.nowTimestamp ?? Math.floor(Date.now() / 1000),
+          totalOapps: groups.size,
+          totalPackets,
+          dailyBuckets: (dailyStats ?? []).length,
+          returnedCount: rows.length,
+        },
+      },
+    };
+  }
+
+  groupDailyStats(dailyStats) {
+    const groups = new Map();
+    (dailyStats ?? []).forEach((day) => {
+      if (!day?.oappId) return;
+      const [localPart, addressPart] = day.oappId.split("_");
+      const group = groups.get(day.oappId) ?? {
+        oappId: day.oappId,
+        localEid: String(day.localEid ?? localPart ?? ""),
+        address: (day.oapp || addressPart || "").toLowerCase(),
+        count: 0,
+        eids: new Set(),
+        lastTimestamp: 0,
+        lastBlock: null,
+        peakDailySenders: 0,
+      };
+
+      group.count += Number(day.packetCount ?? 0) || 0;
+      group.lastTimestamp = Math.max(group.lastTimestamp, Number(day.lastTimestamp ?? 0) || 0);
+      const lastBlock = Number(day.lastBlock);
+      if (Number.isFinite(lastBlock) && (group.lastBlock === null || lastBlock > group.lastBlock)) {
+        group.lastBlock = lastBlock;
+      }
+      group.peakDailySenders = Math.max(group.peakDailySenders, Number(day.distinctSenders ?? 0));
+
+      groups.set(day.oappId, group);
+    });
+    return groups;
+  }
+
+  rankPopularGroups(groups) {
+    return Array.from(groups.values()).sort((a, b) => {
+      if (b.count !== a.count) {
+        return b.count - a.count;
+      }
+      return (b.lastTimestamp || 0) - (a.lastTimestamp || 0);
+    });
+  }
+
+  formatPopularOappRow(group, index) {
+    const chainDisplay = this.getChainDisplayLabel(group.localEid) || group.localEid || "—";
+    const address = group.address || (group.oappId.split("_")[1] ?? "—");
+    const eids = Array.from(group.eids).sort();
+
+    const chainCell = createFormattedCell([chainDisplay], group.localEid);
+
+    const oappCell = this.formatOAppIdCell(group.oappId);
+    const addressCell = createFormattedCell([address], address);
+
+    const eidLines = [`Count ${eids.length}`];
+    const eidCopyValue = eids.join(", ");
+    const eidCell = createFormattedCell(eidLines, eidCopyValue || `Count ${eids.length}`);
+
+    const lastLines = [];
+    if (group.lastTimestamp) {
+      const ts = formatTimestampValue(group.lastTimestamp);
+      if (ts) {
+        lastLines.push(ts.primary);
+        if (ts.secondary) {
+          lastLines.push(ts.secondary);
+        }
+      }
+    }
+    if (group.lastBlock !== null && group.lastBlock !== undefined) {
+      lastLines.push(`Block ${group.lastBlock}`);
+    }
+    const lastCell = createFormattedCell(
+      lastLines.length ? lastLines : ["—"],
+      String(group.lastTimestamp ?? ""),
+    );
+
+    const row = {
+      Rank: String(index + 1),
+      "OApp ID": oappCell,
+      Endpoint: chainCell,
+      Address: addressCell,
+      Packets: String(group.count),
+      "Unique incoming EIDs": eidCell,
+      "Last Packet": lastCell,
+    };
+    if (group.peakDailySenders !== undefined) {
+      row["Peak daily senders"] = String(group.peakDailySenders);
+    }
+    return row;
+  }
 }
@@ -5,6 +5,7 @@ import {
   formatRouteActivityLine,
   formatUpdateInfo,
 } from "../../../formatters/cellFormatters.js";
+import { AddressUtils } from "../../../utils/AddressUtils.js";
 import { resolveDvnLabels as _resolveDvnLabels } from "../../../utils/DvnUtils.js";
 import { bigIntSafe, coerceToNumber } from "../../../utils/NumberUtils.js";
 
@@ -149,10 +150,12 @@ export class SecurityConfigFormatter {
       reqKey: row.usesRequiredDVNSentinel
         ? "sentinel"
         : JSON.stringify(row.effectiveRequiredDVNs || []),
-      optKey: JSON.stringify({
-        dvns: row.effectiveOptionalDVNs || [],
-        threshold: row.effectiveOptionalDVNThreshold,
-      }),
+      optKey: row.usesOptionalDVNSentinel
+        ? "sentinel"
+        : JSON.stringify({
+            dvns: row.effectiveOptionalDVNs || [],
+            threshold: row.effectiveOptionalDVNThreshold,
+          }),
       fallbackKey: JSON.stringify(row.fallbackFields || []),
     };
   }
@@ -325,7 +328,12 @@ export class SecurityConfigFormatter {
     const formatted = {};
     const chainDisplay = this.getChainDisplayLabel(row.eid) || row.eid || "—";
     formatted["Source EID"] = createFormattedCell([chainDisplay], row.eid);
-    formatted.Library = this.formatLibraryDescriptor(row, highlightColumns.has("Library"));
+    const gracePeriod = this.describeGracePeriod(row, meta);
+    formatted.Library = this.formatLibraryDescriptor(
+      row,
+      highlightColumns.has("Library") || Boolean(gracePeriod?.isWeaker && gracePeriod.isActive),
+      gracePeriod,
+    );
 
     formatted["Required DVNs"] = this.formatRequiredDvns(
       row,
@@ -334,6 +342,7 @@ export class SecurityConfigFormatter {
     );
 
     formatted["Optional DVNs"] = this.formatOptionalDvns(row, meta, highlightOptional);
+    formatted["DVN Participation"] = this.formatDvnParticipation(row, meta, routeActivity);
 
     formatted.Peer = this.formatPeer(
       row,
@@ -351,12 +360,187 @@ export class SecurityConfigFormatter {
       highlightFallback || highlightColumns.has("Fallbacks"),
     );
 
+    const sendConfig = meta?.sendConfigMap?.get(String(row.eid)) ?? null;
+    formatted["Send Library"] = this.formatSendLibrary(sendConfig);
+    formatted["Send DVNs"] = this.formatSendDvns(sendConfig, meta);
+    formatted["Send Confirmations"] = this.formatSendConfirmations(sendConfig);
+    formatted.Executor = this.formatExecutorConfig(sendConfig);
+    formatted["Enforced Options"] = this.formatEnforcedOptions(
+      meta?.enforcedOptionsMap?.get(String(row.eid)) ?? [],
+    );
+
     formatted["Last Update"] = this.formatLastComputed(row);
 
     return formatted;
   }
 
-  formatLibraryDescriptor(row, highlight = false) {
+  formatSendLibrary(sendConfig) {
+    if (!sendConfig) {
+      return createFormattedCell(["—", "No send config indexed"], "");
+    }
+
+    const address = sendConfig.effectiveSendLibrary || "—";
+    const statusExplanations = {
+      tracked: "TRACKED (ULN config available)",
+      unsupported: "UNSUPPORTED (no ULN config)",
+      none: "NOT CONFIGURED",
+    };
+    const statusBits = [statusExplanations[sendConfig.libraryStatus] || "UNKNOWN STATUS"];
+    if (sendConfig.usesDefaultLibrary && sendConfig.effectiveSendLibrary) {
+      statusBits.push("Uses default library");
+    } else if (sendConfig.libraryOverrideVersionId) {
+      statusBits.push("Custom override");
+    }
+
+    const lines = [address, statusBits.join(" • ")];
+
+    return createFormattedCell(lines, address, {
+      highlight: sendConfig.libraryStatus === "none",
+    });
+  }
+
+  formatSendDvns(sendConfig, meta) {
+    if (!sendConfig || sendConfig.libraryStatus !== "tracked") {
+      return createFormattedCell(["—", "No ULN config"], "");
+    }
+
+    const lines = [];
+    const required = Array.isArray(sendConfig.effectiveRequiredDVNs)
+      ? sendConfig.effectiveRequiredDVNs.filter(Boolean)
+      : [];
+    const optional = Array.isArray(sendConfig.effectiveOptionalDVNs)
+      ? sendConfig.effectiveOptionalDVNs.filter(Boolean)
+      : [];
+    const localEid = sendConfig.localEid ?? meta?.localEid;
+
+    if (sendConfig.usesRequiredDVNSentinel) {
+      lines.push("SENTINEL: 0 required DVNs");
+    } else {
+      lines.push(`Required ${sendConfig.effectiveRequiredDVNCount ?? required.length}`);
+      if (required.length) {
+        lines.push(...this.resolveDvnLabels(required, meta, localEid));
+      }
+    }
+
+    const optionalCount = sendConfig.effectiveOptionalDVNCount ?? 0;
+    if (sendConfig.usesOptionalDVNSentinel) {
+      lines.push("SENTINEL: 0 optional DVNs");
+    } else if (optionalCount > 0 || optional.length) {
+      lines.push(`Optional ${sendConfig.effectiveOptionalDVNThreshold ?? "—"}/${optionalCount}`);
+      if (optional.length) {
+        lines.push(...this.resolveDvnLabels(optional, meta, localEid));
+      }
+    }
+
+    return createFormattedCell(lines, [...required, ...optional].join(", "));
+  }
+
+  formatSendConfirmations(sendConfig) {
+    if (!sendConfig || sendConfig.libraryStatus !== "tracked") {
+      return createFormattedCell(["—", "No ULN config"], "");
+    }
+
+    const confirmations = sendConfig.effectiveConfirmations ?? "—";
+    const lines = sendConfig.usesConfirmationsSentinel
+      ? ["SENTINEL: 0 confirmations"]
+      : [String(confirmations)];
+    return createFormattedCell(lines, String(confirmations));
+  }
+
+  formatExecutorConfig(sendConfig) {
+    if (!sendConfig || sendConfig.libraryStatus !== "tracked") {
+      return createFormattedCell(["—", "No executor config"], "");
+    }
+
+    const executor = sendConfig.effectiveExecutor;
+    const hasExecutor = Boolean(executor) && !isZeroAddress(executor);
+    const lines = [hasExecutor ? executor : "No executor"];
+    const maxMessageSize = sendConfig.effectiveMaxMessageSize;
+    if (maxMessageSize !== undefined && maxMessageSize !== null) {
+      lines.push(`Max message ${maxMessageSize} bytes`);
+    }
+    if (sendConfig.usesDefaultExecutorConfig) {
+      lines.push("Uses default executor config");
+    } else if (sendConfig.executorConfigOverrideVersionId) {
+      lines.push("Custom override");
+    }
+
+    return createFormattedCell(lines, executor || "", { highlight: !hasExecutor });
+  }
+
+  /**
+   * Enforced options (OAppOptionsType3) per message type. Gas and value are the
+   * executor totals decoded by the indexer; undecodable options are highlighted.
+   */
+  formatEnforcedOptions(options) {
+    if (!Array.isArray(options) || options.length === 0) {
+      return createFormattedCell(["—", "No enforced options"], "");
+    }
+
+    const msgTypeLabels = { 1: "SEND", 2: "SEND_AND_CALL" };
+    const lines = [];
+    let hasParseError = false;
+
+    options.forEach((option) => {
+      const label = msgTypeLabels[option.msgType] || `msgType ${option.msgType}`;
+      if (!option.options || option.options === "0x") {
+        lines.push(`${label}: cleared`);
+        return;
+      }
+      if (option.parseError) {
+        hasParseError = true;
+        lines.push(`${label}: undecodable (${option.parseError})`);
+        return;
+      }
+      const parts = [`lzReceive gas ${option.lzReceiveGas}`];
+      if (bigIntSafe(option.lzReceiveValue)) {
+        parts.push(`value ${option.lzReceiveValue}`);
+      }
+      if (bigIntSafe(option.composeGas)) {
+        parts.push(`compose gas ${option.composeGas}`);
+      }
+      if (bigIntSafe(option.nativeDropAmount)) {
+        parts.push(`native drop ${option.nativeDropAmount}`);
+      }
+      if (option.orderedExecution) {
+        parts.push("ordered");
+      }
+      if (option.dvnOptionCount > 0) {
+        parts.push(`${option.dvnOptionCount} DVN option(s)`);
+      }
+      lines.push(`${label}: ${parts.join(" • ")}`);
+    });
+
+    return createFormattedCell(lines, options.map((option) => option.options).join(", "), {
+      highlight: hasParseError,
+    });
+  }
+
+  /**
+   * Describes the receive library grace period for a row. Expiry is a block
+   * number on the local chain, compared against the newest block we have seen.
+   */
+  describeGracePeriod(row, meta) {
+    const library = row?.gracePeriodLibrary;
+    if (!library || isZeroAddress(library)) {
+      return null;
+    }
+    const expiry = bigIntSafe(row.gracePeriodExpiry);
+    const referenceBlock = [row.lastComputedBlock, meta?.oappInfo?.lastPacketBlock]
+      .map((value) => bigIntSafe(value))
+      .filter((value) => value !== null)
+      .reduce((max, value) => (max === null || value > max ? value : max), null);
+    const isActive = expiry !== null && (referenceBlock === null || expiry > referenceBlock);
+    return {
+      library,
+      expiry,
+      isActive,
+      isWeaker: Boolean(row.gracePeriodIsWeaker),
+      libraryStatus: row.gracePeriodLibraryStatus || "unknown",
+    };
+  }
+
+  formatLibraryDescriptor(row, highlight = false, gracePeriod = null) {
     const address = row.effectiveReceiveLibrary || "—";
     const statusBits = [];
 
@@ -368,6 +552,9 @@ export class SecurityConfigFormatter {
       unknown: "UNKNOWN STATUS",
     };
     statusBits.push(statusExplanations[libraryStatus] || libraryStatus);
+    if (libraryStatus === "tracked" && row.effectiveReceiveLibraryVersion) {
+      statusBits.push(`ReceiveUln${row.effectiveReceiveLibraryVersion}`);
+    }
 
     if (row.usesDefaultLibrary && row.effectiveReceiveLibrary) {
       statusBits.push("Uses default library");
@@ -381,6 +568,22 @@ export class SecurityConfigFormatter {
       lines.push(statusBits.join(" • "));
     }
 
+    if (gracePeriod) {
+      const expiryLabel = gracePeriod.expiry !== null ? `block ${gracePeriod.expiry}` : "unknown";
+      if (!gracePeriod.isActive) {
+        lines.push(`Grace period expired: ${gracePeriod.library} (${expiryLabel})`);
+      } else if (gracePeriod.isWeaker) {
+        lines.push(
+          `⚠ Weaker library still valid: ${gracePeriod.library} until ${expiryLabel}`,
+          gracePeriod.libraryStatus === "tracked"
+            ? "Grace library accepts packets with lower DVN/confirmation requirements"
+            : "Grace library config is not tracked",
+        );
+      } else {
+        lines.push(`Grace period: ${gracePeriod.library} valid until ${expiryLabel}`);
+      }
+    }
+
     return createFormattedCell(lines, address, { highlight });
   }
 
@@ -411,6 +614,12 @@ export class SecurityConfigFormatter {
       return createFormattedCell(["—", "No ULN config"], "", { highlight });
     }
 
+    if (row.usesOptionalDVNSentinel) {
+      return createFormattedCell(["SENTINEL: 0 optional DVNs", "Required DVNs only"], "sentinel", {
+        highlight,
+      });
+    }
+
     const count = row.effectiveOptionalDVNCount ?? 0;
     const threshold = row.effectiveOptionalDVNThreshold ?? "—";
     return this.formatDvnSet(
@@ -423,6 +632,55 @@ export class SecurityConfigFormatter {
     );
   }
 
+  /**
+   * Summarizes which DVNs actually verified delivered packets on the route
+   * (from PayloadVerified), with their share of packets and confirmations waited.
+   */
+  formatDvnParticipation(row, meta, routeActivity) {
+    const stats = meta?.dvnParticipationMap?.get(String(row.eid)) ?? [];
+    if (!stats.length) {
+      return createFormattedCell(["—", "No verifications indexed"], "");
+    }
+
+    const routePackets = routeActivity?.count ?? 0;
+    const roleOrder = { required: 0, optional: 1, unlisted: 2 };
+    const sorted = [...stats].sort(
+      (a, b) =>
+        (roleOrder[a.role] ?? 3) - (roleOrder[b.role] ?? 3) ||
+        coerceToNumber(b.packetsVerified) - coerceToNumber(a.packetsVerified),
+    );
+
+    const optionalStats = sorted.filter((stat) => stat.role === "optional");
+    const configuredOptional = Array.isArray(row.effectiveOptionalDVNs)
+      ? row.effectiveOptionalDVNs.length
+      : 0;
+    const lines = [];
+    if (configuredOptional > 0) {
+      lines.push(`Optional seen ${optionalStats.length}/${configuredOptional}`);
+    }
+
+    sorted.forEach((stat) => {
+      const [label] = this.resolveDvnLabels([stat.dvn], meta, row.localEid);
+      const verified = coerceToNumber(stat.packetsVerified);
+      const share =
+        routePackets > 0
+          ? ` (${Math.round((Math.min(verified, routePackets) / routePackets) * 100)}%)`
+          : "";
+      const avgConfirmations =
+        verified > 0 ? Math.round(coerceToNumber(stat.totalConfirmations) / verified) : null;
+      const confirmationLabel =
+        avgConfirmations !== null
+          ? ` • avg ${avgConfirmations} conf (${stat.minConfirmations ?? "—"}–${stat.maxConfirmations ?? "—"})`
+          : "";
+      lines.push(`${stat.role}: ${label || stat.dvn} ${verified} pkts${share}${confirmationLabel}`);
+    });
+
+    const hasUnlisted = sorted.some((stat) => stat.role === "unlisted");
+    return createFormattedCell(lines, sorted.map((stat) => stat.dvn).join(", "), {
+      highlight: hasUnlisted,
+    });
+  }
+
   formatDvnSet(addresses, count, meta, localEid, extraLines = [], highlight = false) {
     const addrs = Array.isArray(addresses) ? addresses.filter(Boolean) : [];
     const lines = [`Count ${count ?? addrs.length ?? 0}`, ...extraLines];
@@ -433,7 +691,9 @@ export class SecurityConfigFormatter {
   }
 
   derivePeerContext(row) {
-    const peerOappId = row.peerOappId ?? null;
+    const nativePeer =
+      row.peer && !isZeroAddress(row.peer) ? AddressUtils.normalizeRemote(row.peer, row.eid) : null;
+    const peerOappId = row.peerOappId ?? (nativePeer ? `${row.eid}_${nativePeer}` : null);
     if (!peerOappId) {
       return null;
     }
@@ -561,9 +821,9 @@ export class SecurityConfigFormatter {
     const confirmations = row.effectiveConfirmations ?? "—";
     const lines = [];
 
-    // Check for sentinel value (2^64-1 = 18446744073709551615)
+    // Merged rows carry the flag; raw rows may still hold the sentinel (2^64-1)
     const CONFIRMATIONS_SENTINEL = APP_CONFIG.SENTINEL_VALUES.CONFIRMATIONS_SENTINEL;
-    if (String(confirmations) === CONFIRMATIONS_SENTINEL) {
+    if (row.usesConfirmationsSentinel || String(confirmations) === CONFIRMATIONS_SENTINEL) {
       lines.push("SENTINEL: 0 confirmations");
       lines.push("Instant finality mode");
     } else {
@@ -588,6 +848,7 @@ export class SecurityConfigFormatter {
 
     const map = {
       receiveLibrary: "library",
+      sendLibrary: "send library",
       confirmations: "confirmations",
       requiredDVNCount: "required count",
       requiredDVNs: "required dvns",
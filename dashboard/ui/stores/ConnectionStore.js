@@ -0,0 +1,124 @@
+import { APP_CONFIG } from "../../config.js";
+
+const CREDENTIAL_FIELDS = ["adminSecret", "role", "bearerToken"];
+
+/**
+ * Remembers the selected GraphQL endpoint and per-endpoint credentials in sessionStorage.
+ * Credentials are keyed by endpoint so switching endpoints never leaks a secret to another host.
+ * An explicit `?endpoint=` in the page URL wins over the stored selection, so shared links open
+ * against the backend they name.
+ */
+export class ConnectionStore {
+  constructor(storageKey = APP_CONFIG.STORAGE_KEYS.CONNECTION) {
+    this.storageKey = storageKey;
+    this.activeEndpoint = null;
+    this.credentials = new Map();
+    this.load();
+    this.applyUrlEndpoint();
+  }
+
+  applyUrlEndpoint() {
+    const urlEndpoint = new URLSearchParams(window.location.search).get("endpoint")?.trim();
+    if (!urlEndpoint || urlEndpoint === this.activeEndpoint) {
+      return;
+    }
+    this.activeEndpoint = urlEndpoint;
+    this.persist();
+  }
+
+  load() {
+    this.activeEndpoint = null;
+    this.credentials.clear();
+
+    try {
+      const stored = sessionStorage.getItem(this.storageKey);
+      if (!stored) {
+        return;
+      }
+      const parsed = JSON.parse(stored);
+      if (!parsed || typeof parsed !== "object") {
+        return;
+      }
+      if (typeof parsed.activeEndpoint === "string" && parsed.activeEndpoint.trim()) {
+        this.activeEndpoint = parsed.activeEndpoint.trim();
+      }
+      Object.entries(parsed.credentials ?? {}).forEach(([endpoint, value]) => {
+        const cleaned = this.sanitize(value);
+        if (cleaned) {
+          this.credentials.set(endpoint, cleaned);
+        }
+      });
+    } catch (error) {
+      console.warn("[ConnectionStore] Failed to load from storage", error);
+    }
+  }
+
+  sanitize(value) {
+    if (!value || typeof value !== "object") {
+      return null;
+    }
+    const cleaned = {};
+    CREDENTIAL_FIELDS.forEach((field) => {
+      const raw = value[field];
+      const trimmed = raw === null || raw === undefined ? "" : String(raw).trim();
+      if (trimmed) {
+        cleaned[field] = trimmed;
+      }
+    });
+    return Object.keys(cleaned).length ? cleaned : null;
+  }
+
+  getActiveEndpoint() {
+    return this.activeEndpoint || APP_CONFIG.GRAPHQL_ENDPOINT;
+  }
+
+  get(endpoint) {
+    if (!endpoint) return null;
+    return this.credentials.get(String(endpoint)) || null;
+  }
+
+  hasCredentials(endpoint) {
+    return this.credentials.has(String(endpoint));
+  }
+
+  /**
+   * Selects `endpoint` and replaces its credentials. Blank fields are dropped, so saving an
+   * empty form leaves the endpoint anonymous.
+   */
+  save(endpoint, credentials) {
+    const target = endpoint?.trim() || APP_CONFIG.GRAPHQL_ENDPOINT;
+    const cleaned = this.sanitize(credentials);
+
+    this.activeEndpoint = target === APP_CONFIG.GRAPHQL_ENDPOINT ? null : target;
+    if (cleaned) {
+      this.credentials.set(target, cleaned);
+    } else {
+      this.credentials.delete(target);
+    }
+    this.persist();
+    return target;
+  }
+
+  clear(endpoint) {
+    if (!endpoint) return false;
+    const removed = this.credentials.delete(String(endpoint));
+    if (removed) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  persist() {
+    try {
+      sessionStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          activeEndpoint: this.activeEndpoint,
+          credentials: Object.fromEntries(this.credentials),
+        }),
+      );
+    } catch (error) {
+      console.warn("[ConnectionStore] Failed to persist", error);
+    }
+  }
+}
@@ -1,4 +1,7 @@
 import { formatTimestampValue } from "../../core.js";
+import { AddressUtils } from "../../utils/AddressUtils.js";
+import { describeNonceInterventions } from "../../utils/MetricsUtils.js";
+import { formatRawAmount } from "../../utils/NumberUtils.js";
 
 export function renderSummaryPanels(meta, { aliasStore, getChainDisplayLabel }) {
   if (!meta) {
@@ -27,7 +30,11 @@ export function renderSummaryPanels(meta, { aliasStore, getChainDisplayLabel })
       oappPanels.push(panel);
     }
   }
-  if (meta.rateLimiter || (meta.rateLimits && meta.rateLimits.length > 0)) {
+  if (
+    meta.rateLimiter ||
+    (meta.rateLimits && meta.rateLimits.length > 0) ||
+    meta.rateLimitUsage?.unlimitedHighVolume?.length > 0
+  ) {
     const panel = renderRateLimitingSummary(meta, getChainDisplayLabel);
     if (panel) {
       oappPanels.push(panel);
@@ -76,6 +83,21 @@ function renderOAppSummary(meta, aliasStore, getChainDisplayLabel) {
   appendSummaryRow(list, "Local EID", localLabel);
   appendSummaryRow(list, "Address", info.address ?? "");
 
+  if (meta.delegate) {
+    appendSummaryRow(
+      list,
+      "Delegate",
+      AddressUtils.describeAccount(meta.delegate.delegate, meta.delegate.delegateKind),
+    );
+  }
+  if (meta.owner) {
+    appendSummaryRow(
+      list,
+      "Owner",
+      AddressUtils.describeAccount(meta.owner.owner, meta.owner.ownerKind),
+    );
+  }
+
   if (info.totalPacketsReceived !== undefined && info.totalPacketsReceived !== null) {
     appendSummaryRow(list, "Total Packets", String(info.totalPacketsReceived));
   }
@@ -116,6 +138,22 @@ function renderRouteStatsSummary(routeStats, getChainDisplayLabel) {
     appendSummaryRow(list, " ", `... and ${routeStats.length - 5} more routes`);
   }
 
+  // Interventions are rare, so list every affected route rather than the top five
+  const intervened = routeStats
+    .map((route) => ({ route, description: describeNonceInterventions(route) }))
+    .filter((entry) => entry.description);
+  intervened.forEach(({ route, description }, index) => {
+    const chainLabel = getChainDisplayLabel(route.srcEid) || `EID ${route.srcEid}`;
+    const lastBlock = route.lastInterventionBlock
+      ? ` (last at block ${route.lastInterventionBlock})`
+      : "";
+    appendSummaryRow(
+      list,
+      index === 0 ? "⚠ Nonce Interventions" : " ",
+      `${chainLabel}: ${description}${lastBlock}`,
+    );
+  });
+
   return panel;
 }
 
@@ -156,6 +194,9 @@ function renderSecuritySummary(summary) {
 function renderRateLimitingSummary(meta, getChainDisplayLabel) {
   const rateLimiter = meta.rateLimiter;
   const rateLimits = meta.rateLimits || [];
+  const usageRoutes = meta.rateLimitUsage?.routes ?? [];
+  const unlimitedHighVolume = meta.rateLimitUsage?.unlimitedHighVolume ?? [];
+  const usageByEid = new Map(usageRoutes.map((route) => [route.dstEid, route]));
 
   const panel = createPanel("Rate Limiting (OFT)");
   const list = document.createElement("dl");
@@ -173,10 +214,14 @@ function renderRateLimitingSummary(meta, getChainDisplayLabel) {
     rateLimits.slice(0, 5).forEach((limit, index) => {
       const chainLabel = getChainDisplayLabel(limit.dstEid) || `EID ${limit.dstEid}`;
       const windowHours = Number(limit.window) / 3600;
+      const usage = usageByEid.get(String(limit.dstEid));
+      const usageLabel = usage
+        ? ` • ${formatPercent(usage.currentPercent)} used now (peak ${formatPercent(usage.peakPercent)})`
+        : "";
       appendSummaryRow(
         list,
         index === 0 ? "Limits" : " ",
-        `${chainLabel}: ${limit.limit} per ${windowHours}h`,
+        `${chainLabel}: ${limit.limit} per ${windowHours}h${usageLabel}`,
       );
     });
 
@@ -185,9 +230,34 @@ function renderRateLimitingSummary(meta, getChainDisplayLabel) {
     }
   }
 
+  // Daily peak utilization, oldest first, for the busiest limited routes
+  const history = usageRoutes
+    .filter((route) => route.dailyPeaks.length > 0)
+    .sort((a, b) => b.peakPercent - a.peakPercent)
+    .slice(0, 5);
+  history.forEach((route, index) => {
+    const chainLabel = getChainDisplayLabel(route.dstEid) || `EID ${route.dstEid}`;
+    const peaks = route.dailyPeaks.map((entry) => formatPercent(entry.percent)).join(" · ");
+    appendSummaryRow(list, index === 0 ? "Daily Peak Usage" : " ", `${chainLabel}: ${peaks}`);
+  });
+
+  unlimitedHighVolume.forEach((route, index) => {
+    const chainLabel = getChainDisplayLabel(route.eid) || `EID ${route.eid}`;
+    appendSummaryRow(
+      list,
+      index === 0 ? "⚠ No Limit, High Volume" : " ",
+      `${chainLabel}: ${formatRawAmount(route.sentAmount)} sent (${formatPercent(route.share * 100)} of volume)`,
+    );
+  });
+
   return panel;
 }
 
+function formatPercent(value) {
+  const percent = Number(value) || 0;
+  return `${percent >= 10 || percent === 0 ? percent.toFixed(0) : percent.toFixed(1)}%`;
+}
+
 function renderPopularOappsSummary(summary) {
   if (!summary) {
     return null;
@@ -214,6 +284,8 @@ function renderPopularOappsSummary(summary) {
   }
 
   appendSummaryRow(list, "Packets Scanned", summary.sampledPackets);
+  appendSummaryRow(list, "Packets in Window", summary.totalPackets);
+  appendSummaryRow(list, "Daily Buckets", summary.dailyBuckets);
   appendSummaryRow(list, "Unique OApps", summary.totalOapps);
   appendSummaryRow(list, "Results Returned", summary.returnedCount);
   appendSummaryRow(list, "Sample Limit", summary.fetchLimit);
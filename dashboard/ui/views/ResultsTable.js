@@ -6,7 +6,7 @@ import {
   stringifyScalar,
 } from "../../core.js";
 
-export function buildResultsTable(rows, { chainMetadata }) {
+export function buildResultsTable(rows, { chainMetadata, changedCells = null }) {
   const columnSet = new Set();
   rows.forEach((row) => {
     Object.keys(row || {}).forEach((key) => columnSet.add(key));
@@ -32,6 +32,9 @@ export function buildResultsTable(rows, { chainMetadata }) {
     columns.forEach((column) => {
       const td = document.createElement("td");
       renderCell(td, column, row[column], chainMetadata);
+      if (changedCells?.get(row)?.has(column)) {
+        td.classList.add("live-changed");
+      }
       tr.appendChild(td);
     });
     tbody.appendChild(tr);
@@ -41,6 +44,45 @@ export function buildResultsTable(rows, { chainMetadata }) {
   return table;
 }
 
+function cellSignature(value) {
+  if (value && typeof value === "object" && value.__formatted) {
+    return JSON.stringify([value.lines ?? null, value.copyValue ?? null]);
+  }
+  if (value && typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value ?? "");
+}
+
+/**
+ * Compares a refetched result against the rows it replaces, matching rows on the
+ * `rowKey` column. Returns the changed columns per new row; rows without a
+ * counterpart count as changed in every column.
+ */
+export function findChangedCells(previousRows, rows, rowKey) {
+  const changed = new Map();
+  if (!rowKey || !Array.isArray(previousRows)) {
+    return changed;
+  }
+
+  const previousByKey = new Map();
+  previousRows.forEach((row) => {
+    previousByKey.set(cellSignature(row?.[rowKey]), row);
+  });
+
+  rows.forEach((row) => {
+    const previous = previousByKey.get(cellSignature(row?.[rowKey]));
+    const columns = Object.keys(row || {}).filter(
+      (column) => !previous || cellSignature(previous[column]) !== cellSignature(row[column]),
+    );
+    if (columns.length) {
+      changed.set(row, new Set(columns));
+    }
+  });
+
+  return changed;
+}
+
 function renderCell(td, column, value, chainMetadata) {
   const { nodes, copyValue, isCopyable, meta, highlight } = interpretValue(
     column,
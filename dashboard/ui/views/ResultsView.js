@@ -2,7 +2,7 @@ import { APP_CONFIG } from "../../config.js";
 import { resolveChainDisplayLabel } from "../../core.js";
 import { buildPayloadDetails } from "./ResultsPayloadDetails.js";
 import { renderSummaryPanels } from "./ResultsSummaryPanels.js";
-import { buildResultsTable } from "./ResultsTable.js";
+import { buildResultsTable, findChangedCells } from "./ResultsTable.js";
 
 export class ResultsView {
   constructor(
@@ -29,6 +29,7 @@ export class ResultsView {
 
   render(rows, payload, meta) {
     const metaSnapshot = { ...meta };
+    const previousRender = this.lastRender;
     this.lastRender = { rows, payload, meta: metaSnapshot };
 
     if (this.copyJsonButton) {
@@ -62,6 +63,7 @@ export class ResultsView {
 
     this.resultsTitle.textContent = metaSnapshot.label || "Results";
     this.resultsMeta.textContent = metaParts.join(" • ");
+    this.renderCacheIndicator(metaSnapshot);
 
     if (meta.error) {
       this.renderError(meta);
@@ -101,7 +103,11 @@ export class ResultsView {
       this.resultsBody.appendChild(summaryPanel);
     }
 
-    const table = buildResultsTable(rows, { chainMetadata: this.chainMetadata });
+    const changedCells =
+      metaSnapshot.liveUpdate && previousRender?.meta?.queryKey === metaSnapshot.queryKey
+        ? findChangedCells(previousRender.rows, rows, metaSnapshot.liveRowKey)
+        : null;
+    const table = buildResultsTable(rows, { chainMetadata: this.chainMetadata, changedCells });
     const payloadDetails = buildPayloadDetails(payload);
 
     this.resultsBody.appendChild(table);
@@ -146,6 +152,31 @@ export class ResultsView {
     this.resultsBody.appendChild(graphContainer);
   }
 
+  renderCacheIndicator(meta) {
+    if (!meta.cachedAt || meta.error) {
+      return;
+    }
+
+    const minutes = Math.floor((Date.now() - meta.cachedAt) / 60000);
+    const indicator = document.createElement("span");
+    indicator.className = "cache-indicator";
+    indicator.textContent = ` • cached ${minutes < 1 ? "just now" : `${minutes} min ago`} / `;
+    indicator.title = `Served from the local query cache (${new Date(meta.cachedAt).toLocaleTimeString()})`;
+
+    const refreshButton = document.createElement("button");
+    refreshButton.type = "button";
+    refreshButton.className = "cache-refresh";
+    refreshButton.textContent = "refresh";
+    refreshButton.addEventListener("click", () => {
+      document.dispatchEvent(
+        new CustomEvent("query:refresh", { detail: { queryKey: meta.queryKey } }),
+      );
+    });
+
+    indicator.appendChild(refreshButton);
+    this.resultsMeta.appendChild(indicator);
+  }
+
   getChainDisplayLabel(chainId) {
     return resolveChainDisplayLabel(this.chainMetadata, chainId);
   }
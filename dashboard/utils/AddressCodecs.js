@@ -0,0 +1,53 @@
+// Mirrors src/addressCodecs.ts so dashboard-derived peer ids match the indexer's oappIds.
+const ADDRESS_CODEC_BY_EID = Object.freeze({
+  30168: "base58", // Solana
+  30108: "hex32", // Aptos
+  30325: "hex32", // Movement
+  30326: "hex32", // Initia
+  30343: "hex32", // TON
+  30378: "hex32", // Sui
+});
+
+const HEX_PREFIX = "0x";
+const BYTES32_HEX_LENGTH = 64;
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+export function getAddressCodec(eid) {
+  if (eid === undefined || eid === null || eid === "") {
+    return "evm";
+  }
+  return ADDRESS_CODEC_BY_EID[String(eid)] ?? "evm";
+}
+
+export function encodeBase58(hex) {
+  let value = hex.length > 0 ? BigInt(`${HEX_PREFIX}${hex}`) : 0n;
+  let encoded = "";
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (let i = 0; i + 1 < hex.length && hex.slice(i, i + 2) === "00"; i += 2) {
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+}
+
+// Returns null for EVM endpoints, zero values and anything that is not bytes32-sized hex
+export function encodeRemoteAddress(eid, value) {
+  const codec = getAddressCodec(eid);
+  if (codec === "evm" || value === undefined || value === null) {
+    return null;
+  }
+
+  const trimmed = String(value).trim();
+  if (trimmed.slice(0, HEX_PREFIX.length).toLowerCase() !== HEX_PREFIX) {
+    return null;
+  }
+  const hex = trimmed.slice(HEX_PREFIX.length).toLowerCase();
+  if (!/^[0-9a-f]+$/.test(hex) || hex.length > BYTES32_HEX_LENGTH || /^0+$/.test(hex)) {
+    return null;
+  }
+
+  const padded = hex.padStart(BYTES32_HEX_LENGTH, "0");
+  return codec === "base58" ? encodeBase58(padded) : `${HEX_PREFIX}${padded}`;
+}
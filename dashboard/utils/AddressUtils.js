@@ -1,4 +1,5 @@
 import { APP_CONFIG } from "../config.js";
+import { encodeRemoteAddress } from "./AddressCodecs.js";
 
 const HEX_PREFIX = "0x";
 const BYTES32_HEX_LENGTH = 64;
@@ -70,6 +71,11 @@ export class AddressUtils {
     }
   }
 
+  // Peers and packet senders live on the remote chain; non-EVM endpoints keep their native format
+  static normalizeRemote(address, eid) {
+    return encodeRemoteAddress(eid, address) ?? this.normalizeSafe(address);
+  }
+
   static isZero(address) {
     if (!address) {
       return false;
@@ -91,6 +97,20 @@ export class AddressUtils {
     return this.isZero(address) || this.isDead(address);
   }
 
+  // Delegate/owner accounts carry an indexer-side kind: none, eoa, contract or unknown
+  static describeAccount(address, kind) {
+    if (!address || kind === "none" || this.isZero(address)) {
+      return "None (renounced)";
+    }
+    if (kind === "eoa") {
+      return `${address} (EOA)`;
+    }
+    if (kind === "contract") {
+      return `${address} (contract)`;
+    }
+    return String(address);
+  }
+
   static get constants() {
     return NORMALIZED_CONSTANTS;
   }
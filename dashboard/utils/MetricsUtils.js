@@ -1,4 +1,7 @@
-import { coerceToNumber } from "./NumberUtils.js";
+import { bigIntSafe, coerceToNumber } from "./NumberUtils.js";
+
+const BPS_PER_PERCENT = 100;
+const SECONDS_PER_DAY = 86400;
 
 export function calculateTotalRoutePackets(routeStats) {
   if (!Array.isArray(routeStats)) {
@@ -27,6 +30,18 @@ export function calculatePacketPercent(packetCount, totalPackets) {
   return share > 0 ? share * 100 : 0;
 }
 
+// Skip/nilify/burn counters from OAppRouteStats, e.g. "2 skipped, 1 burnt"; null when untouched
+export function describeNonceInterventions(stat) {
+  const parts = [
+    [coerceToNumber(stat?.skippedNonceCount), "skipped"],
+    [coerceToNumber(stat?.nilifiedPacketCount), "nilified"],
+    [coerceToNumber(stat?.burntPacketCount), "burnt"],
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}`);
+  return parts.length ? parts.join(", ") : null;
+}
+
 export function enrichRouteStatsWithShares(routeStats) {
   if (!Array.isArray(routeStats)) {
     return routeStats;
@@ -76,8 +91,94 @@ export function createRouteStatsMap(routeStatsRaw, normalizeKey) {
         stat?.lastPacketTimestamp !== undefined && stat?.lastPacketTimestamp !== null
           ? Number(stat.lastPacketTimestamp)
           : null,
+      skippedNonceCount: coerceToNumber(stat?.skippedNonceCount),
+      nilifiedPacketCount: coerceToNumber(stat?.nilifiedPacketCount),
+      burntPacketCount: coerceToNumber(stat?.burntPacketCount),
     });
   });
 
   return { routeStatsMap, totalRoutePackets };
 }
+
+// Mirrors the indexer's RateLimiter decay so "now" reflects the time since the last flow
+function decayedUtilizationPercent(usage, nowSeconds) {
+  const limit = bigIntSafe(usage?.limit) ?? 0n;
+  const window = bigIntSafe(usage?.window) ?? 0n;
+  const inFlight = bigIntSafe(usage?.amountInFlight) ?? 0n;
+  const elapsed = BigInt(
+    Math.max(0, Math.floor(nowSeconds - coerceToNumber(usage?.lastFlowTimestamp))),
+  );
+  if (inFlight <= 0n || window === 0n || elapsed >= window) {
+    return 0;
+  }
+  const decay = (limit * elapsed) / window;
+  const remaining = inFlight > decay ? inFlight - decay : 0n;
+  if (limit <= 0n) {
+    return remaining > 0n ? 100 : 0;
+  }
+  const bps = Number((remaining * 10000n) / limit);
+  return Math.min(bps, 10000) / BPS_PER_PERCENT;
+}
+
+/**
+ * Per-route rate limit utilization (current, all-time peak, daily peaks oldest first) plus
+ * routes that carry a large share of sent OFT volume without any configured limit.
+ * `nowSeconds` is the coordinator clock, so offline snapshots decay against their capture time.
+ */
+export function summarizeRateLimitUsage({
+  rateLimits,
+  usages,
+  dailyUsages,
+  routeVolumes,
+  historyDays,
+  highVolumeShare,
+  nowSeconds,
+}) {
+  const usageByEid = new Map((usages || []).map((usage) => [String(usage.dstEid), usage]));
+  const historyStart = nowSeconds - historyDays * SECONDS_PER_DAY;
+  const dailyByEid = new Map();
+  (dailyUsages || []).forEach((daily) => {
+    const day = coerceToNumber(daily.day);
+    if (day + SECONDS_PER_DAY <= historyStart) return;
+    const key = String(daily.dstEid);
+    if (!dailyByEid.has(key)) dailyByEid.set(key, []);
+    dailyByEid.get(key).push({
+      day,
+      percent: coerceToNumber(daily.peakUtilizationBps) / BPS_PER_PERCENT,
+    });
+  });
+
+  const routes = (rateLimits || []).map((limit) => {
+    const key = String(limit.dstEid);
+    const usage = usageByEid.get(key) ?? null;
+    return {
+      dstEid: key,
+      currentPercent: usage ? decayedUtilizationPercent(usage, nowSeconds) : 0,
+      peakPercent: usage ? coerceToNumber(usage.peakUtilizationBps) / BPS_PER_PERCENT : 0,
+      dailyPeaks: (dailyByEid.get(key) ?? []).sort((a, b) => a.day - b.day),
+    };
+  });
+
+  const limitedEids = new Set((rateLimits || []).map((limit) => String(limit.dstEid)));
+  const totalSent = (routeVolumes || []).reduce(
+    (acc, volume) => acc + (bigIntSafe(volume.sentAmount) ?? 0n),
+    0n,
+  );
+  const unlimitedHighVolume =
+    totalSent > 0n
+      ? (routeVolumes || [])
+          .filter((volume) => !limitedEids.has(String(volume.eid)))
+          .map((volume) => {
+            const sent = bigIntSafe(volume.sentAmount) ?? 0n;
+            return {
+              eid: String(volume.eid),
+              sentAmount: sent.toString(),
+              share: Number((sent * 10000n) / totalSent) / 10000,
+            };
+          })
+          .filter((route) => route.share >= highVolumeShare)
+          .sort((a, b) => b.share - a.share)
+      : [];
+
+  return { routes, unlimitedHighVolume };
+}
@@ -23,3 +23,39 @@ export function coerceToNumber(value) {
 export function toString(value) {
   return value === undefined || value === null ? null : String(value);
 }
+
+// OFT amounts are raw uint256 values in the token's local decimals, so they only add up
+// within one OApp on one chain; compare across OApps through rawAmountShare instead
+export function sumRawAmounts(values) {
+  return (Array.isArray(values) ? values : [])
+    .reduce((acc, value) => acc + (bigIntSafe(value) ?? 0n), 0n)
+    .toString();
+}
+
+const SHARE_SCALE = 1_000_000n;
+
+/**
+ * `part / total` for raw amounts of the same token, as a number in [0, 1]. The ratio is
+ * decimal-free, so shares of different tokens can be compared where raw amounts cannot.
+ */
+export function rawAmountShare(part, total) {
+  const numerator = bigIntSafe(part) ?? 0n;
+  const denominator = bigIntSafe(total) ?? 0n;
+  if (numerator <= 0n || denominator <= 0n) {
+    return 0;
+  }
+  const scaled = (numerator * SHARE_SCALE) / denominator;
+  return Math.min(1, Number(scaled) / Number(SHARE_SCALE));
+}
+
+export function formatRawAmount(value) {
+  const amount = bigIntSafe(value);
+  if (amount === null) {
+    return "—";
+  }
+  const digits = amount.toString();
+  if (digits.length <= 15) {
+    return Number(amount).toLocaleString("en-US");
+  }
+  return `${digits[0]}.${digits.slice(1, 3)}e${digits.length - 1}`;
+}
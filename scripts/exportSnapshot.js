@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Export the entities the explorer reads into static JSON shards, so the dashboard
+ * can run against a snapshot (SnapshotClient) instead of a live Hasura endpoint.
+ *
+ * Columns come from schema.graphql. Entities with a localEid column are sharded per
+ * local chain; everything else lands in a single "all" shard. PacketDelivered is
+ * left out: it is by far the largest table and only the sampled Hot OApps window
+ * reads it (the daily aggregates cover the same card offline).
+ *
+ * Output layout (default dashboard/data/snapshot):
+ *   manifest.json               - version, generatedAt, source and per-entity shard index
+ *   <Entity>/<shardKey>.json    - array of rows
+ *
+ * Usage:
+ *   npm run snapshot:export
+ *   npm run snapshot:export -- --out=/tmp/snapshot
+ *   npm run snapshot:export -- --entities=OAppSecurityConfig,OAppPeer
+ *
+ * Credentials are read from HASURA_ADMIN_SECRET / HASURA_ROLE / HASURA_JWT.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const GRAPHQL_ENDPOINT = process.env.GRAPHQL_ENDPOINT || "https://shinken.business/v1/graphql";
+const ROOT = path.join(__dirname, "..");
+const SCHEMA_PATH = path.join(ROOT, "schema.graphql");
+const DEFAULT_OUTPUT_DIR = path.join(ROOT, "dashboard/data/snapshot");
+const PAGE_SIZE = 10000;
+const SNAPSHOT_VERSION = 1;
+const SHARD_FIELD = "localEid";
+// Ids shaped `${localEid}_${address}` let the client pick shards from oappId filters
+const PREFIXED_FIELD_CANDIDATES = ["id", "oappId"];
+
+const ENTITIES = [
+  "OAppStats",
+  "OAppPeer",
+  "OAppSecurityConfig",
+  "OAppSendSecurityConfig",
+  "DefaultReceiveLibrary",
+  "DefaultUlnConfig",
+  "OAppReceiveLibrary",
+  "OAppUlnConfig",
+  "OAppRouteStats",
+  "OAppRouteDvnStats",
+  "OAppRouteVolume",
+  "OAppDelegate",
+  "OAppOwner",
+  "OAppEnforcedOption",
+  "OAppRateLimiter",
+  "OAppRateLimit",
+  "OAppRateLimitUsage",
+  "OAppRateLimitDailyUsage",
+  "OAppDailyStats",
+  "OAppRouteDailyStats",
+  "Dvn",
+  "SecurityConfigChange",
+  "PacketAnomaly",
+];
+
+/**
+ * Read the column names of every entity type in schema.graphql
+ */
+function loadSchemaFields() {
+  const source = fs.readFileSync(SCHEMA_PATH, "utf8");
+  const fields = new Map();
+  const typePattern = /^type\s+(\w+)\s*\{([^}]*)\}/gm;
+
+  for (const [, name, body] of source.matchAll(typePattern)) {
+    const columns = body
+      .split("\n")
+      .map((line) => line.replace(/#.*$/, "").trim())
+      .filter((line) => line && !line.includes("@derivedFrom"))
+      .map((line) => line.split(":")[0].trim());
+    fields.set(name, columns);
+  }
+
+  return fields;
+}
+
+function buildHeaders() {
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.HASURA_ADMIN_SECRET) {
+    headers["x-hasura-admin-secret"] = process.env.HASURA_ADMIN_SECRET;
+  }
+  if (process.env.HASURA_ROLE) {
+    headers["x-hasura-role"] = process.env.HASURA_ROLE;
+  }
+  if (process.env.HASURA_JWT) {
+    headers.Authorization = `Bearer ${process.env.HASURA_JWT}`;
+  }
+  return headers;
+}
+
+async function runQuery(query, variables) {
+  const response = await fetch(GRAPHQL_ENDPOINT, {
+    method: "POST",
+    headers: buildHeaders(),
+    body: JSON.stringify({ query, variables }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (result.errors) {
+    throw new Error(`GraphQL error: ${JSON.stringify(result.errors)}`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Fetch every row of an entity, paging on the primary key
+ */
+async function fetchEntityRows(entity, columns) {
+  const query = `
+    query Export${entity}($cursor: String!, $limit: Int!) {
+      ${entity}(where: { id: { _gt: $cursor } }, order_by: { id: asc }, limit: $limit) {
+        ${columns.join("\n        ")}
+      }
+    }
+  `;
+
+  const rows = [];
+  let cursor = "";
+  while (true) {
+    const data = await runQuery(query, { cursor, limit: PAGE_SIZE });
+    const page = data?.[entity] ?? [];
+    rows.push(...page);
+    process.stdout.write(`\r  ${entity}: ${rows.length.toLocaleString()} rows`);
+
+    if (page.length < PAGE_SIZE) {
+      break;
+    }
+    cursor = page[page.length - 1].id;
+  }
+  process.stdout.write("\n");
+
+  return rows;
+}
+
+function groupIntoShards(rows, columns) {
+  if (!columns.includes(SHARD_FIELD)) {
+    return new Map([["all", rows]]);
+  }
+
+  const shards = new Map();
+  for (const row of rows) {
+    const key = String(row[SHARD_FIELD]);
+    if (!shards.has(key)) {
+      shards.set(key, []);
+    }
+    shards.get(key).push(row);
+  }
+  return shards;
+}
+
+function findPrefixedFields(rows, columns) {
+  if (!columns.includes(SHARD_FIELD) || rows.length === 0) {
+    return [];
+  }
+  return PREFIXED_FIELD_CANDIDATES.filter(
+    (field) =>
+      columns.includes(field) &&
+      rows.every((row) => String(row[field] ?? "").startsWith(`${row[SHARD_FIELD]}_`)),
+  );
+}
+
+async function exportEntity(entity, columns, outputDir) {
+  const rows = await fetchEntityRows(entity, columns);
+  const shards = groupIntoShards(rows, columns);
+  const entityDir = path.join(outputDir, entity);
+  fs.mkdirSync(entityDir, { recursive: true });
+
+  const index = {};
+  for (const [key, shardRows] of shards) {
+    const file = `${entity}/${key}.json`;
+    fs.writeFileSync(path.join(outputDir, file), JSON.stringify(shardRows));
+    index[key] = { file, rows: shardRows.length };
+  }
+
+  return {
+    shardKey: columns.includes(SHARD_FIELD) ? SHARD_FIELD : null,
+    prefixedFields: findPrefixedFields(rows, columns),
+    rows: rows.length,
+    shards: index,
+  };
+}
+
+/**
+ * Clear what a previous export left in `outputDir`: the manifest and the shard
+ * directories it lists, plus the directories about to be written. Anything else is
+ * left alone, and a non-empty directory without a manifest is refused outright so a
+ * mistyped --out never deletes unrelated files.
+ */
+function prepareOutputDir(outputDir, entities) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const manifestPath = path.join(outputDir, "manifest.json");
+  const existing = fs.readdirSync(outputDir);
+
+  if (!existing.includes("manifest.json")) {
+    if (existing.length > 0) {
+      throw new Error(
+        `Refusing to export into ${outputDir}: it is not empty and holds no snapshot manifest`,
+      );
+    }
+    return;
+  }
+
+  let previous = null;
+  try {
+    previous = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch (error) {
+    previous = null;
+  }
+  if (previous?.version !== SNAPSHOT_VERSION || typeof previous.entities !== "object") {
+    throw new Error(
+      `Refusing to export into ${outputDir}: its manifest.json is not a snapshot manifest`,
+    );
+  }
+
+  const staleEntities = new Set([...Object.keys(previous?.entities ?? {}), ...entities]);
+  for (const entity of staleEntities) {
+    // Entity names come from schema.graphql or an old manifest; never follow a path out
+    if (!/^\w+$/.test(entity)) {
+      continue;
+    }
+    fs.rmSync(path.join(outputDir, entity), { recursive: true, force: true });
+  }
+  fs.rmSync(manifestPath, { force: true });
+}
+
+function parseArgs(argv) {
+  const options = { outputDir: DEFAULT_OUTPUT_DIR, entities: ENTITIES };
+  for (const arg of argv) {
+    if (arg.startsWith("--out=")) {
+      options.outputDir = path.resolve(arg.slice("--out=".length));
+    } else if (arg.startsWith("--entities=")) {
+      options.entities = arg
+        .slice("--entities=".length)
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  try {
+    const { outputDir, entities } = parseArgs(process.argv.slice(2));
+    const schemaFields = loadSchemaFields();
+
+    const unknown = entities.filter((entity) => !schemaFields.has(entity));
+    if (unknown.length) {
+      throw new Error(`Unknown entities (not in schema.graphql): ${unknown.join(", ")}`);
+    }
+
+    console.log(`Exporting ${entities.length} entities from ${GRAPHQL_ENDPOINT}`);
+    console.log(`Output: ${outputDir}\n`);
+
+    // Drop the previous export so shards of chains that disappeared don't linger
+    prepareOutputDir(outputDir, entities);
+
+    const manifest = {
+      version: SNAPSHOT_VERSION,
+      generatedAt: new Date().toISOString(),
+      source: GRAPHQL_ENDPOINT,
+      entities: {},
+    };
+
+    for (const entity of entities) {
+      manifest.entities[entity] = await exportEntity(entity, schemaFields.get(entity), outputDir);
+    }
+
+    fs.writeFileSync(path.join(outputDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+    const totalRows = Object.values(manifest.entities).reduce((sum, entry) => sum + entry.rows, 0);
+    console.log(`\n✓ Snapshot written: ${totalRows.toLocaleString()} rows`);
+  } catch (error) {
+    console.error("\n✗ Error:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+
+/**
+ * Generate every per-chain artifact from the chain manifest (chains.json)
+ * and cross-check them against each other.
+ *
+ * Written sections (delimited by BEGIN/END GENERATED markers):
+ *   config.yaml                  - networks block for the indexer
+ *   src/localChainRegistry.ts    - LOCAL_CHAIN_CONFIGS
+ *   dashboard/trackedLibraries.js - tracked receive library entries
+ *
+ * Each chain may track several receive libraries (receiveUln302, receiveUln301, ...);
+ * every one becomes its own ULN event source in config.yaml.
+ *
+ * The manifest itself can be refreshed from dashboard/layerzero.json with
+ * `node dashboard/slimify-layerzero.js <full.json> --manifest=chains.json`.
+ *
+ * Usage:
+ *   npm run chains:generate   # Rewrite generated sections, then verify
+ *   npm run chains:check      # Verify on-disk files only (exit 1 on drift)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const MANIFEST_PATH = path.join(ROOT, "chains.json");
+const CONFIG_PATH = path.join(ROOT, "config.yaml");
+const REGISTRY_PATH = path.join(ROOT, "src/localChainRegistry.ts");
+const TRACKED_LIBRARIES_PATH = path.join(ROOT, "dashboard/trackedLibraries.js");
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const LIBRARY_FIELDS = ["endpointV2", "receiveUln302", "receiveUln301", "sendUln302"];
+const CONTRACT_BY_FIELD = {
+  endpointV2: "EndpointV2",
+  receiveUln302: "ReceiveUln302",
+  receiveUln301: "ReceiveUln301",
+  sendUln302: "SendUln302",
+};
+// Receive libraries whose ULN configs the indexer merges, with their ULN version
+const RECEIVE_LIBRARY_VERSIONS = {
+  receiveUln302: 302,
+  receiveUln301: 301,
+};
+
+const MARKERS = {
+  yaml: {
+    begin: "# BEGIN GENERATED NETWORKS (scripts/generateChainArtifacts.js, edit chains.json)",
+    end: "# END GENERATED NETWORKS",
+  },
+  js: {
+    begin: "// BEGIN GENERATED CHAINS (scripts/generateChainArtifacts.js, edit chains.json)",
+    end: "// END GENERATED CHAINS",
+  },
+};
+
+/**
+ * Load and validate the manifest; every problem is collected before failing
+ */
+function loadManifest() {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+  const chains = Array.isArray(manifest.chains) ? manifest.chains : [];
+  const errors = [];
+  const seenChainIds = new Set();
+  const seenLocalEids = new Set();
+
+  if (chains.length === 0) {
+    errors.push("manifest has no chains");
+  }
+
+  chains.forEach((chain, index) => {
+    const label = chain.chainKey || `chains[${index}]`;
+    if (!Number.isInteger(chain.chainId)) {
+      errors.push(`${label}: chainId must be an integer`);
+    } else if (seenChainIds.has(chain.chainId)) {
+      errors.push(`${label}: duplicate chainId ${chain.chainId}`);
+    }
+    if (!Number.isInteger(chain.localEid)) {
+      errors.push(`${label}: localEid must be an integer`);
+    } else if (seenLocalEids.has(chain.localEid)) {
+      errors.push(`${label}: duplicate localEid ${chain.localEid}`);
+    }
+    if (!Number.isInteger(chain.startBlock) || chain.startBlock < 0) {
+      errors.push(`${label}: startBlock must be a non-negative integer`);
+    }
+    if (!ADDRESS_PATTERN.test(chain.endpointV2 || "")) {
+      errors.push(`${label}: endpointV2 is not a valid address`);
+    }
+    for (const field of [...Object.keys(RECEIVE_LIBRARY_VERSIONS), "sendUln302"]) {
+      if (chain[field] !== undefined && !ADDRESS_PATTERN.test(chain[field])) {
+        errors.push(`${label}: ${field} is not a valid address`);
+      }
+    }
+    seenChainIds.add(chain.chainId);
+    seenLocalEids.add(chain.localEid);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid chain manifest:\n  ${errors.join("\n  ")}`);
+  }
+
+  return chains;
+}
+
+/**
+ * Replace the text between two marker lines, keeping the markers themselves
+ */
+function replaceSection(content, markers, body, filePath) {
+  const beginIndex = content.indexOf(markers.begin);
+  const endIndex = content.indexOf(markers.end);
+  if (beginIndex === -1 || endIndex === -1 || endIndex < beginIndex) {
+    throw new Error(`Missing generated section markers in ${path.relative(ROOT, filePath)}`);
+  }
+  const head = content.slice(0, beginIndex + markers.begin.length);
+  return `${head}\n${body}\n${content.slice(endIndex)}`;
+}
+
+function extractSection(content, markers, filePath) {
+  const beginIndex = content.indexOf(markers.begin);
+  const endIndex = content.indexOf(markers.end);
+  if (beginIndex === -1 || endIndex === -1 || endIndex < beginIndex) {
+    throw new Error(`Missing generated section markers in ${path.relative(ROOT, filePath)}`);
+  }
+  return content.slice(beginIndex + markers.begin.length, endIndex);
+}
+
+/**
+ * Tracked receive libraries of a manifest chain or parsed network, in manifest field order
+ */
+function listReceiveLibraries(chain) {
+  return Object.entries(RECEIVE_LIBRARY_VERSIONS)
+    .filter(([field]) => chain[field])
+    .map(([field, version]) => ({
+      contract: CONTRACT_BY_FIELD[field],
+      version,
+      address: chain[field].toLowerCase(),
+    }));
+}
+
+function describeReceiveLibraries(libraries) {
+  if (!libraries || libraries.length === 0) return "none";
+  return libraries
+    .map((library) => `v${library.version}:${library.address}`)
+    .sort()
+    .join(", ");
+}
+
+function renderNetworks(chains) {
+  const lines = ["networks:"];
+  for (const chain of chains) {
+    lines.push(`- id: ${chain.chainId}`, `  start_block: ${chain.startBlock}`, "  contracts:");
+    for (const field of LIBRARY_FIELDS) {
+      if (!chain[field]) continue;
+      lines.push(`  - name: ${CONTRACT_BY_FIELD[field]}`, "    address:", `    - ${chain[field]}`);
+    }
+    lines.push("  - name: OAppOFT");
+  }
+  return lines.join("\n");
+}
+
+function renderRegistry(chains) {
+  const lines = ["const LOCAL_CHAIN_CONFIGS: LocalChainConfig[] = ["];
+  for (const chain of chains) {
+    lines.push(
+      "  {",
+      `    chainId: ${chain.chainId},`,
+      `    localEid: ${chain.localEid}n,`,
+      `    endpointV2: "${chain.endpointV2.toLowerCase()}",`,
+      "    receiveLibraries: [",
+    );
+    for (const library of listReceiveLibraries(chain)) {
+      lines.push(
+        "      {",
+        `        contract: "${library.contract}",`,
+        `        version: ${library.version},`,
+        `        address: "${library.address}",`,
+        "      },",
+      );
+    }
+    lines.push("    ],");
+    if (chain.sendUln302) {
+      lines.push(`    sendUln302: "${chain.sendUln302.toLowerCase()}",`);
+    }
+    lines.push("  },");
+  }
+  lines.push("];");
+  return lines.join("\n");
+}
+
+function renderTrackedLibraries(chains) {
+  const lines = ["const entries = ["];
+  for (const chain of chains) {
+    for (const library of listReceiveLibraries(chain)) {
+      lines.push(`  ["${chain.localEid}", "${library.address}", ${library.version}],`);
+    }
+  }
+  lines.push("];");
+  return lines.join("\n");
+}
+
+/**
+ * Parse the generated networks block back into { chainId: { field: address } }
+ */
+function parseNetworks(section) {
+  const networks = new Map();
+  let current = null;
+  let currentField = null;
+  for (const rawLine of section.split("\n")) {
+    const line = rawLine.trimEnd();
+    let match = line.match(/^- id: (\d+)$/);
+    if (match) {
+      current = { chainId: Number(match[1]) };
+      networks.set(current.chainId, current);
+      currentField = null;
+      continue;
+    }
+    if (!current) continue;
+    match = line.match(/^ {2}start_block: (\d+)$/);
+    if (match) {
+      current.startBlock = Number(match[1]);
+      continue;
+    }
+    match = line.match(/^ {2}- name: (\w+)$/);
+    if (match) {
+      currentField = Object.keys(CONTRACT_BY_FIELD).find(
+        (field) => CONTRACT_BY_FIELD[field] === match[1],
+      );
+      continue;
+    }
+    match = line.match(/^ {4}- (0x[0-9a-fA-F]+)$/);
+    if (match && currentField) {
+      current[currentField] = match[1].toLowerCase();
+    }
+  }
+  return networks;
+}
+
+function parseRegistry(section) {
+  const registry = new Map();
+  // Each chain entry starts at its chainId; receive libraries are nested objects
+  const blocks = section.split(/(?=chainId: \d+)/).slice(1);
+  for (const block of blocks) {
+    const chainId = block.match(/chainId: (\d+)/);
+    const localEid = block.match(/localEid: (\d+)n/);
+    if (!chainId || !localEid) continue;
+    const entry = {
+      chainId: Number(chainId[1]),
+      localEid: Number(localEid[1]),
+      receiveLibraries: [],
+    };
+    for (const field of ["endpointV2", "sendUln302"]) {
+      const match = block.match(new RegExp(`${field}: "(0x[0-9a-fA-F]+)"`));
+      if (match) entry[field] = match[1].toLowerCase();
+    }
+    const libraryPattern = /contract: "(\w+)",\s*version: (\d+),\s*address: "(0x[0-9a-fA-F]+)"/g;
+    for (const match of block.matchAll(libraryPattern)) {
+      entry.receiveLibraries.push({
+        contract: match[1],
+        version: Number(match[2]),
+        address: match[3].toLowerCase(),
+      });
+    }
+    registry.set(entry.chainId, entry);
+  }
+  return registry;
+}
+
+function parseTrackedLibraries(section) {
+  const tracked = new Map();
+  for (const match of section.matchAll(/\["(\d+)",\s*"(0x[0-9a-fA-F]+)",\s*(\d+)\]/g)) {
+    const localEid = Number(match[1]);
+    if (!tracked.has(localEid)) tracked.set(localEid, []);
+    tracked.get(localEid).push({ version: Number(match[3]), address: match[2].toLowerCase() });
+  }
+  return tracked;
+}
+
+/**
+ * Compare the manifest against what each artifact actually contains.
+ * Returns a list of human-readable mismatches (empty when in sync).
+ */
+function crossCheck(chains, networks, registry, tracked) {
+  const problems = [];
+  const lower = (value) => (value ? value.toLowerCase() : undefined);
+  const manifestChainIds = new Set(chains.map((chain) => chain.chainId));
+  const manifestLocalEids = new Set(chains.map((chain) => chain.localEid));
+
+  for (const chain of chains) {
+    const label = `${chain.chainKey || chain.chainId} (chainId ${chain.chainId}, eid ${chain.localEid})`;
+    const network = networks.get(chain.chainId);
+    const entry = registry.get(chain.chainId);
+
+    if (!network) {
+      problems.push(`${label}: missing from config.yaml networks`);
+    } else {
+      if (network.startBlock !== chain.startBlock) {
+        problems.push(
+          `${label}: config.yaml start_block ${network.startBlock} != ${chain.startBlock}`,
+        );
+      }
+      for (const field of LIBRARY_FIELDS) {
+        if (network[field] !== lower(chain[field])) {
+          problems.push(
+            `${label}: config.yaml ${CONTRACT_BY_FIELD[field]} ${network[field]} != ${lower(chain[field])}`,
+          );
+        }
+      }
+    }
+
+    if (!entry) {
+      problems.push(`${label}: missing from src/localChainRegistry.ts`);
+    } else {
+      if (entry.localEid !== chain.localEid) {
+        problems.push(`${label}: registry maps chainId to eid ${entry.localEid}`);
+      }
+      for (const field of ["endpointV2", "sendUln302"]) {
+        if (entry[field] !== lower(chain[field])) {
+          problems.push(`${label}: registry ${field} ${entry[field]} != ${lower(chain[field])}`);
+        }
+      }
+    }
+
+    const expectedLibraries = describeReceiveLibraries(listReceiveLibraries(chain));
+    const indexerLibraries = describeReceiveLibraries(network && listReceiveLibraries(network));
+    const registryLibraries = describeReceiveLibraries(entry && entry.receiveLibraries);
+    const dashboardLibraries = describeReceiveLibraries(tracked.get(chain.localEid));
+    if (
+      dashboardLibraries !== expectedLibraries ||
+      registryLibraries !== expectedLibraries ||
+      indexerLibraries !== expectedLibraries
+    ) {
+      problems.push(
+        `${label}: tracked receive libraries differ between dashboard (${dashboardLibraries}), ` +
+          `registry (${registryLibraries}) and config.yaml (${indexerLibraries}); ` +
+          `manifest has ${expectedLibraries}`,
+      );
+    }
+  }
+
+  for (const chainId of networks.keys()) {
+    if (!manifestChainIds.has(chainId)) {
+      problems.push(`config.yaml network ${chainId} is not in chains.json`);
+    }
+  }
+  for (const chainId of registry.keys()) {
+    if (!manifestChainIds.has(chainId)) {
+      problems.push(`src/localChainRegistry.ts chainId ${chainId} is not in chains.json`);
+    }
+  }
+  for (const localEid of tracked.keys()) {
+    if (!manifestLocalEids.has(localEid)) {
+      problems.push(`dashboard/trackedLibraries.js eid ${localEid} is not in chains.json`);
+    }
+  }
+
+  return problems;
+}
+
+function readArtifacts() {
+  const config = fs.readFileSync(CONFIG_PATH, "utf8");
+  const registry = fs.readFileSync(REGISTRY_PATH, "utf8");
+  const trackedLibraries = fs.readFileSync(TRACKED_LIBRARIES_PATH, "utf8");
+  return {
+    networks: parseNetworks(extractSection(config, MARKERS.yaml, CONFIG_PATH)),
+    registry: parseRegistry(extractSection(registry, MARKERS.js, REGISTRY_PATH)),
+    tracked: parseTrackedLibraries(
+      extractSection(trackedLibraries, MARKERS.js, TRACKED_LIBRARIES_PATH),
+    ),
+  };
+}
+
+function writeArtifacts(chains) {
+  const targets = [
+    [CONFIG_PATH, MARKERS.yaml, renderNetworks(chains)],
+    [REGISTRY_PATH, MARKERS.js, renderRegistry(chains)],
+    [TRACKED_LIBRARIES_PATH, MARKERS.js, renderTrackedLibraries(chains)],
+  ];
+  for (const [filePath, markers, body] of targets) {
+    const content = fs.readFileSync(filePath, "utf8");
+    const next = replaceSection(content, markers, body, filePath);
+    if (next !== content) {
+      fs.writeFileSync(filePath, next, "utf8");
+      console.log(`Updated ${path.relative(ROOT, filePath)}`);
+    } else {
+      console.log(`Unchanged ${path.relative(ROOT, filePath)}`);
+    }
+  }
+}
+
+function main() {
+  const checkOnly = process.argv.slice(2).includes("--check");
+
+  try {
+    const chains = loadManifest();
+    if (!checkOnly) {
+      writeArtifacts(chains);
+    }
+
+    const { networks, registry, tracked } = readArtifacts();
+    const problems = crossCheck(chains, networks, registry, tracked);
+    if (problems.length > 0) {
+      console.error(`\n✗ Chain artifacts are out of sync (${problems.length} problems):`);
+      for (const problem of problems) {
+        console.error(`  - ${problem}`);
+      }
+      console.error("\nRun `npm run chains:generate` after editing chains.json.");
+      process.exit(1);
+    }
+
+    console.log(
+      `\n✓ ${chains.length} chains consistent across config.yaml, registry and dashboard`,
+    );
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,67 +1,128 @@
 import {
+  DefaultExecutorConfig,
+  DefaultExecutorConfigVersion,
   DefaultReceiveLibrary,
+  DefaultReceiveLibraryTimeout,
+  DefaultReceiveLibraryTimeoutVersion,
   DefaultReceiveLibraryVersion,
+  DefaultSendLibrary,
+  DefaultSendLibraryVersion,
+  DefaultSendUlnConfig,
+  DefaultSendUlnConfigVersion,
   DefaultUlnConfig,
   DefaultUlnConfigVersion,
+  Dvn,
+  DvnRouteUsage,
   EndpointV2,
   handlerContext,
+  NonceIntervention,
+  OAppDailyStats,
+  OAppDelegate,
+  OAppDelegateVersion,
+  OAppEnforcedOption,
+  OAppEnforcedOptionVersion,
+  OAppExecutorConfig,
+  OAppExecutorConfigVersion,
   OAppOFT,
+  OAppOwner,
+  OAppOwnerVersion,
   OAppPeer,
   OAppPeerVersion,
   OAppRateLimit,
+  OAppRateLimitDailyUsage,
   OAppRateLimiter,
   OAppRateLimiterVersion,
+  OAppRateLimitUsage,
   OAppRateLimitVersion,
   OAppReceiveLibrary,
+  OAppReceiveLibraryTimeout,
+  OAppReceiveLibraryTimeoutVersion,
   OAppReceiveLibraryVersion,
+  OAppRouteDailySender,
+  OAppRouteDailyStats,
+  OAppRouteDailyVolume,
+  OAppRouteDvnStats,
   OAppRouteStats,
+  OAppRouteVolume,
   OAppSecurityConfig,
+  OAppSendLibrary,
+  OAppSendLibraryVersion,
+  OAppSendSecurityConfig,
+  OAppSendUlnConfig,
+  OAppSendUlnConfigVersion,
   OAppStats,
   OAppUlnConfig,
   OAppUlnConfigVersion,
+  PacketAnomaly,
   PacketDelivered as PacketDeliveredEntity,
+  PacketVerification,
+  PendingOAppOwner,
+  ReceiveUln301,
   ReceiveUln302,
+  ScopeMembership,
+  SecurityConfigChange,
+  SendUln302,
 } from "generated";
-import { getTrackedReceiveLibraryAddress, resolveLocalEid } from "./localChainRegistry";
+import { encodeRemoteAddress } from "./addressCodecs";
+import { isZeroAddress, normalizeAddress, ZERO_ADDRESS } from "./addressUtils";
+import {
+  findTrackedReceiveLibrary,
+  ReceiveLibraryContract,
+  resolveLocalEid,
+} from "./localChainRegistry";
+import {
+  arraysEqual,
+  configsAreEqual,
+  createNormalizedConfig,
+  FallbackField,
+  formatFallbackFields,
+  isTrackedReceiveLibrary,
+  LibraryDirection,
+  MergeResult,
+  mergeSecurityConfig,
+  pickEffectiveLibrary,
+  SENTINEL_OPTIONAL_DVN_COUNT,
+  SENTINEL_REQUIRED_DVN_COUNT,
+  uniqueNormalizedAddresses,
+} from "./securityConfigMerge";
 
-const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
 const HEX_PREFIX = "0x";
 const BYTES32_HEX_LENGTH = 64;
 const EVM_ADDRESS_HEX_LENGTH = 40;
 
 /**
- * Sentinel Values in LayerZero UlnConfig
- *
- * These special values distinguish between "inherit from default" (0) and "explicitly set to zero" (sentinel).
- *
- * | Field              | Type   | Meaning of 0 (DEFAULT)          | Meaning of max_value (NIL)                    |
- * |--------------------|--------|---------------------------------|-----------------------------------------------|
- * | requiredDVNCount   | uint8  | Inherit the default setting     | 255: Override to zero required DVNs           |
- * | optionalDVNCount   | uint8  | Inherit the default setting     | 255: Override to zero optional DVNs           |
- * | confirmations      | uint64 | Inherit the default setting     | 2^64-1: Override to zero confirmations        |
- *
- * Example: If OApp sets requiredDVNCount = 255 with empty requiredDVNs array,
- * the system will require zero DVNs from the required list (not inherit from defaults).
- * If they had set it to 0, it would have inherited the default configuration.
+ * Packet header layout (PacketV1Codec), 81 bytes:
+ * version (1) | nonce (8) | srcEid (4) | sender (32) | dstEid (4) | receiver (32)
  */
-const SENTINEL_REQUIRED_DVN_COUNT = 255;
-const SENTINEL_OPTIONAL_DVN_COUNT = 255;
-const SENTINEL_CONFIRMATIONS = 18446744073709551615n; // 2^64 - 1
+const PACKET_HEADER_HEX_LENGTH = 162;
 
-const FALLBACK_FIELD_ORDER = [
-  "receiveLibrary",
-  "confirmations",
-  "requiredDVNCount",
-  "requiredDVNs",
-  "optionalDVNCount",
-  "optionalDVNs",
-  "optionalDVNThreshold",
-] as const;
+const SECONDS_PER_DAY = 86400n;
+
+// Rate limit utilization in basis points, capped at 100% (a lowered limit can leave more in flight)
+const MAX_UTILIZATION_BPS = 10000n;
+
+// OptionsBuilder type 3 layout, see parseEnforcedOptions
+const OPTIONS_TYPE_3 = 3;
+const EXECUTOR_WORKER_ID = 1;
+const DVN_WORKER_ID = 2;
+const EXECUTOR_OPTION_LZ_RECEIVE = 1;
+const EXECUTOR_OPTION_NATIVE_DROP = 2;
+const EXECUTOR_OPTION_LZ_COMPOSE = 3;
+const EXECUTOR_OPTION_ORDERED = 4;
+const UINT128_HEX_LENGTH = 32;
+const UINT16_HEX_LENGTH = 4;
+
+// Peer anomalies detected on PacketDelivered against an explicitly configured peer
+type PacketAnomalyType = "explicit-block-delivered" | "sender-mismatch";
+
+// Role of a DVN in a route's effective receive config; "none" once it drops out
+type DvnUsageRole = "required" | "optional" | "none";
 
-type FallbackField = (typeof FALLBACK_FIELD_ORDER)[number];
+// Delegate-driven inbound nonce interventions on EndpointV2. `clear` emits PacketDelivered.
+type NonceInterventionType = "skip" | "nilify" | "burn";
 
-const normalizeAddress = (value: string | undefined | null): string | undefined =>
-  value ? value.toLowerCase() : undefined;
+// Best-effort classification of delegate/owner accounts from indexed data only
+type AccountKind = "none" | "eoa" | "contract" | "unknown";
 
 const normalizeOAppAddress = (value: string | undefined | null): string | undefined => {
   if (!value) return undefined;
@@ -89,42 +150,13 @@ const normalizeOAppAddress = (value: string | undefined | null): string | undefi
   return lower;
 };
 
-const isZeroAddress = (value: string | undefined | null): boolean =>
-  value !== undefined && value !== null && value.toLowerCase() === ZERO_ADDRESS;
-
-type NormalizedConfig = {
-  confirmations?: bigint;
-  requiredDVNCount?: number;
-  optionalDVNCount?: number;
-  optionalDVNThreshold?: number;
-  requiredDVNs: string[];
-  optionalDVNs: string[];
-  hasValues: boolean;
-};
-
-type ConfigComparable = {
-  confirmations?: bigint;
-  requiredDVNCount: number;
-  optionalDVNCount: number;
-  optionalDVNThreshold: number;
-  requiredDVNs: string[];
-  optionalDVNs: string[];
-  usesSentinel: boolean;
-};
-
-type MergeResult = {
-  effectiveReceiveLibrary?: string;
-  libraryStatus: "tracked" | "unsupported" | "none";
-  effectiveConfirmations?: bigint;
-  effectiveRequiredDVNCount?: number;
-  effectiveOptionalDVNCount: number;
-  effectiveOptionalDVNThreshold?: number;
-  effectiveRequiredDVNs: string[];
-  effectiveOptionalDVNs: string[];
-  usesRequiredDVNSentinel: boolean;
-  isConfigTracked: boolean;
-  fallbackFieldSet: Set<FallbackField>;
-  comparable: ConfigComparable;
+// Remote-side bytes32 values (peers, packet senders) keep the native encoding of their chain
+const normalizeRemoteAddress = (
+  value: string | undefined | null,
+  remoteEid: bigint,
+): string | undefined => {
+  if (!value) return undefined;
+  return encodeRemoteAddress(remoteEid, value) ?? normalizeOAppAddress(value);
 };
 
 type ComputeEffectiveConfigArgs = {
@@ -139,17 +171,15 @@ type ComputeEffectiveConfigArgs = {
   transactionHash: string;
 };
 
-const uniqueNormalizedAddresses = (input: readonly string[] | undefined): string[] => {
-  if (!input || input.length === 0) return [];
-  const seen = new Set<string>();
-  for (const value of input) {
-    const normalized = normalizeAddress(value);
-    if (!normalized || isZeroAddress(normalized) || seen.has(normalized)) {
-      continue;
-    }
-    seen.add(normalized);
-  }
-  return Array.from(seen).sort();
+type ExecutorConfigInput = {
+  maxMessageSize?: number;
+  executor?: string;
+};
+
+type ExecutorMergeResult = {
+  effectiveMaxMessageSize?: number;
+  effectiveExecutor?: string;
+  fallbackFieldSet: Set<FallbackField>;
 };
 
 /**
@@ -266,396 +296,608 @@ const checkForZeroAddresses = (
   }
 };
 
-const emptyNormalizedConfig = (): NormalizedConfig => ({
-  confirmations: undefined,
-  requiredDVNCount: undefined,
-  optionalDVNCount: undefined,
-  optionalDVNThreshold: undefined,
-  requiredDVNs: [],
-  optionalDVNs: [],
-  hasValues: false,
-});
-
-const createNormalizedConfig = (
-  input?: {
-    confirmations?: bigint | null;
-    requiredDVNCount?: number | null;
-    optionalDVNCount?: number | null;
-    optionalDVNThreshold?: number | null;
-    requiredDVNs?: readonly string[] | null;
-    optionalDVNs?: readonly string[] | null;
-  } | null,
-): NormalizedConfig => {
-  if (!input) return emptyNormalizedConfig();
-
-  const confirmations =
-    input.confirmations !== undefined && input.confirmations !== null
-      ? BigInt(input.confirmations)
-      : undefined;
-  const requiredDVNCount =
-    input.requiredDVNCount !== undefined && input.requiredDVNCount !== null
-      ? Number(input.requiredDVNCount)
-      : undefined;
-  const optionalDVNCount =
-    input.optionalDVNCount !== undefined && input.optionalDVNCount !== null
-      ? Number(input.optionalDVNCount)
-      : undefined;
-  const optionalDVNThreshold =
-    input.optionalDVNThreshold !== undefined && input.optionalDVNThreshold !== null
-      ? Number(input.optionalDVNThreshold)
-      : undefined;
-
-  const requiredDVNs = uniqueNormalizedAddresses(input.requiredDVNs ?? []);
-  const optionalDVNs = uniqueNormalizedAddresses(input.optionalDVNs ?? []);
-
-  // A config "has values" if any field is explicitly set (including sentinel values)
-  // 0/undefined means "inherit from default" and doesn't count as having a value
-  const hasValues =
-    (confirmations !== undefined && confirmations !== 0n) ||
-    (requiredDVNCount !== undefined &&
-      (requiredDVNCount > 0 || requiredDVNCount === SENTINEL_REQUIRED_DVN_COUNT)) ||
-    (optionalDVNCount !== undefined &&
-      (optionalDVNCount > 0 || optionalDVNCount === SENTINEL_OPTIONAL_DVN_COUNT)) ||
-    (optionalDVNThreshold !== undefined && optionalDVNThreshold > 0) ||
-    requiredDVNs.length > 0 ||
-    optionalDVNs.length > 0;
-
-  return {
-    confirmations,
-    requiredDVNCount,
-    optionalDVNCount,
-    optionalDVNThreshold,
-    requiredDVNs,
-    optionalDVNs,
-    hasValues,
-  };
-};
-
 const makeEventId = (localEid: bigint, blockNumber: number, logIndex: number): string =>
   `${localEid.toString()}_${blockNumber}_${logIndex}`;
 
 const makeDefaultScopedId = (localEid: bigint, eid: bigint): string =>
   `${localEid.toString()}_${eid.toString()}`;
 
+/**
+ * Receive ULN configs live in each library's own storage, so default and
+ * OApp configs are keyed by the library that emitted them.
+ */
+const makeLibraryScopedId = (scopeId: string, library: string): string => `${scopeId}_${library}`;
+
 const makeOAppId = (localEid: bigint, address: string): string =>
   `${localEid.toString()}_${address}`;
 
 const makeRouteId = (oappId: string, eid: bigint): string => `${oappId}_${eid.toString()}`;
 
+const makeScopeKey = (direction: LibraryDirection, localEid: bigint, eid: bigint): string =>
+  `${direction}_${makeDefaultScopedId(localEid, eid)}`;
+
 const toBigInt = (value: number | bigint): bigint => BigInt(value);
 
-const getTrackedReceiveLibrary = (localEid: bigint): string | undefined =>
-  getTrackedReceiveLibraryAddress(localEid);
+/**
+ * Links PayloadVerified to PacketDelivered. Built from the same fields the
+ * packet guid hashes (nonce, srcEid, sender, dstEid, receiver).
+ */
+const makePacketKey = (
+  localEid: bigint,
+  receiver: string,
+  srcEid: bigint,
+  sender: string,
+  nonce: bigint,
+): string =>
+  `${localEid.toString()}_${receiver}_${srcEid.toString()}_${sender}_${nonce.toString()}`;
+
+type PacketHeader = {
+  nonce: bigint;
+  srcEid: bigint;
+  sender: string;
+  dstEid: bigint;
+  receiver: string;
+};
+
+const parsePacketHeader = (header: string): PacketHeader | undefined => {
+  const hex =
+    header.slice(0, HEX_PREFIX.length).toLowerCase() === HEX_PREFIX
+      ? header.slice(HEX_PREFIX.length).toLowerCase()
+      : header.toLowerCase();
+  if (hex.length !== PACKET_HEADER_HEX_LENGTH) {
+    return undefined;
+  }
+  const srcEid = BigInt(`${HEX_PREFIX}${hex.slice(18, 26)}`);
+  const sender = normalizeRemoteAddress(`${HEX_PREFIX}${hex.slice(26, 90)}`, srcEid);
+  const receiver = normalizeOAppAddress(`${HEX_PREFIX}${hex.slice(98, 162)}`);
+  if (!sender || !receiver) {
+    return undefined;
+  }
+  return {
+    nonce: BigInt(`${HEX_PREFIX}${hex.slice(2, 18)}`),
+    srcEid,
+    sender,
+    dstEid: BigInt(`${HEX_PREFIX}${hex.slice(90, 98)}`),
+    receiver,
+  };
+};
 
-const isTrackedReceiveLibrary = (localEid: bigint, library?: string): boolean => {
-  if (!library) return false;
-  const tracked = getTrackedReceiveLibrary(localEid);
-  return tracked !== undefined && tracked === library;
+type EnforcedOptionSummary = {
+  optionsType?: number;
+  lzReceiveGas: bigint;
+  lzReceiveValue: bigint;
+  nativeDropAmount: bigint;
+  composeGas: bigint;
+  orderedExecution: boolean;
+  dvnOptionCount: number;
+  parseError?: string;
 };
 
-const emptyConfigComparable = (): ConfigComparable => ({
-  confirmations: undefined,
-  requiredDVNCount: 0,
-  optionalDVNCount: 0,
-  optionalDVNThreshold: 0,
-  requiredDVNs: [],
-  optionalDVNs: [],
-  usesSentinel: false,
-});
+/**
+ * Type 3 options: uint16 type, then repeated workerId (1) | size (2) | optionType (1) | option.
+ * Executor options are summed the way the executor consumes them; DVN options are only counted.
+ * Empty options clear the enforced options for the route and message type.
+ */
+const parseEnforcedOptions = (options: string): EnforcedOptionSummary => {
+  const hex =
+    options.slice(0, HEX_PREFIX.length).toLowerCase() === HEX_PREFIX
+      ? options.slice(HEX_PREFIX.length).toLowerCase()
+      : options.toLowerCase();
+  const summary: EnforcedOptionSummary = {
+    lzReceiveGas: 0n,
+    lzReceiveValue: 0n,
+    nativeDropAmount: 0n,
+    composeGas: 0n,
+    orderedExecution: false,
+    dvnOptionCount: 0,
+  };
+  const fail = (parseError: string): EnforcedOptionSummary => ({ ...summary, parseError });
+  const readUint = (data: string, offset: number, length: number): bigint =>
+    BigInt(`${HEX_PREFIX}${data.slice(offset, offset + length)}`);
+
+  if (hex.length === 0) return summary;
+  if (hex.length < UINT16_HEX_LENGTH) return fail("truncated options type");
+  summary.optionsType = Number(readUint(hex, 0, UINT16_HEX_LENGTH));
+  if (summary.optionsType !== OPTIONS_TYPE_3) {
+    return fail(`unsupported options type ${summary.optionsType}`);
+  }
 
-const formatFallbackFields = (fields: Set<FallbackField>): string[] => {
-  const result: string[] = [];
-  for (const field of FALLBACK_FIELD_ORDER) {
-    if (fields.has(field)) {
-      result.push(field);
+  let cursor = UINT16_HEX_LENGTH;
+  while (cursor < hex.length) {
+    if (cursor + 6 > hex.length) return fail("truncated option header");
+    const workerId = Number(readUint(hex, cursor, 2));
+    const size = Number(readUint(hex, cursor + 2, UINT16_HEX_LENGTH));
+    const bodyStart = cursor + 6;
+    const bodyEnd = bodyStart + size * 2;
+    if (size === 0 || bodyEnd > hex.length) return fail("truncated option body");
+    const optionType = Number(readUint(hex, bodyStart, 2));
+    const data = hex.slice(bodyStart + 2, bodyEnd);
+    cursor = bodyEnd;
+
+    if (workerId === DVN_WORKER_ID) {
+      summary.dvnOptionCount += 1;
+      continue;
+    }
+    if (workerId !== EXECUTOR_WORKER_ID) return fail(`unknown worker id ${workerId}`);
+
+    switch (optionType) {
+      case EXECUTOR_OPTION_LZ_RECEIVE:
+        if (data.length !== UINT128_HEX_LENGTH && data.length !== UINT128_HEX_LENGTH * 2) {
+          return fail("invalid lzReceive option");
+        }
+        summary.lzReceiveGas += readUint(data, 0, UINT128_HEX_LENGTH);
+        if (data.length > UINT128_HEX_LENGTH) {
+          summary.lzReceiveValue += readUint(data, UINT128_HEX_LENGTH, UINT128_HEX_LENGTH);
+        }
+        break;
+      case EXECUTOR_OPTION_NATIVE_DROP:
+        if (data.length !== UINT128_HEX_LENGTH + BYTES32_HEX_LENGTH) {
+          return fail("invalid nativeDrop option");
+        }
+        summary.nativeDropAmount += readUint(data, 0, UINT128_HEX_LENGTH);
+        break;
+      case EXECUTOR_OPTION_LZ_COMPOSE:
+        if (data.length < UINT16_HEX_LENGTH + UINT128_HEX_LENGTH) {
+          return fail("invalid lzCompose option");
+        }
+        summary.composeGas += readUint(data, UINT16_HEX_LENGTH, UINT128_HEX_LENGTH);
+        break;
+      case EXECUTOR_OPTION_ORDERED:
+        summary.orderedExecution = true;
+        break;
+      default:
+        return fail(`unknown executor option type ${optionType}`);
     }
   }
-  return result;
+  return summary;
 };
 
-const arraysEqual = (a: string[], b: string[]): boolean => {
-  if (a.length !== b.length) return false;
-  for (let i = 0; i < a.length; i += 1) {
-    if (a[i] !== b[i]) return false;
-  }
-  return true;
+/** Effective values tracked by SecurityConfigChange; the executor pair is send-only. */
+type EffectiveSnapshot = {
+  library: string | undefined;
+  libraryStatus: string;
+  confirmations: bigint | undefined;
+  requiredDVNCount: number | undefined;
+  optionalDVNCount: number | undefined;
+  optionalDVNThreshold: number | undefined;
+  requiredDVNs: string[];
+  optionalDVNs: string[];
+  usesRequiredDVNSentinel: boolean;
+  usesOptionalDVNSentinel: boolean;
+  usesConfirmationsSentinel: boolean;
+  executor?: string;
+  maxMessageSize?: number;
 };
 
-const configsAreEqual = (a: ConfigComparable, b: ConfigComparable): boolean =>
-  a.usesSentinel === b.usesSentinel &&
-  a.requiredDVNCount === b.requiredDVNCount &&
-  a.optionalDVNCount === b.optionalDVNCount &&
-  a.optionalDVNThreshold === b.optionalDVNThreshold &&
-  arraysEqual(a.requiredDVNs, b.requiredDVNs) &&
-  arraysEqual(a.optionalDVNs, b.optionalDVNs) &&
-  ((a.confirmations === undefined && b.confirmations === undefined) ||
-    (a.confirmations !== undefined &&
-      b.confirmations !== undefined &&
-      a.confirmations === b.confirmations));
+const EFFECTIVE_SNAPSHOT_FIELDS = [
+  "library",
+  "libraryStatus",
+  "confirmations",
+  "requiredDVNCount",
+  "optionalDVNCount",
+  "optionalDVNThreshold",
+  "requiredDVNs",
+  "optionalDVNs",
+  "usesRequiredDVNSentinel",
+  "usesOptionalDVNSentinel",
+  "usesConfirmationsSentinel",
+] as const;
+
+const SEND_SNAPSHOT_FIELDS = [...EFFECTIVE_SNAPSHOT_FIELDS, "executor", "maxMessageSize"] as const;
+
+const diffEffectiveSnapshots = (
+  fields: ReadonlyArray<keyof EffectiveSnapshot>,
+  previous: EffectiveSnapshot | undefined,
+  next: EffectiveSnapshot,
+): string[] =>
+  fields.filter((field) => {
+    if (!previous) return true;
+    const a = previous[field];
+    const b = next[field];
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return !arraysEqual(a, b);
+    }
+    return a !== b;
+  });
+
+const snapshotReceiveConfig = (config: OAppSecurityConfig): EffectiveSnapshot => ({
+  library: config.effectiveReceiveLibrary,
+  libraryStatus: config.libraryStatus,
+  confirmations: config.effectiveConfirmations,
+  requiredDVNCount: config.effectiveRequiredDVNCount,
+  optionalDVNCount: config.effectiveOptionalDVNCount,
+  optionalDVNThreshold: config.effectiveOptionalDVNThreshold,
+  requiredDVNs: config.effectiveRequiredDVNs,
+  optionalDVNs: config.effectiveOptionalDVNs,
+  usesRequiredDVNSentinel: config.usesRequiredDVNSentinel,
+  usesOptionalDVNSentinel: config.usesOptionalDVNSentinel,
+  usesConfirmationsSentinel: config.usesConfirmationsSentinel,
+});
+
+const snapshotSendConfig = (config: OAppSendSecurityConfig): EffectiveSnapshot => ({
+  library: config.effectiveSendLibrary,
+  libraryStatus: config.libraryStatus,
+  confirmations: config.effectiveConfirmations,
+  requiredDVNCount: config.effectiveRequiredDVNCount,
+  optionalDVNCount: config.effectiveOptionalDVNCount,
+  optionalDVNThreshold: config.effectiveOptionalDVNThreshold,
+  requiredDVNs: config.effectiveRequiredDVNs,
+  optionalDVNs: config.effectiveOptionalDVNs,
+  usesRequiredDVNSentinel: config.usesRequiredDVNSentinel,
+  usesOptionalDVNSentinel: config.usesOptionalDVNSentinel,
+  usesConfirmationsSentinel: config.usesConfirmationsSentinel,
+  executor: config.effectiveExecutor,
+  maxMessageSize: config.effectiveMaxMessageSize,
+});
 
 /**
- * Merges default and OApp-specific library/config settings to compute effective values.
- *
- * Library resolution:
- * - If OApp has non-zero override: use override
- * - Else if default exists: use default (marks fallback)
- * - Else: undefined (no library configured)
- *
- * Config resolution (per field):
- * - If OApp field is non-zero/non-sentinel: use OApp value
- * - Else: fall back to default value (marks fallback)
- *
- * This ensures that defaults set BEFORE an OApp is first seen are correctly
- * applied when the OApp's security config is later computed.
+ * Writes a SecurityConfigChange when the effective values of a route differ
+ * from the previously persisted ones. The cause is the input entity whose
+ * version id equals the triggering event; otherwise the change came from a
+ * first computation (initial) or an unrelated trigger (recompute).
  */
-const mergeSecurityConfig = (
-  context: handlerContext | undefined,
-  localEid: bigint,
-  eid: bigint,
-  oappId: string | undefined,
-  defaults: {
-    library?: string;
-    config: NormalizedConfig;
-  },
-  overrides?: {
-    library?: string;
-    config: NormalizedConfig;
+const recordSecurityConfigChange = (
+  context: handlerContext,
+  {
+    direction,
+    configId,
+    oappId,
+    localEid,
+    eid,
+    previous,
+    next,
+    causeCandidates,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  }: {
+    direction: LibraryDirection;
+    configId: string;
+    oappId: string;
+    localEid: bigint;
+    eid: bigint;
+    previous: EffectiveSnapshot | undefined;
+    next: EffectiveSnapshot;
+    causeCandidates: ReadonlyArray<[string | undefined, string]>;
+    blockNumber: bigint;
+    blockTimestamp: bigint;
+    eventId: string;
+    transactionHash: string;
   },
-): MergeResult => {
-  const fallbackFields = new Set<FallbackField>();
-
-  const defaultLibrary = defaults.library ? normalizeAddress(defaults.library) : undefined;
-  const overrideLibrary = overrides?.library ? normalizeAddress(overrides.library) : undefined;
-
-  // Library resolution (LayerZero V2 semantics):
-  // - Zero address override means "unset override, use default"
-  // - Zero address default means "no default configured" → blocked
-  // - Result: zero addresses are never valid libraries (unlike peers where zero = explicit block)
-  let effectiveReceiveLibrary: string | undefined;
-  if (overrideLibrary && !isZeroAddress(overrideLibrary)) {
-    // OApp has non-zero override: use it
-    effectiveReceiveLibrary = overrideLibrary;
-  } else if (defaultLibrary && !isZeroAddress(defaultLibrary)) {
-    // OApp has zero/no override AND default is non-zero: use default
-    effectiveReceiveLibrary = defaultLibrary;
-    if (!overrideLibrary || isZeroAddress(overrideLibrary)) {
-      fallbackFields.add("receiveLibrary");
-    }
-  } else {
-    // Both override and default are zero/missing: route unconfigured
-    effectiveReceiveLibrary = undefined;
+) => {
+  const changedFields = diffEffectiveSnapshots(
+    direction === "send" ? SEND_SNAPSHOT_FIELDS : EFFECTIVE_SNAPSHOT_FIELDS,
+    previous,
+    next,
+  );
+  if (changedFields.length === 0) {
+    return;
   }
 
-  const isConfigTracked = isTrackedReceiveLibrary(localEid, effectiveReceiveLibrary);
+  const cause =
+    causeCandidates.find(([versionId]) => versionId === eventId)?.[1] ??
+    (previous ? "recompute" : "initial");
 
-  let libraryStatus: "tracked" | "unsupported" | "none";
-  if (!effectiveReceiveLibrary) {
-    libraryStatus = "none";
-  } else if (isConfigTracked) {
-    libraryStatus = "tracked";
-  } else {
-    libraryStatus = "unsupported";
-  }
+  const change: SecurityConfigChange = {
+    id: `${eventId}_${direction}_${configId}`,
+    direction,
+    configId,
+    oappId,
+    localEid,
+    eid,
+    isInitial: previous === undefined,
+    changedFields,
+    cause,
+    oldLibrary: previous?.library,
+    newLibrary: next.library,
+    oldLibraryStatus: previous?.libraryStatus,
+    newLibraryStatus: next.libraryStatus,
+    oldConfirmations: previous?.confirmations,
+    newConfirmations: next.confirmations,
+    oldRequiredDVNCount: previous?.requiredDVNCount,
+    newRequiredDVNCount: next.requiredDVNCount,
+    oldOptionalDVNCount: previous?.optionalDVNCount,
+    newOptionalDVNCount: next.optionalDVNCount,
+    oldOptionalDVNThreshold: previous?.optionalDVNThreshold,
+    newOptionalDVNThreshold: next.optionalDVNThreshold,
+    oldRequiredDVNs: previous?.requiredDVNs ?? [],
+    newRequiredDVNs: next.requiredDVNs,
+    oldOptionalDVNs: previous?.optionalDVNs ?? [],
+    newOptionalDVNs: next.optionalDVNs,
+    oldUsesRequiredDVNSentinel: previous?.usesRequiredDVNSentinel,
+    newUsesRequiredDVNSentinel: next.usesRequiredDVNSentinel,
+    oldUsesOptionalDVNSentinel: previous?.usesOptionalDVNSentinel,
+    newUsesOptionalDVNSentinel: next.usesOptionalDVNSentinel,
+    oldUsesConfirmationsSentinel: previous?.usesConfirmationsSentinel,
+    newUsesConfirmationsSentinel: next.usesConfirmationsSentinel,
+    oldExecutor: previous?.executor,
+    newExecutor: next.executor,
+    oldMaxMessageSize: previous?.maxMessageSize,
+    newMaxMessageSize: next.maxMessageSize,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  };
+  context.SecurityConfigChange.set(change);
+};
 
-  if (!isConfigTracked) {
-    return {
-      effectiveReceiveLibrary,
-      libraryStatus,
-      effectiveConfirmations: undefined,
-      effectiveRequiredDVNCount: undefined,
-      effectiveOptionalDVNCount: 0,
-      effectiveOptionalDVNThreshold: undefined,
-      effectiveRequiredDVNs: [],
-      effectiveOptionalDVNs: [],
-      usesRequiredDVNSentinel: false,
-      isConfigTracked: false,
-      fallbackFieldSet: fallbackFields,
-      comparable: emptyConfigComparable(),
-    };
+/**
+ * A grace-period library is weaker when its verification requirements are
+ * lower than the effective config: untracked library, fewer required DVNs,
+ * a current required DVN missing, lower optional quorum or fewer confirmations.
+ */
+const isGraceConfigWeaker = (current: MergeResult, grace: MergeResult): boolean => {
+  if (!current.isConfigTracked) {
+    return false;
   }
-
-  const defaultConfig = defaults.config ?? emptyNormalizedConfig();
-  const overrideConfig = overrides?.config ?? emptyNormalizedConfig();
-
-  const overrideHasConfig = overrideConfig.hasValues;
-
-  const overrideConfirmations = overrideConfig.confirmations;
-  const defaultConfirmations = defaultConfig.confirmations;
-  let effectiveConfirmations: bigint | undefined;
-  if (overrideConfirmations !== undefined && overrideConfirmations !== 0n) {
-    // Sentinel value means explicitly set to zero confirmations
-    effectiveConfirmations =
-      overrideConfirmations === SENTINEL_CONFIRMATIONS ? 0n : overrideConfirmations;
-  } else if (defaultConfirmations !== undefined) {
-    // Sentinel value in default also means zero confirmations
-    effectiveConfirmations =
-      defaultConfirmations === SENTINEL_CONFIRMATIONS ? 0n : defaultConfirmations;
-    if (
-      overrideHasConfig &&
-      (overrideConfirmations === undefined || overrideConfirmations === 0n)
-    ) {
-      fallbackFields.add("confirmations");
-    }
-  } else {
-    effectiveConfirmations = undefined;
+  if (!grace.isConfigTracked) {
+    return true;
   }
-
-  const overrideRequiredCount = overrideConfig.requiredDVNCount;
-  const defaultRequiredCount = defaultConfig.requiredDVNCount;
-  let rawRequiredCount: number | undefined;
-  if (
-    overrideRequiredCount !== undefined &&
-    (overrideRequiredCount > 0 || overrideRequiredCount === SENTINEL_REQUIRED_DVN_COUNT)
-  ) {
-    rawRequiredCount = overrideRequiredCount;
-  } else if (defaultRequiredCount !== undefined) {
-    rawRequiredCount = defaultRequiredCount;
-    if (overrideHasConfig && (overrideRequiredCount === undefined || overrideRequiredCount === 0)) {
-      fallbackFields.add("requiredDVNCount");
-    }
+  const currentRequired = current.comparable.requiredDVNCount;
+  const graceRequired = grace.comparable.requiredDVNCount;
+  if (graceRequired < currentRequired) {
+    return true;
   }
-
-  const overrideOptionalCount = overrideConfig.optionalDVNCount;
-  const defaultOptionalCount = defaultConfig.optionalDVNCount;
-  let rawOptionalCount: number | undefined;
-  if (
-    overrideOptionalCount !== undefined &&
-    (overrideOptionalCount > 0 || overrideOptionalCount === SENTINEL_OPTIONAL_DVN_COUNT)
-  ) {
-    // Sentinel value means explicitly set to zero optional DVNs
-    rawOptionalCount =
-      overrideOptionalCount === SENTINEL_OPTIONAL_DVN_COUNT ? 0 : overrideOptionalCount;
-  } else if (defaultOptionalCount !== undefined) {
-    // Sentinel value in default also means zero optional DVNs
-    rawOptionalCount =
-      defaultOptionalCount === SENTINEL_OPTIONAL_DVN_COUNT ? 0 : defaultOptionalCount;
-    if (overrideHasConfig && (overrideOptionalCount === undefined || overrideOptionalCount === 0)) {
-      fallbackFields.add("optionalDVNCount");
-    }
+  if (current.effectiveRequiredDVNs.some((dvn) => !grace.effectiveRequiredDVNs.includes(dvn))) {
+    return true;
   }
-
-  const overrideOptionalThreshold = overrideConfig.optionalDVNThreshold;
-  const defaultOptionalThreshold = defaultConfig.optionalDVNThreshold;
-  let effectiveOptionalDVNThreshold: number | undefined;
-  if (overrideOptionalThreshold !== undefined && overrideOptionalThreshold > 0) {
-    effectiveOptionalDVNThreshold = overrideOptionalThreshold;
-  } else if (defaultOptionalThreshold !== undefined) {
-    effectiveOptionalDVNThreshold = defaultOptionalThreshold;
-    if (
-      overrideHasConfig &&
-      (overrideOptionalThreshold === undefined || overrideOptionalThreshold === 0)
-    ) {
-      fallbackFields.add("optionalDVNThreshold");
-    }
+  if (grace.comparable.optionalDVNThreshold < current.comparable.optionalDVNThreshold) {
+    return true;
   }
+  const currentConfirmations = current.effectiveConfirmations ?? 0n;
+  const graceConfirmations = grace.effectiveConfirmations ?? 0n;
+  return graceConfirmations < currentConfirmations;
+};
 
-  const overrideRequiredDVNs = overrideConfig.requiredDVNs;
-  const defaultRequiredDVNs = defaultConfig.requiredDVNs;
-  const usesRequiredDVNSentinel = rawRequiredCount === SENTINEL_REQUIRED_DVN_COUNT;
-
-  let effectiveRequiredDVNs: string[] = [];
-  if (usesRequiredDVNSentinel) {
-    effectiveRequiredDVNs = [];
-  } else if (overrideRequiredDVNs.length > 0) {
-    effectiveRequiredDVNs = overrideRequiredDVNs;
-  } else if (
-    defaultRequiredDVNs.length > 0 ||
-    (defaultRequiredCount !== undefined && defaultRequiredCount > 0)
-  ) {
-    effectiveRequiredDVNs = defaultRequiredDVNs;
-    if (overrideHasConfig && overrideRequiredDVNs.length === 0) {
-      fallbackFields.add("requiredDVNs");
+/**
+ * Merges default and OApp executor configs the way SendUln302 does:
+ * a zero maxMessageSize or zero executor address inherits the default.
+ */
+const mergeExecutorConfig = (
+  defaults: ExecutorConfigInput,
+  overrides?: ExecutorConfigInput,
+): ExecutorMergeResult => {
+  const fallbackFields = new Set<FallbackField>();
+  const hasOverride = overrides !== undefined;
+
+  let effectiveMaxMessageSize: number | undefined;
+  if (overrides?.maxMessageSize !== undefined && overrides.maxMessageSize > 0) {
+    effectiveMaxMessageSize = overrides.maxMessageSize;
+  } else {
+    effectiveMaxMessageSize = defaults.maxMessageSize;
+    if (hasOverride && defaults.maxMessageSize !== undefined) {
+      fallbackFields.add("maxMessageSize");
     }
   }
 
-  const overrideOptionalDVNs = overrideConfig.optionalDVNs;
-  const defaultOptionalDVNs = defaultConfig.optionalDVNs;
-  let effectiveOptionalDVNs: string[] = [];
-  if (overrideOptionalDVNs.length > 0) {
-    effectiveOptionalDVNs = overrideOptionalDVNs;
-  } else if (
-    defaultOptionalDVNs.length > 0 ||
-    (defaultOptionalCount !== undefined && defaultOptionalCount > 0)
-  ) {
-    effectiveOptionalDVNs = defaultOptionalDVNs;
-    if (overrideHasConfig && overrideOptionalDVNs.length === 0) {
-      fallbackFields.add("optionalDVNs");
+  const overrideExecutor = overrides?.executor ? normalizeAddress(overrides.executor) : undefined;
+  const defaultExecutor = defaults.executor ? normalizeAddress(defaults.executor) : undefined;
+  let effectiveExecutor: string | undefined;
+  if (overrideExecutor && !isZeroAddress(overrideExecutor)) {
+    effectiveExecutor = overrideExecutor;
+  } else if (defaultExecutor && !isZeroAddress(defaultExecutor)) {
+    effectiveExecutor = defaultExecutor;
+    if (hasOverride) {
+      fallbackFields.add("executor");
     }
   }
 
-  let effectiveRequiredDVNCount: number | undefined;
-  if (usesRequiredDVNSentinel) {
-    effectiveRequiredDVNCount = 0;
-  } else if (effectiveRequiredDVNs.length > 0) {
-    effectiveRequiredDVNCount = effectiveRequiredDVNs.length;
-  } else if (rawRequiredCount !== undefined) {
-    effectiveRequiredDVNCount = rawRequiredCount;
-  } else {
-    effectiveRequiredDVNCount = undefined;
-  }
+  return {
+    effectiveMaxMessageSize,
+    effectiveExecutor,
+    fallbackFieldSet: fallbackFields,
+  };
+};
+
+type ReceiveUlnConfigs = {
+  defaultConfig: DefaultUlnConfig | undefined;
+  configOverride: OAppUlnConfig | undefined;
+};
+
+/**
+ * Loads default and OApp ULN configs from each tracked library that can take
+ * part in a route (effective, default, grace period). Untracked libraries are
+ * skipped; their routes resolve as "unsupported".
+ */
+const loadReceiveUlnConfigs = async (
+  context: handlerContext,
+  localEid: bigint,
+  defaultKey: string,
+  configId: string,
+  libraries: ReadonlyArray<string | undefined>,
+): Promise<Map<string, ReceiveUlnConfigs>> => {
+  const tracked = [...new Set(libraries)].filter(
+    (library): library is string =>
+      library !== undefined && isTrackedReceiveLibrary(localEid, library),
+  );
+  const entries = await Promise.all(
+    tracked.map(async (library): Promise<[string, ReceiveUlnConfigs]> => {
+      const [defaultConfig, configOverride] = await Promise.all([
+        context.DefaultUlnConfig.get(makeLibraryScopedId(defaultKey, library)),
+        context.OAppUlnConfig.get(makeLibraryScopedId(configId, library)),
+      ]);
+      return [library, { defaultConfig, configOverride }];
+    }),
+  );
+  return new Map(entries);
+};
+
+const makeDvnId = (localEid: bigint, dvn: string): string => `${localEid.toString()}_${dvn}`;
+
+const collectDvnRoles = (
+  config: Pick<OAppSecurityConfig, "effectiveRequiredDVNs" | "effectiveOptionalDVNs"> | undefined,
+): Map<string, DvnUsageRole> => {
+  const roles = new Map<string, DvnUsageRole>();
+  for (const dvn of config?.effectiveOptionalDVNs ?? []) roles.set(dvn, "optional");
+  for (const dvn of config?.effectiveRequiredDVNs ?? []) roles.set(dvn, "required");
+  return roles;
+};
+
+type SyncDvnRouteUsageArgs = {
+  localEid: bigint;
+  oappId: string;
+  configId: string;
+  eid: bigint;
+  previous: OAppSecurityConfig | undefined;
+  next: OAppSecurityConfig;
+  blockNumber: bigint;
+  blockTimestamp: bigint;
+  eventId: string;
+};
 
-  let effectiveOptionalDVNCount: number = effectiveOptionalDVNs.length;
-  if (effectiveOptionalDVNCount === 0 && rawOptionalCount !== undefined) {
-    effectiveOptionalDVNCount = rawOptionalCount;
+/**
+ * Keeps Dvn route counts and DvnRouteUsage rows in step with a recomputed receive
+ * config. Only DVNs whose role changed are written, so scope recomputes stay cheap.
+ */
+const syncDvnRouteUsage = async (
+  context: handlerContext,
+  args: SyncDvnRouteUsageArgs,
+): Promise<void> => {
+  const previousRoles = collectDvnRoles(args.previous);
+  const nextRoles = collectDvnRoles(args.next);
+  const changed = new Set<string>();
+  for (const dvn of new Set([...previousRoles.keys(), ...nextRoles.keys()])) {
+    if (previousRoles.get(dvn) !== nextRoles.get(dvn)) changed.add(dvn);
   }
 
-  // Cap threshold to count if misconfigured
-  if (effectiveOptionalDVNThreshold !== undefined && effectiveOptionalDVNCount >= 0) {
-    if (effectiveOptionalDVNThreshold > effectiveOptionalDVNCount) {
-      const originalThreshold = effectiveOptionalDVNThreshold;
-      effectiveOptionalDVNThreshold = effectiveOptionalDVNCount;
-
-      if (context) {
-        context.log.warn(
-          "UlnConfig auto-correction: optionalDVNThreshold capped to optionalDVNCount",
-          {
-            localEid: localEid.toString(),
-            eid: eid.toString(),
-            oappId: oappId ?? "default",
-            originalThreshold,
-            cappedThreshold: effectiveOptionalDVNThreshold,
-            optionalDVNCount: effectiveOptionalDVNCount,
-          },
-        );
-      }
-    }
+  for (const dvn of changed) {
+    const previousRole = previousRoles.get(dvn) ?? "none";
+    const nextRole = nextRoles.get(dvn) ?? "none";
+    const dvnId = makeDvnId(args.localEid, dvn);
+
+    const dvnDefaults: Dvn = {
+      id: dvnId,
+      localEid: args.localEid,
+      address: dvn,
+      requiredRouteCount: 0,
+      optionalRouteCount: 0,
+      packetsSecured: 0n,
+      lastPacketBlock: undefined,
+      lastPacketTimestamp: undefined,
+      lastUpdatedBlock: args.blockNumber,
+      lastUpdatedTimestamp: args.blockTimestamp,
+      lastUpdatedByEventId: args.eventId,
+    };
+    const current = await context.Dvn.getOrCreate(dvnDefaults);
+    const roleDelta = (role: DvnUsageRole): number =>
+      (nextRole === role ? 1 : 0) - (previousRole === role ? 1 : 0);
+    context.Dvn.set({
+      ...current,
+      requiredRouteCount: current.requiredRouteCount + roleDelta("required"),
+      optionalRouteCount: current.optionalRouteCount + roleDelta("optional"),
+      lastUpdatedBlock: args.blockNumber,
+      lastUpdatedTimestamp: args.blockTimestamp,
+      lastUpdatedByEventId: args.eventId,
+    });
+
+    const usageDefaults: DvnRouteUsage = {
+      id: `${args.configId}_${dvn}`,
+      dvnId,
+      dvn,
+      localEid: args.localEid,
+      oappId: args.oappId,
+      configId: args.configId,
+      eid: args.eid,
+      role: nextRole,
+      isActive: nextRole !== "none",
+      packetsSecured: 0n,
+      lastPacketBlock: undefined,
+      lastUpdatedBlock: args.blockNumber,
+      lastUpdatedTimestamp: args.blockTimestamp,
+      lastUpdatedByEventId: args.eventId,
+    };
+    const usage = await context.DvnRouteUsage.getOrCreate(usageDefaults);
+    context.DvnRouteUsage.set({
+      ...usage,
+      role: nextRole,
+      isActive: nextRole !== "none",
+      lastUpdatedBlock: args.blockNumber,
+      lastUpdatedTimestamp: args.blockTimestamp,
+      lastUpdatedByEventId: args.eventId,
+    });
   }
+};
 
-  const comparable: ConfigComparable = {
-    confirmations: effectiveConfirmations,
-    requiredDVNCount: effectiveRequiredDVNCount !== undefined ? effectiveRequiredDVNCount : 0,
-    optionalDVNCount: effectiveOptionalDVNCount,
-    optionalDVNThreshold:
-      effectiveOptionalDVNThreshold !== undefined ? effectiveOptionalDVNThreshold : 0,
-    requiredDVNs: effectiveRequiredDVNs,
-    optionalDVNs: effectiveOptionalDVNs,
-    usesSentinel: usesRequiredDVNSentinel,
+/**
+ * Adds a route to its (direction, localEid, eid) scope the first time its config is
+ * persisted, so default changes look up affected routes by one indexed key.
+ */
+const registerScopeMembership = (
+  context: handlerContext,
+  direction: LibraryDirection,
+  config: { id: string; oappId: string; oapp: string; localEid: bigint; eid: bigint },
+) => {
+  const membership: ScopeMembership = {
+    id: `${direction}_${config.id}`,
+    scopeKey: makeScopeKey(direction, config.localEid, config.eid),
+    direction,
+    localEid: config.localEid,
+    eid: config.eid,
+    configId: config.id,
+    oappId: config.oappId,
+    oapp: config.oapp,
   };
+  context.ScopeMembership.set(membership);
+};
 
-  return {
-    effectiveReceiveLibrary,
-    libraryStatus,
-    effectiveConfirmations,
-    effectiveRequiredDVNCount,
-    effectiveOptionalDVNCount,
-    effectiveOptionalDVNThreshold,
-    effectiveRequiredDVNs,
-    effectiveOptionalDVNs,
-    usesRequiredDVNSentinel,
-    isConfigTracked: true,
-    fallbackFieldSet: fallbackFields,
-    comparable,
+/**
+ * Writes an ownership transfer as the OApp's current owner and as a history record.
+ */
+const persistOwnerTransfer = (context: handlerContext, transfer: OAppOwnerVersion) => {
+  const ownerEntity: OAppOwner = {
+    id: transfer.oappId,
+    oappId: transfer.oappId,
+    localEid: transfer.localEid,
+    oapp: transfer.oapp,
+    owner: transfer.owner,
+    previousOwner: transfer.previousOwner,
+    ownerKind: transfer.ownerKind,
+    transactionHash: transfer.transactionHash,
+    lastUpdatedBlock: transfer.blockNumber,
+    lastUpdatedTimestamp: transfer.blockTimestamp,
+    lastUpdatedByEventId: transfer.eventId,
   };
+  context.OAppOwner.set(ownerEntity);
+  context.OAppOwnerVersion.set(transfer);
+};
+
+/**
+ * Loads an OApp's stats, creating them on first sight. A new OApp also takes over the
+ * ownership transfer held back for its address, which is usually the deployment-time
+ * `OwnershipTransferred` emitted before any OApp event.
+ */
+const ensureOAppStats = async (
+  context: handlerContext,
+  oappDefaults: OAppStats,
+): Promise<OAppStats> => {
+  const existing = await context.OAppStats.get(oappDefaults.id);
+  if (existing) return existing;
+
+  context.OAppStats.set(oappDefaults);
+  const pendingOwner = await context.PendingOAppOwner.get(oappDefaults.id);
+  if (pendingOwner) {
+    persistOwnerTransfer(context, { ...pendingOwner, id: pendingOwner.eventId });
+    context.PendingOAppOwner.deleteUnsafe(pendingOwner.id);
+  }
+  return oappDefaults;
 };
 
 /**
  * Computes and persists the effective security config for an OApp route.
  *
  * Always fetches fresh state from the database:
- * - DefaultReceiveLibrary and DefaultUlnConfig for (localEid, eid)
- * - OApp-specific overrides for (oappId, eid)
+ * - DefaultReceiveLibrary for (localEid, eid)
+ * - OApp-specific library override for (oappId, eid)
+ * - DefaultUlnConfig and OAppUlnConfig from the library that is actually effective
+ * - Receive library timeouts (grace periods) for the previous library
  * - Peer configuration
  *
+ * Grace period selection mirrors EndpointV2.isValidReceiveLibrary: the OApp
+ * timeout applies when the OApp has its own library, otherwise the default
+ * timeout. It is only recorded while unexpired and distinct from the
+ * effective library.
  */
 const computeAndPersistEffectiveConfig = async ({
   context,
@@ -671,59 +913,89 @@ const computeAndPersistEffectiveConfig = async ({
   const defaultKey = makeDefaultScopedId(localEid, eid);
   const configId = makeRouteId(oappId, eid);
 
-  const [defaultLibrary, defaultConfig, libraryOverride, configOverride, peerState] =
-    await Promise.all([
-      context.DefaultReceiveLibrary.get(defaultKey),
-      context.DefaultUlnConfig.get(defaultKey),
-      context.OAppReceiveLibrary.get(configId),
-      context.OAppUlnConfig.get(configId),
-      context.OAppPeer.get(configId),
-    ]);
-
-  const defaults = {
-    library: defaultLibrary?.library,
-    config: createNormalizedConfig(
-      defaultConfig
-        ? {
-            confirmations: defaultConfig.confirmations,
-            requiredDVNCount: defaultConfig.requiredDVNCount ?? undefined,
-            optionalDVNCount: defaultConfig.optionalDVNCount ?? undefined,
-            optionalDVNThreshold: defaultConfig.optionalDVNThreshold ?? undefined,
-            requiredDVNs: defaultConfig.requiredDVNs,
-            optionalDVNs: defaultConfig.optionalDVNs,
-          }
-        : undefined,
-    ),
-  };
-
-  const overrides = {
-    library: libraryOverride?.library,
-    config: createNormalizedConfig(
-      configOverride
-        ? {
-            confirmations: configOverride.confirmations,
-            requiredDVNCount: configOverride.requiredDVNCount ?? undefined,
-            optionalDVNCount: configOverride.optionalDVNCount ?? undefined,
-            optionalDVNThreshold: configOverride.optionalDVNThreshold ?? undefined,
-            requiredDVNs: configOverride.requiredDVNs,
-            optionalDVNs: configOverride.optionalDVNs,
-          }
-        : undefined,
-    ),
+  const [
+    defaultLibrary,
+    libraryOverride,
+    peerState,
+    defaultTimeout,
+    timeoutOverride,
+    previousConfig,
+  ] = await Promise.all([
+    context.DefaultReceiveLibrary.get(defaultKey),
+    context.OAppReceiveLibrary.get(configId),
+    context.OAppPeer.get(configId),
+    context.DefaultReceiveLibraryTimeout.get(defaultKey),
+    context.OAppReceiveLibraryTimeout.get(configId),
+    context.OAppSecurityConfig.get(configId),
+  ]);
+
+  const defaultLibraryAddress = defaultLibrary?.library
+    ? normalizeAddress(defaultLibrary.library)
+    : undefined;
+  const overrideLibraryAddress = libraryOverride?.library
+    ? normalizeAddress(libraryOverride.library)
+    : undefined;
+  const effectiveLibrary = pickEffectiveLibrary(defaultLibraryAddress, overrideLibraryAddress);
+  const defaultEffectiveLibrary = pickEffectiveLibrary(defaultLibraryAddress, undefined);
+
+  const hasLibraryOverride = Boolean(
+    overrideLibraryAddress && !isZeroAddress(overrideLibraryAddress),
+  );
+  const timeout = hasLibraryOverride ? timeoutOverride : defaultTimeout;
+  const timeoutLibrary = timeout?.library ? normalizeAddress(timeout.library) : undefined;
+  const isGracePeriodActive =
+    timeoutLibrary !== undefined &&
+    !isZeroAddress(timeoutLibrary) &&
+    timeoutLibrary !== effectiveLibrary &&
+    timeout?.expiry !== undefined &&
+    timeout.expiry > blockNumber;
+
+  const ulnConfigs = await loadReceiveUlnConfigs(context, localEid, defaultKey, configId, [
+    effectiveLibrary,
+    defaultEffectiveLibrary,
+    isGracePeriodActive ? timeoutLibrary : undefined,
+  ]);
+  const mergeInputsFor = (library: string | undefined) => {
+    const configs = library ? ulnConfigs.get(library) : undefined;
+    return {
+      defaults: {
+        library: defaultLibrary?.library,
+        config: createNormalizedConfig(configs?.defaultConfig),
+      },
+      overrides: {
+        library: libraryOverride?.library,
+        config: createNormalizedConfig(configs?.configOverride),
+      },
+    };
   };
 
-  const defaultResolved = mergeSecurityConfig(context, localEid, eid, undefined, defaults);
+  const { defaults, overrides } = mergeInputsFor(effectiveLibrary);
+  const defaultResolved = mergeSecurityConfig(
+    context,
+    localEid,
+    eid,
+    undefined,
+    mergeInputsFor(defaultEffectiveLibrary).defaults,
+  );
   const resolved = mergeSecurityConfig(context, localEid, eid, oappId, defaults, overrides);
+  const effectiveConfigs = effectiveLibrary ? ulnConfigs.get(effectiveLibrary) : undefined;
 
-  const usesDefaultLibrary =
-    resolved.effectiveReceiveLibrary === defaultResolved.effectiveReceiveLibrary;
+  const usesDefaultLibrary = resolved.effectiveLibrary === defaultResolved.effectiveLibrary;
   const usesDefaultConfig =
     resolved.isConfigTracked &&
     defaultResolved.isConfigTracked &&
     configsAreEqual(resolved.comparable, defaultResolved.comparable);
 
+  const graceInputs = isGracePeriodActive ? mergeInputsFor(timeoutLibrary) : undefined;
+  const graceResolved = graceInputs
+    ? mergeSecurityConfig(context, localEid, eid, oappId, graceInputs.defaults, {
+        ...graceInputs.overrides,
+        library: timeoutLibrary,
+      })
+    : undefined;
+
   const derivedPeer = peerState?.peer;
-  const derivedPeerNormalized = derivedPeer ? normalizeOAppAddress(derivedPeer) : undefined;
+  const derivedPeerNormalized = derivedPeer ? normalizeRemoteAddress(derivedPeer, eid) : undefined;
   const derivedPeerOappId =
     peerState?.peerOappId ??
     (derivedPeerNormalized ? makeOAppId(eid, derivedPeerNormalized) : undefined);
@@ -738,7 +1010,10 @@ const computeAndPersistEffectiveConfig = async ({
     localEid,
     oapp: oappAddress,
     eid,
-    effectiveReceiveLibrary: resolved.effectiveReceiveLibrary,
+    effectiveReceiveLibrary: resolved.effectiveLibrary,
+    effectiveReceiveLibraryVersion: resolved.effectiveLibrary
+      ? findTrackedReceiveLibrary(localEid, resolved.effectiveLibrary)?.version
+      : undefined,
     libraryStatus: resolved.libraryStatus,
     effectiveConfirmations: resolved.effectiveConfirmations,
     effectiveRequiredDVNCount: resolved.effectiveRequiredDVNCount,
@@ -750,11 +1025,18 @@ const computeAndPersistEffectiveConfig = async ({
     usesDefaultLibrary,
     usesDefaultConfig,
     usesRequiredDVNSentinel: resolved.usesRequiredDVNSentinel,
+    usesOptionalDVNSentinel: resolved.usesOptionalDVNSentinel,
+    usesConfirmationsSentinel: resolved.usesConfirmationsSentinel,
     fallbackFields: formatFallbackFields(resolved.fallbackFieldSet),
     defaultLibraryVersionId: defaultLibrary?.lastUpdatedByEventId,
-    defaultConfigVersionId: defaultConfig?.lastUpdatedByEventId,
+    defaultConfigVersionId: effectiveConfigs?.defaultConfig?.lastUpdatedByEventId,
     libraryOverrideVersionId: libraryOverride?.lastUpdatedByEventId,
-    configOverrideVersionId: configOverride?.lastUpdatedByEventId,
+    configOverrideVersionId: effectiveConfigs?.configOverride?.lastUpdatedByEventId,
+    gracePeriodLibrary: graceResolved ? timeoutLibrary : undefined,
+    gracePeriodExpiry: graceResolved ? timeout?.expiry : undefined,
+    gracePeriodLibraryStatus: graceResolved?.libraryStatus,
+    gracePeriodIsWeaker: graceResolved ? isGraceConfigWeaker(resolved, graceResolved) : false,
+    gracePeriodVersionId: graceResolved ? timeout?.lastUpdatedByEventId : undefined,
     lastComputedTransactionHash: transactionHash,
     lastComputedBlock: blockNumber,
     lastComputedTimestamp: blockTimestamp,
@@ -768,38 +1050,290 @@ const computeAndPersistEffectiveConfig = async ({
   };
 
   context.OAppSecurityConfig.set(entity);
-  return entity;
-};
+  if (!previousConfig) {
+    registerScopeMembership(context, "receive", entity);
+  }
 
-const recomputeSecurityConfigsForScope = async (
-  context: handlerContext,
-  localEid: bigint,
-  eid: bigint,
-  blockNumber: bigint,
+  recordSecurityConfigChange(context, {
+    direction: "receive",
+    configId,
+    oappId,
+    localEid,
+    eid,
+    previous: previousConfig ? snapshotReceiveConfig(previousConfig) : undefined,
+    next: snapshotReceiveConfig(entity),
+    causeCandidates: [
+      [entity.libraryOverrideVersionId, "OAppReceiveLibrary"],
+      [entity.configOverrideVersionId, "OAppUlnConfig"],
+      [entity.defaultLibraryVersionId, "DefaultReceiveLibrary"],
+      [entity.defaultConfigVersionId, "DefaultUlnConfig"],
+    ],
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  });
+  await syncDvnRouteUsage(context, {
+    localEid,
+    oappId,
+    configId,
+    eid,
+    previous: previousConfig,
+    next: entity,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+  });
+  if (!previousConfig) {
+    await ensureEffectiveSendConfig({
+      context,
+      localEid,
+      oappId,
+      oappAddress,
+      eid,
+      blockNumber,
+      blockTimestamp,
+      eventId,
+      transactionHash,
+    });
+  }
+  return entity;
+};
+
+/**
+ * Send-side counterpart of computeAndPersistEffectiveConfig.
+ *
+ * Resolves the effective send library, SendUln302 ULN config and executor
+ * config for (oappId, dstEid). Executor config is only meaningful when the
+ * effective library is the tracked SendUln302.
+ */
+const computeAndPersistEffectiveSendConfig = async ({
+  context,
+  localEid,
+  oappId,
+  oappAddress,
+  eid,
+  blockNumber,
+  blockTimestamp,
+  eventId,
+  transactionHash,
+}: ComputeEffectiveConfigArgs): Promise<OAppSendSecurityConfig> => {
+  const defaultKey = makeDefaultScopedId(localEid, eid);
+  const configId = makeRouteId(oappId, eid);
+
+  const [
+    defaultLibrary,
+    defaultConfig,
+    defaultExecutorConfig,
+    libraryOverride,
+    configOverride,
+    executorConfigOverride,
+    peerState,
+    previousConfig,
+  ] = await Promise.all([
+    context.DefaultSendLibrary.get(defaultKey),
+    context.DefaultSendUlnConfig.get(defaultKey),
+    context.DefaultExecutorConfig.get(defaultKey),
+    context.OAppSendLibrary.get(configId),
+    context.OAppSendUlnConfig.get(configId),
+    context.OAppExecutorConfig.get(configId),
+    context.OAppPeer.get(configId),
+    context.OAppSendSecurityConfig.get(configId),
+  ]);
+
+  const defaults = {
+    library: defaultLibrary?.library,
+    config: createNormalizedConfig(
+      defaultConfig
+        ? {
+            confirmations: defaultConfig.confirmations,
+            requiredDVNCount: defaultConfig.requiredDVNCount ?? undefined,
+            optionalDVNCount: defaultConfig.optionalDVNCount ?? undefined,
+            optionalDVNThreshold: defaultConfig.optionalDVNThreshold ?? undefined,
+            requiredDVNs: defaultConfig.requiredDVNs,
+            optionalDVNs: defaultConfig.optionalDVNs,
+          }
+        : undefined,
+    ),
+  };
+
+  const overrides = {
+    library: libraryOverride?.library,
+    config: createNormalizedConfig(
+      configOverride
+        ? {
+            confirmations: configOverride.confirmations,
+            requiredDVNCount: configOverride.requiredDVNCount ?? undefined,
+            optionalDVNCount: configOverride.optionalDVNCount ?? undefined,
+            optionalDVNThreshold: configOverride.optionalDVNThreshold ?? undefined,
+            requiredDVNs: configOverride.requiredDVNs,
+            optionalDVNs: configOverride.optionalDVNs,
+          }
+        : undefined,
+    ),
+  };
+
+  const defaultResolved = mergeSecurityConfig(
+    context,
+    localEid,
+    eid,
+    undefined,
+    defaults,
+    undefined,
+    "send",
+  );
+  const resolved = mergeSecurityConfig(context, localEid, eid, oappId, defaults, overrides, "send");
+
+  const executorDefaults: ExecutorConfigInput = {
+    maxMessageSize: defaultExecutorConfig?.maxMessageSize ?? undefined,
+    executor: defaultExecutorConfig?.executor ?? undefined,
+  };
+  const executorResolved = resolved.isConfigTracked
+    ? mergeExecutorConfig(
+        executorDefaults,
+        executorConfigOverride
+          ? {
+              maxMessageSize: executorConfigOverride.maxMessageSize ?? undefined,
+              executor: executorConfigOverride.executor ?? undefined,
+            }
+          : undefined,
+      )
+    : {
+        effectiveMaxMessageSize: undefined,
+        effectiveExecutor: undefined,
+        fallbackFieldSet: new Set<FallbackField>(),
+      };
+  const executorDefaultResolved = mergeExecutorConfig(executorDefaults);
+
+  const fallbackFieldSet = new Set<FallbackField>([
+    ...resolved.fallbackFieldSet,
+    ...executorResolved.fallbackFieldSet,
+  ]);
+
+  const usesDefaultLibrary = resolved.effectiveLibrary === defaultResolved.effectiveLibrary;
+  const usesDefaultConfig =
+    resolved.isConfigTracked &&
+    defaultResolved.isConfigTracked &&
+    configsAreEqual(resolved.comparable, defaultResolved.comparable);
+  const usesDefaultExecutorConfig =
+    resolved.isConfigTracked &&
+    executorResolved.effectiveExecutor === executorDefaultResolved.effectiveExecutor &&
+    executorResolved.effectiveMaxMessageSize === executorDefaultResolved.effectiveMaxMessageSize;
+
+  const derivedPeer = peerState?.peer;
+  const derivedPeerNormalized = derivedPeer ? normalizeRemoteAddress(derivedPeer, eid) : undefined;
+  const derivedPeerOappId =
+    peerState?.peerOappId ??
+    (derivedPeerNormalized ? makeOAppId(eid, derivedPeerNormalized) : undefined);
+
+  const entity: OAppSendSecurityConfig = {
+    id: configId,
+    oappId,
+    localEid,
+    oapp: oappAddress,
+    eid,
+    effectiveSendLibrary: resolved.effectiveLibrary,
+    libraryStatus: resolved.libraryStatus,
+    effectiveConfirmations: resolved.effectiveConfirmations,
+    effectiveRequiredDVNCount: resolved.effectiveRequiredDVNCount,
+    effectiveOptionalDVNCount: resolved.effectiveOptionalDVNCount,
+    effectiveOptionalDVNThreshold: resolved.effectiveOptionalDVNThreshold,
+    effectiveRequiredDVNs: resolved.effectiveRequiredDVNs,
+    effectiveOptionalDVNs: resolved.effectiveOptionalDVNs,
+    effectiveExecutor: executorResolved.effectiveExecutor,
+    effectiveMaxMessageSize: executorResolved.effectiveMaxMessageSize,
+    isConfigTracked: resolved.isConfigTracked,
+    usesDefaultLibrary,
+    usesDefaultConfig,
+    usesDefaultExecutorConfig,
+    usesRequiredDVNSentinel: resolved.usesRequiredDVNSentinel,
+    usesOptionalDVNSentinel: resolved.usesOptionalDVNSentinel,
+    usesConfirmationsSentinel: resolved.usesConfirmationsSentinel,
+    fallbackFields: formatFallbackFields(fallbackFieldSet),
+    defaultLibraryVersionId: defaultLibrary?.lastUpdatedByEventId,
+    defaultConfigVersionId: defaultConfig?.lastUpdatedByEventId,
+    defaultExecutorConfigVersionId: defaultExecutorConfig?.lastUpdatedByEventId,
+    libraryOverrideVersionId: libraryOverride?.lastUpdatedByEventId,
+    configOverrideVersionId: configOverride?.lastUpdatedByEventId,
+    executorConfigOverrideVersionId: executorConfigOverride?.lastUpdatedByEventId,
+    lastComputedTransactionHash: transactionHash,
+    lastComputedBlock: blockNumber,
+    lastComputedTimestamp: blockTimestamp,
+    lastComputedByEventId: eventId,
+    peer: derivedPeer,
+    peerOappId: derivedPeerOappId,
+  };
+
+  context.OAppSendSecurityConfig.set(entity);
+  if (!previousConfig) {
+    registerScopeMembership(context, "send", entity);
+  }
+
+  recordSecurityConfigChange(context, {
+    direction: "send",
+    configId,
+    oappId,
+    localEid,
+    eid,
+    previous: previousConfig ? snapshotSendConfig(previousConfig) : undefined,
+    next: snapshotSendConfig(entity),
+    causeCandidates: [
+      [entity.libraryOverrideVersionId, "OAppSendLibrary"],
+      [entity.configOverrideVersionId, "OAppSendUlnConfig"],
+      [entity.executorConfigOverrideVersionId, "OAppExecutorConfig"],
+      [entity.defaultLibraryVersionId, "DefaultSendLibrary"],
+      [entity.defaultConfigVersionId, "DefaultSendUlnConfig"],
+      [entity.defaultExecutorConfigVersionId, "DefaultExecutorConfig"],
+    ],
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  });
+  return entity;
+};
+
+/**
+ * Computes the send config of a route seen for the first time. OApps that send on the
+ * defaults never emit a send-side config event, so without this they would have none.
+ */
+const ensureEffectiveSendConfig = async (args: ComputeEffectiveConfigArgs): Promise<void> => {
+  const existing = await args.context.OAppSendSecurityConfig.get(
+    makeRouteId(args.oappId, args.eid),
+  );
+  if (existing) return;
+  await computeAndPersistEffectiveSendConfig(args);
+};
+
+const recomputeSecurityConfigsForScope = async (
+  context: handlerContext,
+  localEid: bigint,
+  eid: bigint,
+  blockNumber: bigint,
   blockTimestamp: bigint,
   eventId: string,
   transactionHash: string,
+  direction: LibraryDirection = "receive",
 ) => {
-  // NOTE: compound queries not supported
-  const configsForChain = await context.OAppSecurityConfig.getWhere.localEid.eq(localEid);
-  if (!configsForChain || configsForChain.length === 0) {
-    return;
-  }
-
-  const configsForEid = configsForChain.filter((config) => config.eid === eid);
-  if (configsForEid.length === 0) {
+  // getWhere takes a single field, so routes are indexed under a composite scope key
+  const configsForEid: ReadonlyArray<ScopeMembership> =
+    await context.ScopeMembership.getWhere.scopeKey.eq(makeScopeKey(direction, localEid, eid));
+  if (!configsForEid || configsForEid.length === 0) {
     return;
   }
+  const computeEffectiveConfig =
+    direction === "send" ? computeAndPersistEffectiveSendConfig : computeAndPersistEffectiveConfig;
 
   context.log.debug("Recomputing security configs for scope", {
     localEid: localEid.toString(),
     eid: eid.toString(),
+    direction,
     configCount: configsForEid.length,
   });
 
   for (const config of configsForEid) {
     try {
-      await computeAndPersistEffectiveConfig({
+      await computeEffectiveConfig({
         context,
         localEid,
         oappId: config.oappId,
@@ -818,6 +1352,7 @@ const recomputeSecurityConfigsForScope = async (
       context.log.error("Config recomputation context", {
         localEid: localEid.toString(),
         eid: eid.toString(),
+        direction,
         oappId: config.oappId,
         oappAddress: config.oapp,
       });
@@ -882,15 +1417,41 @@ EndpointV2.DefaultReceiveLibrarySet.handler(async ({ event, context }) => {
   );
 });
 
-ReceiveUln302.DefaultUlnConfigsSet.handler(async ({ event, context }) => {
-  if (context.isPreload) return;
-
-  const localEid = resolveLocalEid(event.chainId);
-  const blockNumber = toBigInt(event.block.number);
-  const blockTimestamp = toBigInt(event.block.timestamp);
-  const transactionHash = event.transaction.hash;
+type UlnConfigTuple = readonly [
+  bigint,
+  bigint,
+  bigint,
+  bigint,
+  readonly string[],
+  readonly string[],
+];
+
+type ReceiveUlnEventArgs = {
+  contract: ReceiveLibraryContract;
+  chainId: number;
+  srcAddress: string;
+  blockNumber: number;
+  blockTimestamp: number;
+  logIndex: number;
+  transactionHash: string;
+};
 
-  for (const [eid, config] of event.params.params) {
+/**
+ * DefaultUlnConfigsSet for any tracked receive library. Configs are stored per
+ * emitting library so routes pinned to another ULN version keep their own view.
+ */
+const recordReceiveDefaultUlnConfigs = async (
+  context: handlerContext,
+  args: ReceiveUlnEventArgs & { params: ReadonlyArray<readonly [bigint, UlnConfigTuple]> },
+) => {
+  const localEid = resolveLocalEid(args.chainId);
+  const library = normalizeAddress(args.srcAddress) ?? args.srcAddress.toLowerCase();
+  const blockNumber = toBigInt(args.blockNumber);
+  const blockTimestamp = toBigInt(args.blockTimestamp);
+  const transactionHash = args.transactionHash;
+  const source = `${args.contract}.DefaultUlnConfigsSet`;
+
+  for (const [eid, config] of args.params) {
     // Use destructuring for better readability and type safety
     const [
       confirmations,
@@ -902,18 +1463,19 @@ ReceiveUln302.DefaultUlnConfigsSet.handler(async ({ event, context }) => {
     ] = config;
 
     // Check for zero addresses before normalization
-    checkForZeroAddresses(context, requiredDVNs, "DefaultUlnConfigsSet", localEid, eid, "required");
-    checkForZeroAddresses(context, optionalDVNs, "DefaultUlnConfigsSet", localEid, eid, "optional");
+    checkForZeroAddresses(context, requiredDVNs, source, localEid, eid, "required");
+    checkForZeroAddresses(context, optionalDVNs, source, localEid, eid, "optional");
 
-    const id = makeDefaultScopedId(localEid, eid);
+    const id = makeLibraryScopedId(makeDefaultScopedId(localEid, eid), library);
     const normalizedRequired = uniqueNormalizedAddresses(requiredDVNs);
     const normalizedOptional = uniqueNormalizedAddresses(optionalDVNs);
 
-    const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+    const eventId = makeEventId(localEid, args.blockNumber, args.logIndex);
     const entity: DefaultUlnConfig = {
       id,
       localEid,
       eid,
+      library,
       confirmations: BigInt(confirmations),
       requiredDVNCount: Number(requiredDVNCount),
       optionalDVNCount: Number(optionalDVNCount),
@@ -936,7 +1498,7 @@ ReceiveUln302.DefaultUlnConfigsSet.handler(async ({ event, context }) => {
         requiredDVNs: entity.requiredDVNs,
         optionalDVNs: entity.optionalDVNs,
       },
-      "DefaultUlnConfigsSet",
+      source,
       localEid,
       eid,
     );
@@ -952,6 +1514,7 @@ ReceiveUln302.DefaultUlnConfigsSet.handler(async ({ event, context }) => {
       id: versionId,
       localEid,
       eid,
+      library,
       confirmations: BigInt(confirmations),
       requiredDVNCount: Number(requiredDVNCount),
       optionalDVNCount: Number(optionalDVNCount),
@@ -975,6 +1538,36 @@ ReceiveUln302.DefaultUlnConfigsSet.handler(async ({ event, context }) => {
       transactionHash,
     );
   }
+};
+
+ReceiveUln302.DefaultUlnConfigsSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  await recordReceiveDefaultUlnConfigs(context, {
+    contract: "ReceiveUln302",
+    chainId: event.chainId,
+    srcAddress: event.srcAddress,
+    blockNumber: event.block.number,
+    blockTimestamp: event.block.timestamp,
+    logIndex: event.logIndex,
+    transactionHash: event.transaction.hash,
+    params: event.params.params,
+  });
+});
+
+ReceiveUln301.DefaultUlnConfigsSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  await recordReceiveDefaultUlnConfigs(context, {
+    contract: "ReceiveUln301",
+    chainId: event.chainId,
+    srcAddress: event.srcAddress,
+    blockNumber: event.block.number,
+    blockTimestamp: event.block.timestamp,
+    logIndex: event.logIndex,
+    transactionHash: event.transaction.hash,
+    params: event.params.params,
+  });
 });
 
 EndpointV2.ReceiveLibrarySet.handler(async ({ event, context }) => {
@@ -1019,7 +1612,7 @@ EndpointV2.ReceiveLibrarySet.handler(async ({ event, context }) => {
     lastPacketBlock: undefined,
     lastPacketTimestamp: undefined,
   };
-  await context.OAppStats.getOrCreate(oappDefaults);
+  await ensureOAppStats(context, oappDefaults);
 
   const libraryEntity: OAppReceiveLibrary = {
     id: configId,
@@ -1062,27 +1655,33 @@ EndpointV2.ReceiveLibrarySet.handler(async ({ event, context }) => {
   });
 });
 
-ReceiveUln302.UlnConfigSet.handler(async ({ event, context }) => {
-  if (context.isPreload) return;
-
-  const localEid = resolveLocalEid(event.chainId);
-  const blockNumber = toBigInt(event.block.number);
-  const blockTimestamp = toBigInt(event.block.timestamp);
-  const eventId = makeEventId(localEid, event.block.number, event.logIndex);
-  const transactionHash = event.transaction.hash;
-  const receiver = normalizeOAppAddress(event.params.oapp);
+/**
+ * UlnConfigSet for any tracked receive library, stored under the emitting library.
+ */
+const recordReceiveOAppUlnConfig = async (
+  context: handlerContext,
+  args: ReceiveUlnEventArgs & { oapp: string; eid: bigint; config: UlnConfigTuple },
+) => {
+  const localEid = resolveLocalEid(args.chainId);
+  const library = normalizeAddress(args.srcAddress) ?? args.srcAddress.toLowerCase();
+  const blockNumber = toBigInt(args.blockNumber);
+  const blockTimestamp = toBigInt(args.blockTimestamp);
+  const eventId = makeEventId(localEid, args.blockNumber, args.logIndex);
+  const transactionHash = args.transactionHash;
+  const receiver = normalizeOAppAddress(args.oapp);
   if (!receiver) {
-    context.log.warn("UlnConfigSet missing oapp address", {
+    context.log.warn(`${args.contract}.UlnConfigSet missing oapp address`, {
       localEid: localEid.toString(),
-      eid: event.params.eid,
-      rawValue: event.params.oapp,
+      eid: args.eid,
+      rawValue: args.oapp,
       eventId,
       transactionHash,
     });
     return;
   }
   const oappId = makeOAppId(localEid, receiver);
-  const configId = makeRouteId(oappId, event.params.eid);
+  const configId = makeRouteId(oappId, args.eid);
+  const source = `${args.contract}.UlnConfigSet(${oappId})`;
 
   // Use destructuring for better readability and type safety
   const [
@@ -1092,25 +1691,11 @@ ReceiveUln302.UlnConfigSet.handler(async ({ event, context }) => {
     optionalDVNThreshold,
     requiredDVNs,
     optionalDVNs,
-  ] = event.params.config;
+  ] = args.config;
 
   // Check for zero addresses before normalization
-  checkForZeroAddresses(
-    context,
-    requiredDVNs,
-    `UlnConfigSet(${oappId})`,
-    localEid,
-    event.params.eid,
-    "required",
-  );
-  checkForZeroAddresses(
-    context,
-    optionalDVNs,
-    `UlnConfigSet(${oappId})`,
-    localEid,
-    event.params.eid,
-    "optional",
-  );
+  checkForZeroAddresses(context, requiredDVNs, source, localEid, args.eid, "required");
+  checkForZeroAddresses(context, optionalDVNs, source, localEid, args.eid, "optional");
 
   const normalizedRequired = uniqueNormalizedAddresses(requiredDVNs);
   const normalizedOptional = uniqueNormalizedAddresses(optionalDVNs);
@@ -1123,14 +1708,15 @@ ReceiveUln302.UlnConfigSet.handler(async ({ event, context }) => {
     lastPacketBlock: undefined,
     lastPacketTimestamp: undefined,
   };
-  await context.OAppStats.getOrCreate(oappDefaults);
+  await ensureOAppStats(context, oappDefaults);
 
   const configEntity: OAppUlnConfig = {
-    id: configId,
+    id: makeLibraryScopedId(configId, library),
     oappId,
     localEid,
     oapp: receiver,
-    eid: event.params.eid,
+    eid: args.eid,
+    library,
     confirmations: BigInt(confirmations),
     requiredDVNCount: Number(requiredDVNCount),
     optionalDVNCount: Number(optionalDVNCount),
@@ -1153,9 +1739,9 @@ ReceiveUln302.UlnConfigSet.handler(async ({ event, context }) => {
       requiredDVNs: configEntity.requiredDVNs,
       optionalDVNs: configEntity.optionalDVNs,
     },
-    `UlnConfigSet(${oappId})`,
+    source,
     localEid,
-    event.params.eid,
+    args.eid,
   );
 
   context.OAppUlnConfig.set(configEntity);
@@ -1165,7 +1751,8 @@ ReceiveUln302.UlnConfigSet.handler(async ({ event, context }) => {
     oappId,
     localEid,
     oapp: receiver,
-    eid: event.params.eid,
+    eid: args.eid,
+    library,
     confirmations: BigInt(confirmations),
     requiredDVNCount: Number(requiredDVNCount),
     optionalDVNCount: Number(optionalDVNCount),
@@ -1184,61 +1771,1096 @@ ReceiveUln302.UlnConfigSet.handler(async ({ event, context }) => {
     localEid,
     oappId,
     oappAddress: receiver,
-    eid: event.params.eid,
+    eid: args.eid,
     blockNumber,
     blockTimestamp,
     eventId,
     transactionHash,
   });
+};
+
+ReceiveUln302.UlnConfigSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  await recordReceiveOAppUlnConfig(context, {
+    contract: "ReceiveUln302",
+    chainId: event.chainId,
+    srcAddress: event.srcAddress,
+    blockNumber: event.block.number,
+    blockTimestamp: event.block.timestamp,
+    logIndex: event.logIndex,
+    transactionHash: event.transaction.hash,
+    oapp: event.params.oapp,
+    eid: event.params.eid,
+    config: event.params.config,
+  });
 });
 
-EndpointV2.PacketDelivered.handler(async ({ event, context }) => {
+ReceiveUln301.UlnConfigSet.handler(async ({ event, context }) => {
   if (context.isPreload) return;
 
-  const localEid = resolveLocalEid(event.chainId);
+  await recordReceiveOAppUlnConfig(context, {
+    contract: "ReceiveUln301",
+    chainId: event.chainId,
+    srcAddress: event.srcAddress,
+    blockNumber: event.block.number,
+    blockTimestamp: event.block.timestamp,
+    logIndex: event.logIndex,
+    transactionHash: event.transaction.hash,
+    oapp: event.params.oapp,
+    eid: event.params.eid,
+    config: event.params.config,
+  });
+});
 
-  try {
-    const [srcEid, sender, nonce] = event.params.origin;
-    const blockNumber = toBigInt(event.block.number);
-    const blockTimestamp = toBigInt(event.block.timestamp);
-    const eventId = makeEventId(localEid, event.block.number, event.logIndex);
-    const transactionHash = event.transaction.hash;
-    const receiver = normalizeOAppAddress(event.params.receiver);
-    if (!receiver) {
-      context.log.error("PacketDelivered missing receiver", {
-        localEid: localEid.toString(),
-        blockNumber: event.block.number,
-        logIndex: event.logIndex,
-        rawValue: event.params.receiver,
-        eventId,
-        transactionHash,
-      });
-      return;
-    }
-    const normalizedSender = normalizeOAppAddress(sender);
-    if (!normalizedSender) {
-      context.log.error("PacketDelivered missing sender", {
-        localEid: localEid.toString(),
-        blockNumber: event.block.number,
-        logIndex: event.logIndex,
-        rawValue: sender,
-        eventId,
-        transactionHash,
-      });
-      return;
-    }
-    const senderOappId = makeOAppId(srcEid, normalizedSender);
-    const oappId = makeOAppId(localEid, receiver);
+EndpointV2.DefaultReceiveLibraryTimeoutSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
 
-    const oappDefaults: OAppStats = {
-      id: oappId,
+  const localEid = resolveLocalEid(event.chainId);
+  const blockNumber = toBigInt(event.block.number);
+  const blockTimestamp = toBigInt(event.block.timestamp);
+  const transactionHash = event.transaction.hash;
+  const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+  const id = makeDefaultScopedId(localEid, event.params.eid);
+  // A zero oldLib with zero expiry clears the grace period
+  const normalizedLibrary = normalizeAddress(event.params.oldLib);
+
+  const entity: DefaultReceiveLibraryTimeout = {
+    id,
+    localEid,
+    eid: event.params.eid,
+    library: normalizedLibrary,
+    expiry: event.params.expiry,
+    transactionHash,
+    lastUpdatedBlock: blockNumber,
+    lastUpdatedTimestamp: blockTimestamp,
+    lastUpdatedByEventId: eventId,
+  };
+  context.DefaultReceiveLibraryTimeout.set(entity);
+
+  const version: DefaultReceiveLibraryTimeoutVersion = {
+    id: eventId,
+    localEid,
+    eid: event.params.eid,
+    library: normalizedLibrary,
+    expiry: event.params.expiry,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  };
+  context.DefaultReceiveLibraryTimeoutVersion.set(version);
+
+  await recomputeSecurityConfigsForScope(
+    context,
+    localEid,
+    event.params.eid,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  );
+});
+
+EndpointV2.ReceiveLibraryTimeoutSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  const localEid = resolveLocalEid(event.chainId);
+  const blockNumber = toBigInt(event.block.number);
+  const blockTimestamp = toBigInt(event.block.timestamp);
+  const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+  const transactionHash = event.transaction.hash;
+  const receiver = normalizeOAppAddress(event.params.receiver);
+  if (!receiver) {
+    context.log.warn("ReceiveLibraryTimeoutSet missing receiver", {
+      localEid: localEid.toString(),
+      eid: event.params.eid,
+      rawValue: event.params.receiver,
+      eventId,
+      transactionHash,
+    });
+    return;
+  }
+  const oappId = makeOAppId(localEid, receiver);
+  const configId = makeRouteId(oappId, event.params.eid);
+  const normalizedLibrary = normalizeAddress(event.params.oldLib);
+
+  const oappDefaults: OAppStats = {
+    id: oappId,
+    localEid,
+    address: receiver,
+    totalPacketsReceived: 0n,
+    lastPacketBlock: undefined,
+    lastPacketTimestamp: undefined,
+  };
+  await ensureOAppStats(context, oappDefaults);
+
+  const timeoutEntity: OAppReceiveLibraryTimeout = {
+    id: configId,
+    oappId,
+    localEid,
+    oapp: receiver,
+    eid: event.params.eid,
+    library: normalizedLibrary,
+    expiry: event.params.timeout,
+    transactionHash,
+    lastUpdatedBlock: blockNumber,
+    lastUpdatedTimestamp: blockTimestamp,
+    lastUpdatedByEventId: eventId,
+  };
+  context.OAppReceiveLibraryTimeout.set(timeoutEntity);
+
+  const timeoutVersion: OAppReceiveLibraryTimeoutVersion = {
+    id: eventId,
+    oappId,
+    localEid,
+    oapp: receiver,
+    eid: event.params.eid,
+    library: normalizedLibrary,
+    expiry: event.params.timeout,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  };
+  context.OAppReceiveLibraryTimeoutVersion.set(timeoutVersion);
+
+  await computeAndPersistEffectiveConfig({
+    context,
+    localEid,
+    oappId,
+    oappAddress: receiver,
+    eid: event.params.eid,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  });
+});
+
+EndpointV2.DefaultSendLibrarySet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  const localEid = resolveLocalEid(event.chainId);
+  const blockNumber = toBigInt(event.block.number);
+  const blockTimestamp = toBigInt(event.block.timestamp);
+  const transactionHash = event.transaction.hash;
+  const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+  const id = makeDefaultScopedId(localEid, event.params.eid);
+  const normalizedLibrary = normalizeAddress(event.params.newLib);
+  if (!normalizedLibrary) {
+    context.log.warn("DefaultSendLibrarySet missing newLib", {
+      localEid: localEid.toString(),
+      eid: event.params.eid,
+      rawValue: event.params.newLib,
+      eventId,
+      transactionHash,
+    });
+    return;
+  }
+
+  const entity: DefaultSendLibrary = {
+    id,
+    localEid,
+    eid: event.params.eid,
+    library: normalizedLibrary,
+    transactionHash,
+    lastUpdatedBlock: blockNumber,
+    lastUpdatedTimestamp: blockTimestamp,
+    lastUpdatedByEventId: eventId,
+  };
+  context.DefaultSendLibrary.set(entity);
+
+  const version: DefaultSendLibraryVersion = {
+    id: eventId,
+    localEid,
+    eid: event.params.eid,
+    library: normalizedLibrary,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  };
+  context.DefaultSendLibraryVersion.set(version);
+
+  await recomputeSecurityConfigsForScope(
+    context,
+    localEid,
+    event.params.eid,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+    "send",
+  );
+});
+
+EndpointV2.SendLibrarySet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  const localEid = resolveLocalEid(event.chainId);
+  const blockNumber = toBigInt(event.block.number);
+  const blockTimestamp = toBigInt(event.block.timestamp);
+  const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+  const transactionHash = event.transaction.hash;
+  const sender = normalizeOAppAddress(event.params.sender);
+  if (!sender) {
+    context.log.warn("SendLibrarySet missing sender", {
+      localEid: localEid.toString(),
+      eid: event.params.eid,
+      rawValue: event.params.sender,
+      eventId,
+      transactionHash,
+    });
+    return;
+  }
+  const oappId = makeOAppId(localEid, sender);
+  const configId = makeRouteId(oappId, event.params.eid);
+  const normalizedLibrary = normalizeAddress(event.params.newLib);
+  if (!normalizedLibrary) {
+    context.log.warn("SendLibrarySet missing newLib", {
+      localEid: localEid.toString(),
+      eid: event.params.eid,
+      sender: event.params.sender,
+      rawValue: event.params.newLib,
+      eventId,
+      transactionHash,
+    });
+    return;
+  }
+
+  const oappDefaults: OAppStats = {
+    id: oappId,
+    localEid,
+    address: sender,
+    totalPacketsReceived: 0n,
+    lastPacketBlock: undefined,
+    lastPacketTimestamp: undefined,
+  };
+  await ensureOAppStats(context, oappDefaults);
+
+  const libraryEntity: OAppSendLibrary = {
+    id: configId,
+    oappId,
+    localEid,
+    oapp: sender,
+    eid: event.params.eid,
+    library: normalizedLibrary,
+    transactionHash,
+    lastUpdatedBlock: blockNumber,
+    lastUpdatedTimestamp: blockTimestamp,
+    lastUpdatedByEventId: eventId,
+  };
+  context.OAppSendLibrary.set(libraryEntity);
+
+  const libraryVersion: OAppSendLibraryVersion = {
+    id: eventId,
+    oappId,
+    localEid,
+    oapp: sender,
+    eid: event.params.eid,
+    library: normalizedLibrary,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  };
+  context.OAppSendLibraryVersion.set(libraryVersion);
+
+  await computeAndPersistEffectiveSendConfig({
+    context,
+    localEid,
+    oappId,
+    oappAddress: sender,
+    eid: event.params.eid,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  });
+});
+
+/**
+ * An account equal to the transaction sender is an EOA; one that is itself an indexed
+ * OApp or Ownable contract on the same chain is a contract. Anything else stays unknown.
+ */
+const classifyAccount = async (
+  context: handlerContext,
+  localEid: bigint,
+  account: string,
+  transactionFrom: string | undefined,
+): Promise<AccountKind> => {
+  if (isZeroAddress(account)) return "none";
+  if (normalizeAddress(transactionFrom) === account) return "eoa";
+  const accountId = makeOAppId(localEid, account);
+  const [oappStats, ownable] = await Promise.all([
+    context.OAppStats.get(accountId),
+    context.OAppOwner.get(accountId),
+  ]);
+  return oappStats || ownable ? "contract" : "unknown";
+};
+
+EndpointV2.DelegateSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  const localEid = resolveLocalEid(event.chainId);
+  const blockNumber = toBigInt(event.block.number);
+  const blockTimestamp = toBigInt(event.block.timestamp);
+  const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+  const transactionHash = event.transaction.hash;
+  const sender = normalizeOAppAddress(event.params.sender);
+  if (!sender) {
+    context.log.warn("DelegateSet missing sender", {
+      localEid: localEid.toString(),
+      rawValue: event.params.sender,
+      eventId,
+      transactionHash,
+    });
+    return;
+  }
+  const oappId = makeOAppId(localEid, sender);
+  const delegate = normalizeAddress(event.params.delegate) ?? ZERO_ADDRESS;
+  const delegateKind = await classifyAccount(context, localEid, delegate, event.transaction.from);
+
+  const oappDefaults: OAppStats = {
+    id: oappId,
+    localEid,
+    address: sender,
+    totalPacketsReceived: 0n,
+    lastPacketBlock: undefined,
+    lastPacketTimestamp: undefined,
+  };
+  await ensureOAppStats(context, oappDefaults);
+
+  const delegateEntity: OAppDelegate = {
+    id: oappId,
+    oappId,
+    localEid,
+    oapp: sender,
+    delegate,
+    delegateKind,
+    transactionHash,
+    lastUpdatedBlock: blockNumber,
+    lastUpdatedTimestamp: blockTimestamp,
+    lastUpdatedByEventId: eventId,
+  };
+  context.OAppDelegate.set(delegateEntity);
+
+  const delegateVersion: OAppDelegateVersion = {
+    id: eventId,
+    oappId,
+    localEid,
+    oapp: sender,
+    delegate,
+    delegateKind,
+    transactionHash,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+  };
+  context.OAppDelegateVersion.set(delegateVersion);
+});
+
+SendUln302.DefaultUlnConfigsSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  const localEid = resolveLocalEid(event.chainId);
+  const blockNumber = toBigInt(event.block.number);
+  const blockTimestamp = toBigInt(event.block.timestamp);
+  const transactionHash = event.transaction.hash;
+  const source = "SendUln302.DefaultUlnConfigsSet";
+
+  for (const [eid, config] of event.params.params) {
+    const [
+      confirmations,
+      requiredDVNCount,
+      optionalDVNCount,
+      optionalDVNThreshold,
+      requiredDVNs,
+      optionalDVNs,
+    ] = config;
+
+    checkForZeroAddresses(context, requiredDVNs, source, localEid, eid, "required");
+    checkForZeroAddresses(context, optionalDVNs, source, localEid, eid, "optional");
+
+    const id = makeDefaultScopedId(localEid, eid);
+    const normalizedRequired = uniqueNormalizedAddresses(requiredDVNs);
+    const normalizedOptional = uniqueNormalizedAddresses(optionalDVNs);
+
+    const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+    const entity: DefaultSendUlnConfig = {
+      id,
+      localEid,
+      eid,
+      confirmations: BigInt(confirmations),
+      requiredDVNCount: Number(requiredDVNCount),
+      optionalDVNCount: Number(optionalDVNCount),
+      optionalDVNThreshold: Number(optionalDVNThreshold),
+      requiredDVNs: normalizedRequired,
+      optionalDVNs: normalizedOptional,
+      transactionHash,
+      lastUpdatedBlock: blockNumber,
+      lastUpdatedTimestamp: blockTimestamp,
+      lastUpdatedByEventId: eventId,
+    };
+
+    validateUlnConfig(
+      context,
+      {
+        requiredDVNCount: entity.requiredDVNCount,
+        optionalDVNCount: entity.optionalDVNCount,
+        optionalDVNThreshold: entity.optionalDVNThreshold,
+        requiredDVNs: entity.requiredDVNs,
+        optionalDVNs: entity.optionalDVNs,
+      },
+      source,
+      localEid,
+      eid,
+    );
+
+    context.DefaultSendUlnConfig.set(entity);
+
+    // Composite ID for the same reason as DefaultUlnConfigVersion
+    const versionId = `${eventId}_${eid.toString()}`;
+    const version: DefaultSendUlnConfigVersion = {
+      id: versionId,
+      localEid,
+      eid,
+      confirmations: BigInt(confirmations),
+      requiredDVNCount: Number(requiredDVNCount),
+      optionalDVNCount: Number(optionalDVNCount),
+      optionalDVNThreshold: Number(optionalDVNThreshold),
+      requiredDVNs: normalizedRequired,
+      optionalDVNs: normalizedOptional,
+      blockNumber,
+      blockTimestamp,
+      eventId,
+      transactionHash,
+    };
+    context.DefaultSendUlnConfigVersion.set(version);
+
+    await recomputeSecurityConfigsForScope(
+      context,
+      localEid,
+      eid,
+      blockNumber,
+      blockTimestamp,
+      eventId,
+      transactionHash,
+      "send",
+    );
+  }
+});
+
+SendUln302.UlnConfigSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  const localEid = resolveLocalEid(event.chainId);
+  const blockNumber = toBigInt(event.block.number);
+  const blockTimestamp = toBigInt(event.block.timestamp);
+  const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+  const transactionHash = event.transaction.hash;
+  const sender = normalizeOAppAddress(event.params.oapp);
+  if (!sender) {
+    context.log.warn("SendUln302 UlnConfigSet missing oapp address", {
+      localEid: localEid.toString(),
+      eid: event.params.eid,
+      rawValue: event.params.oapp,
+      eventId,
+      transactionHash,
+    });
+    return;
+  }
+  const oappId = makeOAppId(localEid, sender);
+  const configId = makeRouteId(oappId, event.params.eid);
+  const source = `SendUln302.UlnConfigSet(${oappId})`;
+
+  const [
+    confirmations,
+    requiredDVNCount,
+    optionalDVNCount,
+    optionalDVNThreshold,
+    requiredDVNs,
+    optionalDVNs,
+  ] = event.params.config;
+
+  checkForZeroAddresses(context, requiredDVNs, source, localEid, event.params.eid, "required");
+  checkForZeroAddresses(context, optionalDVNs, source, localEid, event.params.eid, "optional");
+
+  const normalizedRequired = uniqueNormalizedAddresses(requiredDVNs);
+  const normalizedOptional = uniqueNormalizedAddresses(optionalDVNs);
+
+  const oappDefaults: OAppStats = {
+    id: oappId,
+    localEid,
+    address: sender,
+    totalPacketsReceived: 0n,
+    lastPacketBlock: undefined,
+    lastPacketTimestamp: undefined,
+  };
+  await ensureOAppStats(context, oappDefaults);
+
+  const configEntity: OAppSendUlnConfig = {
+    id: configId,
+    oappId,
+    localEid,
+    oapp: sender,
+    eid: event.params.eid,
+    confirmations: BigInt(confirmations),
+    requiredDVNCount: Number(requiredDVNCount),
+    optionalDVNCount: Number(optionalDVNCount),
+    optionalDVNThreshold: Number(optionalDVNThreshold),
+    requiredDVNs: normalizedRequired,
+    optionalDVNs: normalizedOptional,
+    transactionHash,
+    lastUpdatedBlock: blockNumber,
+    lastUpdatedTimestamp: blockTimestamp,
+    lastUpdatedByEventId: eventId,
+  };
+
+  validateUlnConfig(
+    context,
+    {
+      requiredDVNCount: configEntity.requiredDVNCount,
+      optionalDVNCount: configEntity.optionalDVNCount,
+      optionalDVNThreshold: configEntity.optionalDVNThreshold,
+      requiredDVNs: configEntity.requiredDVNs,
+      optionalDVNs: configEntity.optionalDVNs,
+    },
+    source,
+    localEid,
+    event.params.eid,
+  );
+
+  context.OAppSendUlnConfig.set(configEntity);
+
+  const configVersion: OAppSendUlnConfigVersion = {
+    id: eventId,
+    oappId,
+    localEid,
+    oapp: sender,
+    eid: event.params.eid,
+    confirmations: BigInt(confirmations),
+    requiredDVNCount: Number(requiredDVNCount),
+    optionalDVNCount: Number(optionalDVNCount),
+    optionalDVNThreshold: Number(optionalDVNThreshold),
+    requiredDVNs: normalizedRequired,
+    optionalDVNs: normalizedOptional,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  };
+  context.OAppSendUlnConfigVersion.set(configVersion);
+
+  await computeAndPersistEffectiveSendConfig({
+    context,
+    localEid,
+    oappId,
+    oappAddress: sender,
+    eid: event.params.eid,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  });
+});
+
+SendUln302.DefaultExecutorConfigsSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  const localEid = resolveLocalEid(event.chainId);
+  const blockNumber = toBigInt(event.block.number);
+  const blockTimestamp = toBigInt(event.block.timestamp);
+  const transactionHash = event.transaction.hash;
+  const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+
+  for (const [eid, config] of event.params.params) {
+    const [maxMessageSize, executor] = config;
+    const id = makeDefaultScopedId(localEid, eid);
+    const normalizedExecutor = normalizeAddress(executor);
+
+    const entity: DefaultExecutorConfig = {
+      id,
+      localEid,
+      eid,
+      maxMessageSize: Number(maxMessageSize),
+      executor: normalizedExecutor,
+      transactionHash,
+      lastUpdatedBlock: blockNumber,
+      lastUpdatedTimestamp: blockTimestamp,
+      lastUpdatedByEventId: eventId,
+    };
+    context.DefaultExecutorConfig.set(entity);
+
+    const version: DefaultExecutorConfigVersion = {
+      id: `${eventId}_${eid.toString()}`,
+      localEid,
+      eid,
+      maxMessageSize: Number(maxMessageSize),
+      executor: normalizedExecutor,
+      blockNumber,
+      blockTimestamp,
+      eventId,
+      transactionHash,
+    };
+    context.DefaultExecutorConfigVersion.set(version);
+
+    await recomputeSecurityConfigsForScope(
+      context,
+      localEid,
+      eid,
+      blockNumber,
+      blockTimestamp,
+      eventId,
+      transactionHash,
+      "send",
+    );
+  }
+});
+
+SendUln302.ExecutorConfigSet.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  const localEid = resolveLocalEid(event.chainId);
+  const blockNumber = toBigInt(event.block.number);
+  const blockTimestamp = toBigInt(event.block.timestamp);
+  const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+  const transactionHash = event.transaction.hash;
+  const sender = normalizeOAppAddress(event.params.oapp);
+  if (!sender) {
+    context.log.warn("ExecutorConfigSet missing oapp address", {
+      localEid: localEid.toString(),
+      eid: event.params.eid,
+      rawValue: event.params.oapp,
+      eventId,
+      transactionHash,
+    });
+    return;
+  }
+  const oappId = makeOAppId(localEid, sender);
+  const configId = makeRouteId(oappId, event.params.eid);
+  const [maxMessageSize, executor] = event.params.config;
+  const normalizedExecutor = normalizeAddress(executor);
+
+  const oappDefaults: OAppStats = {
+    id: oappId,
+    localEid,
+    address: sender,
+    totalPacketsReceived: 0n,
+    lastPacketBlock: undefined,
+    lastPacketTimestamp: undefined,
+  };
+  await ensureOAppStats(context, oappDefaults);
+
+  const configEntity: OAppExecutorConfig = {
+    id: configId,
+    oappId,
+    localEid,
+    oapp: sender,
+    eid: event.params.eid,
+    maxMessageSize: Number(maxMessageSize),
+    executor: normalizedExecutor,
+    transactionHash,
+    lastUpdatedBlock: blockNumber,
+    lastUpdatedTimestamp: blockTimestamp,
+    lastUpdatedByEventId: eventId,
+  };
+  context.OAppExecutorConfig.set(configEntity);
+
+  const configVersion: OAppExecutorConfigVersion = {
+    id: eventId,
+    oappId,
+    localEid,
+    oapp: sender,
+    eid: event.params.eid,
+    maxMessageSize: Number(maxMessageSize),
+    executor: normalizedExecutor,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  };
+  context.OAppExecutorConfigVersion.set(configVersion);
+
+  await computeAndPersistEffectiveSendConfig({
+    context,
+    localEid,
+    oappId,
+    oappAddress: sender,
+    eid: event.params.eid,
+    blockNumber,
+    blockTimestamp,
+    eventId,
+    transactionHash,
+  });
+});
+
+/**
+ * PayloadVerified from any tracked receive library; both ULN versions use the
+ * PacketV1Codec header.
+ */
+const recordPayloadVerified = async (
+  context: handlerContext,
+  args: ReceiveUlnEventArgs & {
+    dvn: string;
+    header: string;
+    confirmations: bigint;
+    proofHash: string;
+  },
+) => {
+  const localEid = resolveLocalEid(args.chainId);
+  const eventId = makeEventId(localEid, args.blockNumber, args.logIndex);
+  const transactionHash = args.transactionHash;
+  const header = parsePacketHeader(args.header);
+  if (!header) {
+    context.log.warn("PayloadVerified with malformed packet header", {
+      localEid: localEid.toString(),
+      rawValue: args.header,
+      eventId,
+      transactionHash,
+    });
+    return;
+  }
+  if (header.dstEid !== localEid) {
+    context.log.warn("PayloadVerified header dstEid does not match local chain", {
+      localEid: localEid.toString(),
+      dstEid: header.dstEid.toString(),
+      eventId,
+      transactionHash,
+    });
+    return;
+  }
+
+  const dvn = normalizeAddress(args.dvn) ?? ZERO_ADDRESS;
+  const oappId = makeOAppId(localEid, header.receiver);
+
+  const verification: PacketVerification = {
+    id: eventId,
+    packetKey: makePacketKey(localEid, header.receiver, header.srcEid, header.sender, header.nonce),
+    localEid,
+    srcEid: header.srcEid,
+    oappId,
+    receiver: header.receiver,
+    sender: header.sender,
+    nonce: header.nonce,
+    dvn,
+    library: normalizeAddress(args.srcAddress) ?? args.srcAddress.toLowerCase(),
+    confirmations: args.confirmations,
+    proofHash: args.proofHash,
+    blockNumber: toBigInt(args.blockNumber),
+    blockTimestamp: toBigInt(args.blockTimestamp),
+    transactionHash,
+  };
+  context.PacketVerification.set(verification);
+};
+
+ReceiveUln302.PayloadVerified.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  await recordPayloadVerified(context, {
+    contract: "ReceiveUln302",
+    chainId: event.chainId,
+    srcAddress: event.srcAddress,
+    blockNumber: event.block.number,
+    blockTimestamp: event.block.timestamp,
+    logIndex: event.logIndex,
+    transactionHash: event.transaction.hash,
+    dvn: event.params.dvn,
+    header: event.params.header,
+    confirmations: event.params.confirmations,
+    proofHash: event.params.proofHash,
+  });
+});
+
+ReceiveUln301.PayloadVerified.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  await recordPayloadVerified(context, {
+    contract: "ReceiveUln301",
+    chainId: event.chainId,
+    srcAddress: event.srcAddress,
+    blockNumber: event.block.number,
+    blockTimestamp: event.block.timestamp,
+    logIndex: event.logIndex,
+    transactionHash: event.transaction.hash,
+    dvn: event.params.dvn,
+    header: event.params.header,
+    confirmations: event.params.confirmations,
+    proofHash: event.params.proofHash,
+  });
+});
+
+/**
+ * Maintains the UTC-day packet aggregates for an OApp and its route.
+ * Senders are counted once per route and day; because senderOappId includes
+ * the srcEid, the OApp-level count is the sum over its routes.
+ */
+const updateDailyPacketStats = async (
+  context: handlerContext,
+  {
+    oappId,
+    routeId,
+    localEid,
+    oapp,
+    srcEid,
+    senderOappId,
+    blockNumber,
+    blockTimestamp,
+  }: {
+    oappId: string;
+    routeId: string;
+    localEid: bigint;
+    oapp: string;
+    srcEid: bigint;
+    senderOappId: string;
+    blockNumber: bigint;
+    blockTimestamp: bigint;
+  },
+) => {
+  const day = blockTimestamp - (blockTimestamp % SECONDS_PER_DAY);
+  const dailyId = `${oappId}_${day.toString()}`;
+  const routeDailyId = `${routeId}_${day.toString()}`;
+  const senderMarkerId = `${routeDailyId}_${senderOappId}`;
+
+  const [dailyStats, routeDailyStats, senderMarker] = await Promise.all([
+    context.OAppDailyStats.getOrCreate({
+      id: dailyId,
+      oappId,
+      localEid,
+      oapp,
+      day,
+      packetCount: 0n,
+      firstBlock: blockNumber,
+      lastBlock: blockNumber,
+      lastTimestamp: blockTimestamp,
+      distinctSenders: 0,
+      distinctSrcEids: 0,
+    }),
+    context.OAppRouteDailyStats.getOrCreate({
+      id: routeDailyId,
+      oappId,
+      localEid,
+      oapp,
+      srcEid,
+      day,
+      packetCount: 0n,
+      firstBlock: blockNumber,
+      lastBlock: blockNumber,
+      lastTimestamp: blockTimestamp,
+      distinctSenders: 0,
+    }),
+    context.OAppRouteDailySender.get(senderMarkerId),
+  ]);
+
+  const isNewSender = senderMarker === undefined;
+  if (isNewSender) {
+    const marker: OAppRouteDailySender = {
+      id: senderMarkerId,
+      routeDailyStatsId: routeDailyId,
+      senderOappId,
+    };
+    context.OAppRouteDailySender.set(marker);
+  }
+  const isNewRoute = routeDailyStats.packetCount === 0n;
+
+  const updatedRouteDaily: OAppRouteDailyStats = {
+    ...routeDailyStats,
+    packetCount: routeDailyStats.packetCount + 1n,
+    firstBlock: blockNumber < routeDailyStats.firstBlock ? blockNumber : routeDailyStats.firstBlock,
+    lastBlock: blockNumber > routeDailyStats.lastBlock ? blockNumber : routeDailyStats.lastBlock,
+    lastTimestamp: blockTimestamp,
+    distinctSenders: routeDailyStats.distinctSenders + (isNewSender ? 1 : 0),
+  };
+  context.OAppRouteDailyStats.set(updatedRouteDaily);
+
+  const updatedDaily: OAppDailyStats = {
+    ...dailyStats,
+    packetCount: dailyStats.packetCount + 1n,
+    firstBlock: blockNumber < dailyStats.firstBlock ? blockNumber : dailyStats.firstBlock,
+    lastBlock: blockNumber > dailyStats.lastBlock ? blockNumber : dailyStats.lastBlock,
+    lastTimestamp: blockTimestamp,
+    distinctSenders: dailyStats.distinctSenders + (isNewSender ? 1 : 0),
+    distinctSrcEids: dailyStats.distinctSrcEids + (isNewRoute ? 1 : 0),
+  };
+  context.OAppDailyStats.set(updatedDaily);
+};
+
+/**
+ * Credits every DVN in the effective receive config at delivery time with one
+ * secured packet, on both the Dvn total and the route's DvnRouteUsage row.
+ */
+const recordDvnPacketsSecured = async (
+  context: handlerContext,
+  localEid: bigint,
+  securityConfig: OAppSecurityConfig,
+  blockNumber: bigint,
+  blockTimestamp: bigint,
+) => {
+  for (const dvn of collectDvnRoles(securityConfig).keys()) {
+    const [dvnEntity, usage] = await Promise.all([
+      context.Dvn.get(makeDvnId(localEid, dvn)),
+      context.DvnRouteUsage.get(`${securityConfig.id}_${dvn}`),
+    ]);
+    if (dvnEntity) {
+      context.Dvn.set({
+        ...dvnEntity,
+        packetsSecured: dvnEntity.packetsSecured + 1n,
+        lastPacketBlock: blockNumber,
+        lastPacketTimestamp: blockTimestamp,
+      });
+    }
+    if (usage) {
+      context.DvnRouteUsage.set({
+        ...usage,
+        packetsSecured: usage.packetsSecured + 1n,
+        lastPacketBlock: blockNumber,
+      });
+    }
+  }
+};
+
+/**
+ * Attributes the DVN verifications of a delivered packet to its route.
+ * A DVN may verify the same packet more than once; its latest verification counts.
+ */
+const recordPacketVerifications = async (
+  context: handlerContext,
+  packetKey: string,
+  packetId: string,
+  routeId: string,
+  oappId: string,
+  localEid: bigint,
+  srcEid: bigint,
+  securityConfig: OAppSecurityConfig,
+) => {
+  const verifications = await context.PacketVerification.getWhere.packetKey.eq(packetKey);
+  const latestByDvn = new Map<string, PacketVerification>();
+  for (const verification of verifications ?? []) {
+    const previous = latestByDvn.get(verification.dvn);
+    if (!previous || verification.blockNumber >= previous.blockNumber) {
+      latestByDvn.set(verification.dvn, verification);
+    }
+  }
+
+  const requiredDVNs = new Set(securityConfig.effectiveRequiredDVNs);
+  const optionalDVNs = new Set(securityConfig.effectiveOptionalDVNs);
+  const verifiedDVNs: string[] = [];
+  const verifiedOptionalDVNs: string[] = [];
+  let minVerifiedConfirmations: bigint | undefined;
+
+  for (const [dvn, verification] of latestByDvn) {
+    const role = requiredDVNs.has(dvn)
+      ? "required"
+      : optionalDVNs.has(dvn)
+        ? "optional"
+        : "unlisted";
+    verifiedDVNs.push(dvn);
+    if (role === "optional") {
+      verifiedOptionalDVNs.push(dvn);
+    }
+    if (
+      minVerifiedConfirmations === undefined ||
+      verification.confirmations < minVerifiedConfirmations
+    ) {
+      minVerifiedConfirmations = verification.confirmations;
+    }
+
+    const statsDefaults: OAppRouteDvnStats = {
+      id: `${routeId}_${dvn}`,
+      oappId,
+      localEid,
+      srcEid,
+      dvn,
+      role,
+      packetsVerified: 0n,
+      requiredVerifications: 0n,
+      optionalVerifications: 0n,
+      totalConfirmations: 0n,
+      minConfirmations: undefined,
+      maxConfirmations: undefined,
+      lastVerifiedBlock: undefined,
+      lastVerifiedTimestamp: undefined,
+      lastPacketId: undefined,
+    };
+    const stats = await context.OAppRouteDvnStats.getOrCreate(statsDefaults);
+    const confirmations = verification.confirmations;
+    context.OAppRouteDvnStats.set({
+      ...stats,
+      role,
+      packetsVerified: stats.packetsVerified + 1n,
+      requiredVerifications: stats.requiredVerifications + (role === "required" ? 1n : 0n),
+      optionalVerifications: stats.optionalVerifications + (role === "optional" ? 1n : 0n),
+      totalConfirmations: stats.totalConfirmations + confirmations,
+      minConfirmations:
+        stats.minConfirmations === undefined || confirmations < stats.minConfirmations
+          ? confirmations
+          : stats.minConfirmations,
+      maxConfirmations:
+        stats.maxConfirmations === undefined || confirmations > stats.maxConfirmations
+          ? confirmations
+          : stats.maxConfirmations,
+      lastVerifiedBlock: verification.blockNumber,
+      lastVerifiedTimestamp: verification.blockTimestamp,
+      lastPacketId: packetId,
+    });
+  }
+
+  return {
+    verifiedDVNs: verifiedDVNs.sort(),
+    verifiedOptionalDVNs: verifiedOptionalDVNs.sort(),
+    verifiedOptionalDVNCount: verifiedOptionalDVNs.length,
+    minVerifiedConfirmations,
+  };
+};
+
+EndpointV2.PacketDelivered.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  const localEid = resolveLocalEid(event.chainId);
+
+  try {
+    const [srcEid, sender, nonce] = event.params.origin;
+    const blockNumber = toBigInt(event.block.number);
+    const blockTimestamp = toBigInt(event.block.timestamp);
+    const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+    const transactionHash = event.transaction.hash;
+    const receiver = normalizeOAppAddress(event.params.receiver);
+    if (!receiver) {
+      context.log.error("PacketDelivered missing receiver", {
+        localEid: localEid.toString(),
+        blockNumber: event.block.number,
+        logIndex: event.logIndex,
+        rawValue: event.params.receiver,
+        eventId,
+        transactionHash,
+      });
+      return;
+    }
+    const normalizedSender = normalizeRemoteAddress(sender, srcEid);
+    if (!normalizedSender) {
+      context.log.error("PacketDelivered missing sender", {
+        localEid: localEid.toString(),
+        blockNumber: event.block.number,
+        logIndex: event.logIndex,
+        rawValue: sender,
+        eventId,
+        transactionHash,
+      });
+      return;
+    }
+    const senderOappId = makeOAppId(srcEid, normalizedSender);
+    const oappId = makeOAppId(localEid, receiver);
+
+    const oappDefaults: OAppStats = {
+      id: oappId,
       localEid,
       address: receiver,
       totalPacketsReceived: 0n,
       lastPacketBlock: undefined,
       lastPacketTimestamp: undefined,
     };
-    const oapp = await context.OAppStats.getOrCreate(oappDefaults);
+    const oapp = await ensureOAppStats(context, oappDefaults);
 
     const updatedOApp: OAppStats = {
       ...oapp,
@@ -1259,12 +2881,20 @@ EndpointV2.PacketDelivered.handler(async ({ event, context }) => {
       lastPacketBlock: undefined,
       lastPacketTimestamp: undefined,
       lastPacketSecurityConfigId: undefined,
+      skippedNonceCount: 0n,
+      nilifiedPacketCount: 0n,
+      burntPacketCount: 0n,
+      lastInterventionType: undefined,
+      lastInterventionBlock: undefined,
+      lastInterventionTimestamp: undefined,
     };
     const stats = await context.OAppRouteStats.getOrCreate(statsDefaults);
 
     // Check if peer is configured and track unconfigured deliveries
     const peerRouteId = makeRouteId(oappId, srcEid);
     const existingPeer = await context.OAppPeer.get(peerRouteId);
+    let anomalyType: PacketAnomalyType | undefined;
+    let expectedPeer: string | undefined;
 
     if (!existingPeer) {
       // No peer configured for this route - create OAppPeer + OAppPeerVersion to track it
@@ -1302,7 +2932,7 @@ EndpointV2.PacketDelivered.handler(async ({ event, context }) => {
     } else if (existingPeer.fromPacketDelivered === false) {
       // Peer was explicitly configured via PeerSet - verify sender matches
       const configuredPeerNormalized = existingPeer.peer
-        ? normalizeOAppAddress(existingPeer.peer)
+        ? normalizeRemoteAddress(existingPeer.peer, srcEid)
         : undefined;
 
       if (!configuredPeerNormalized) {
@@ -1330,6 +2960,8 @@ EndpointV2.PacketDelivered.handler(async ({ event, context }) => {
           eventId,
           transactionHash,
         });
+        anomalyType = "explicit-block-delivered";
+        expectedPeer = configuredPeerNormalized;
       } else if (configuredPeerNormalized !== normalizedSender) {
         // Configured non-zero peer doesn't match actual sender
         context.log.warn("PacketDelivered: sender does not match configured peer", {
@@ -1343,6 +2975,8 @@ EndpointV2.PacketDelivered.handler(async ({ event, context }) => {
           eventId,
           transactionHash,
         });
+        anomalyType = "sender-mismatch";
+        expectedPeer = configuredPeerNormalized;
       }
       // If sender matches configured peer, all is good - no log, no action
     }
@@ -1369,6 +3003,31 @@ EndpointV2.PacketDelivered.handler(async ({ event, context }) => {
     };
     context.OAppRouteStats.set(updatedStats);
 
+    await updateDailyPacketStats(context, {
+      oappId,
+      routeId: statsId,
+      localEid,
+      oapp: receiver,
+      srcEid,
+      senderOappId,
+      blockNumber,
+      blockTimestamp,
+    });
+
+    await recordDvnPacketsSecured(context, localEid, securityConfig, blockNumber, blockTimestamp);
+
+    const packetKey = makePacketKey(localEid, receiver, srcEid, normalizedSender, nonce);
+    const verificationSummary = await recordPacketVerifications(
+      context,
+      packetKey,
+      eventId,
+      statsId,
+      oappId,
+      localEid,
+      srcEid,
+      securityConfig,
+    );
+
     const packetEntity: PacketDeliveredEntity = {
       id: eventId,
       localEid,
@@ -1394,14 +3053,44 @@ EndpointV2.PacketDelivered.handler(async ({ event, context }) => {
       usesDefaultLibrary: securityConfig.usesDefaultLibrary,
       usesDefaultConfig: securityConfig.usesDefaultConfig,
       usesRequiredDVNSentinel: securityConfig.usesRequiredDVNSentinel,
+      usesOptionalDVNSentinel: securityConfig.usesOptionalDVNSentinel,
+      usesConfirmationsSentinel: securityConfig.usesConfirmationsSentinel,
       fallbackFields: securityConfig.fallbackFields,
       defaultLibraryVersionId: securityConfig.defaultLibraryVersionId,
       defaultConfigVersionId: securityConfig.defaultConfigVersionId,
       libraryOverrideVersionId: securityConfig.libraryOverrideVersionId,
       configOverrideVersionId: securityConfig.configOverrideVersionId,
+      packetKey,
+      ...verificationSummary,
     };
 
     context.PacketDelivered.set(packetEntity);
+
+    if (anomalyType) {
+      const anomaly: PacketAnomaly = {
+        id: eventId,
+        anomalyType,
+        localEid,
+        srcEid,
+        oappId,
+        receiver,
+        packetId: packetEntity.id,
+        nonce,
+        expectedPeer,
+        actualSender: normalizedSender,
+        senderOappId,
+        peerVersionId: existingPeer?.lastUpdatedByEventId,
+        securityConfigId: securityConfig.id,
+        defaultLibraryVersionId: securityConfig.defaultLibraryVersionId,
+        defaultConfigVersionId: securityConfig.defaultConfigVersionId,
+        libraryOverrideVersionId: securityConfig.libraryOverrideVersionId,
+        configOverrideVersionId: securityConfig.configOverrideVersionId,
+        blockNumber,
+        blockTimestamp,
+        transactionHash,
+      };
+      context.PacketAnomaly.set(anomaly);
+    }
   } catch (error) {
     context.log.error(
       "Failed to process PacketDelivered event",
@@ -1414,8 +3103,164 @@ EndpointV2.PacketDelivered.handler(async ({ event, context }) => {
       localEid: localEid.toString(),
       origin: event.params.origin,
     });
-    throw error;
+    throw error;
+  }
+});
+
+type NonceInterventionArgs = {
+  interventionType: NonceInterventionType;
+  chainId: number;
+  blockNumber: number;
+  blockTimestamp: number;
+  logIndex: number;
+  transactionHash: string;
+  transactionFrom: string | undefined;
+  srcEid: bigint;
+  sender: string;
+  receiver: string;
+  nonce: bigint;
+  payloadHash?: string;
+};
+
+const recordNonceIntervention = async (
+  context: handlerContext,
+  args: NonceInterventionArgs,
+): Promise<void> => {
+  const localEid = resolveLocalEid(args.chainId);
+  const blockNumber = toBigInt(args.blockNumber);
+  const blockTimestamp = toBigInt(args.blockTimestamp);
+  const eventId = makeEventId(localEid, args.blockNumber, args.logIndex);
+  const { interventionType, transactionHash, srcEid, nonce } = args;
+  const receiver = normalizeOAppAddress(args.receiver);
+  const sender = normalizeRemoteAddress(args.sender, srcEid);
+  if (!receiver || !sender) {
+    context.log.warn("Nonce intervention missing receiver or sender", {
+      localEid: localEid.toString(),
+      interventionType,
+      receiver: args.receiver,
+      sender: args.sender,
+      eventId,
+      transactionHash,
+    });
+    return;
   }
+  const oappId = makeOAppId(localEid, receiver);
+  const routeId = makeRouteId(oappId, srcEid);
+
+  const oappDefaults: OAppStats = {
+    id: oappId,
+    localEid,
+    address: receiver,
+    totalPacketsReceived: 0n,
+    lastPacketBlock: undefined,
+    lastPacketTimestamp: undefined,
+  };
+  await ensureOAppStats(context, oappDefaults);
+
+  const statsDefaults: OAppRouteStats = {
+    id: routeId,
+    oappId,
+    localEid,
+    oapp: receiver,
+    srcEid,
+    packetCount: 0n,
+    lastPacketBlock: undefined,
+    lastPacketTimestamp: undefined,
+    lastPacketSecurityConfigId: undefined,
+    skippedNonceCount: 0n,
+    nilifiedPacketCount: 0n,
+    burntPacketCount: 0n,
+    lastInterventionType: undefined,
+    lastInterventionBlock: undefined,
+    lastInterventionTimestamp: undefined,
+  };
+  const stats = await context.OAppRouteStats.getOrCreate(statsDefaults);
+
+  const updatedStats: OAppRouteStats = {
+    ...stats,
+    skippedNonceCount: stats.skippedNonceCount + (interventionType === "skip" ? 1n : 0n),
+    nilifiedPacketCount: stats.nilifiedPacketCount + (interventionType === "nilify" ? 1n : 0n),
+    burntPacketCount: stats.burntPacketCount + (interventionType === "burn" ? 1n : 0n),
+    lastInterventionType: interventionType,
+    lastInterventionBlock: blockNumber,
+    lastInterventionTimestamp: blockTimestamp,
+  };
+  context.OAppRouteStats.set(updatedStats);
+
+  const intervention: NonceIntervention = {
+    id: eventId,
+    interventionType,
+    routeId,
+    oappId,
+    localEid,
+    receiver,
+    srcEid,
+    sender,
+    senderOappId: makeOAppId(srcEid, sender),
+    nonce,
+    payloadHash: args.payloadHash?.toLowerCase(),
+    caller: normalizeAddress(args.transactionFrom),
+    blockNumber,
+    blockTimestamp,
+    transactionHash,
+  };
+  context.NonceIntervention.set(intervention);
+};
+
+EndpointV2.InboundNonceSkipped.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  await recordNonceIntervention(context, {
+    interventionType: "skip",
+    chainId: event.chainId,
+    blockNumber: event.block.number,
+    blockTimestamp: event.block.timestamp,
+    logIndex: event.logIndex,
+    transactionHash: event.transaction.hash,
+    transactionFrom: event.transaction.from,
+    srcEid: event.params.srcEid,
+    sender: event.params.sender,
+    receiver: event.params.receiver,
+    nonce: event.params.nonce,
+  });
+});
+
+EndpointV2.PacketNilified.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  await recordNonceIntervention(context, {
+    interventionType: "nilify",
+    chainId: event.chainId,
+    blockNumber: event.block.number,
+    blockTimestamp: event.block.timestamp,
+    logIndex: event.logIndex,
+    transactionHash: event.transaction.hash,
+    transactionFrom: event.transaction.from,
+    srcEid: event.params.srcEid,
+    sender: event.params.sender,
+    receiver: event.params.receiver,
+    nonce: event.params.nonce,
+    payloadHash: event.params.payloadHash,
+  });
+});
+
+EndpointV2.PacketBurnt.handler(async ({ event, context }) => {
+  if (context.isPreload) return;
+
+  await recordNonceIntervention(context, {
+    interventionType: "burn",
+    chainId: event.chainId,
+    blockNumber: event.block.number,
+    blockTimestamp: event.block.timestamp,
+    logIndex: event.logIndex,
+    transactionHash: event.transaction.hash,
+    transactionFrom: event.transaction.from,
+    srcEid: event.params.srcEid,
+    sender: event.params.sender,
+    receiver: event.params.receiver,
+    nonce: event.params.nonce,
+    payloadHash: event.params.payloadHash,
+  });
 });
 
 OAppOFT.PeerSet.handler(
@@ -1441,7 +3286,7 @@ OAppOFT.PeerSet.handler(
     const eid = event.params.eid;
     const configId = makeRouteId(oappId, eid);
     const peerValue = event.params.peer;
-    const normalizedPeer = normalizeOAppAddress(peerValue);
+    const normalizedPeer = normalizeRemoteAddress(peerValue, eid);
     const peerOappId = normalizedPeer ? makeOAppId(eid, normalizedPeer) : undefined;
 
     const oappDefaults: OAppStats = {
@@ -1452,7 +3297,7 @@ OAppOFT.PeerSet.handler(
       lastPacketBlock: undefined,
       lastPacketTimestamp: undefined,
     };
-    await context.OAppStats.getOrCreate(oappDefaults);
+    await ensureOAppStats(context, oappDefaults);
 
     const peerEntity: OAppPeer = {
       id: configId,
@@ -1508,6 +3353,24 @@ OAppOFT.PeerSet.handler(
       peerTransactionHash: transactionHash,
     };
     context.OAppSecurityConfig.set(updatedSecurityConfig);
+
+    // PeerSet governs both directions of the route
+    const sendSecurityConfig = await computeAndPersistEffectiveSendConfig({
+      context,
+      localEid,
+      oappId,
+      oappAddress,
+      eid,
+      blockNumber,
+      blockTimestamp,
+      eventId,
+      transactionHash,
+    });
+    context.OAppSendSecurityConfig.set({
+      ...sendSecurityConfig,
+      peer: peerValue,
+      peerOappId,
+    });
   },
   { wildcard: true },
 );
@@ -1542,7 +3405,7 @@ OAppOFT.RateLimiterSet.handler(
       lastPacketBlock: undefined,
       lastPacketTimestamp: undefined,
     };
-    await context.OAppStats.getOrCreate(oappDefaults);
+    await ensureOAppStats(context, oappDefaults);
 
     const rateLimiterEntity: OAppRateLimiter = {
       id: oappId,
@@ -1573,6 +3436,124 @@ OAppOFT.RateLimiterSet.handler(
   { wildcard: true },
 );
 
+type RateLimitFlowArgs = {
+  localEid: bigint;
+  oappId: string;
+  oapp: string;
+  dstEid: bigint;
+  outflow: bigint;
+  inflow: bigint;
+  blockNumber: bigint;
+  blockTimestamp: bigint;
+  // Set by RateLimitsChanged; the old limit decays up to this point before the new one applies
+  nextLimit?: { limit: bigint; window: bigint };
+};
+
+// RateLimiter decay: the in-flight amount drains linearly at `limit` per `window`
+const decayAmountInFlight = (usage: OAppRateLimitUsage, timestamp: bigint): bigint => {
+  const elapsed = timestamp - usage.lastFlowTimestamp;
+  if (usage.window === 0n || elapsed >= usage.window) {
+    return 0n;
+  }
+  const decay = (usage.limit * elapsed) / usage.window;
+  return usage.amountInFlight > decay ? usage.amountInFlight - decay : 0n;
+};
+
+const computeUtilizationBps = (amountInFlight: bigint, limit: bigint): number => {
+  if (amountInFlight <= 0n) {
+    return 0;
+  }
+  if (limit <= 0n) {
+    return Number(MAX_UTILIZATION_BPS);
+  }
+  const bps = (amountInFlight * MAX_UTILIZATION_BPS) / limit;
+  return Number(bps > MAX_UTILIZATION_BPS ? MAX_UTILIZATION_BPS : bps);
+};
+
+/**
+ * Replays the OFT RateLimiter accounting for one route from indexed events: outflows (OFTSent)
+ * add to the in-flight amount, inflows (OFTReceived) release it, and the remainder decays over
+ * the window. Routes without an OAppRateLimit are not tracked.
+ */
+const recordRateLimitFlow = async (context: handlerContext, args: RateLimitFlowArgs) => {
+  const { localEid, oappId, oapp, dstEid, outflow, inflow, blockNumber, blockTimestamp } = args;
+  const routeId = makeRouteId(oappId, dstEid);
+
+  let usage = await context.OAppRateLimitUsage.get(routeId);
+  if (!usage) {
+    const configured = args.nextLimit ?? (await context.OAppRateLimit.get(routeId));
+    if (!configured) {
+      return;
+    }
+    usage = {
+      id: routeId,
+      oappId,
+      localEid,
+      oapp,
+      dstEid,
+      limit: configured.limit,
+      window: configured.window,
+      amountInFlight: 0n,
+      totalOutflow: 0n,
+      totalInflow: 0n,
+      utilizationBps: 0,
+      peakUtilizationBps: 0,
+      lastFlowBlock: blockNumber,
+      lastFlowTimestamp: blockTimestamp,
+    };
+  }
+
+  const decayed = decayAmountInFlight(usage, blockTimestamp);
+  const amountInFlight = (decayed > inflow ? decayed - inflow : 0n) + outflow;
+  const limit = args.nextLimit?.limit ?? usage.limit;
+  const utilizationBps = computeUtilizationBps(amountInFlight, limit);
+
+  context.OAppRateLimitUsage.set({
+    ...usage,
+    limit,
+    window: args.nextLimit?.window ?? usage.window,
+    amountInFlight,
+    totalOutflow: usage.totalOutflow + outflow,
+    totalInflow: usage.totalInflow + inflow,
+    utilizationBps,
+    peakUtilizationBps: Math.max(usage.peakUtilizationBps, utilizationBps),
+    lastFlowBlock: blockNumber,
+    lastFlowTimestamp: blockTimestamp,
+  });
+
+  if (outflow === 0n && inflow === 0n) {
+    return;
+  }
+
+  const day = blockTimestamp - (blockTimestamp % SECONDS_PER_DAY);
+  const daily = await context.OAppRateLimitDailyUsage.getOrCreate({
+    id: `${routeId}_${day.toString()}`,
+    oappId,
+    localEid,
+    oapp,
+    dstEid,
+    day,
+    limit,
+    window: usage.window,
+    outflowAmount: 0n,
+    inflowAmount: 0n,
+    peakAmountInFlight: 0n,
+    peakUtilizationBps: 0,
+    lastFlowTimestamp: blockTimestamp,
+  });
+  context.OAppRateLimitDailyUsage.set({
+    ...daily,
+    limit,
+    window: usage.window,
+    outflowAmount: daily.outflowAmount + outflow,
+    inflowAmount: daily.inflowAmount + inflow,
+    peakAmountInFlight:
+      amountInFlight > daily.peakAmountInFlight ? amountInFlight : daily.peakAmountInFlight,
+    peakUtilizationBps: Math.max(daily.peakUtilizationBps, utilizationBps),
+    lastFlowTimestamp: blockTimestamp,
+  });
+};
+
 OAppOFT.RateLimitsChanged.handler(
   async ({ event, context }) => {
     if (context.isPreload) return;
@@ -1602,7 +3583,7 @@ OAppOFT.RateLimitsChanged.handler(
       lastPacketBlock: undefined,
       lastPacketTimestamp: undefined,
     };
-    await context.OAppStats.getOrCreate(oappDefaults);
+    await ensureOAppStats(context, oappDefaults);
 
     for (const [rawDstEid, rawLimit, rawWindow] of event.params.rateLimitConfigs) {
       const dstEid = BigInt(rawDstEid);
@@ -1640,7 +3621,305 @@ OAppOFT.RateLimitsChanged.handler(
         eventId,
       };
       context.OAppRateLimitVersion.set(rateLimitVersion);
+
+      await recordRateLimitFlow(context, {
+        localEid,
+        oappId,
+        oapp: oappAddress,
+        dstEid,
+        outflow: 0n,
+        inflow: 0n,
+        blockNumber,
+        blockTimestamp,
+        nextLimit: { limit, window },
+      });
+    }
+  },
+  { wildcard: true },
+);
+
+OAppOFT.EnforcedOptionSet.handler(
+  async ({ event, context }) => {
+    if (context.isPreload) return;
+
+    const localEid = resolveLocalEid(event.chainId);
+    const blockNumber = toBigInt(event.block.number);
+    const blockTimestamp = toBigInt(event.block.timestamp);
+    const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+    const transactionHash = event.transaction.hash;
+    const oappAddress = normalizeOAppAddress(event.srcAddress);
+    if (!oappAddress) {
+      context.log.warn("EnforcedOptionSet missing srcAddress", {
+        localEid: localEid.toString(),
+        rawValue: event.srcAddress,
+        eventId,
+        transactionHash,
+      });
+      return;
+    }
+    const oappId = makeOAppId(localEid, oappAddress);
+
+    const oappDefaults: OAppStats = {
+      id: oappId,
+      localEid,
+      address: oappAddress,
+      totalPacketsReceived: 0n,
+      lastPacketBlock: undefined,
+      lastPacketTimestamp: undefined,
+    };
+    await ensureOAppStats(context, oappDefaults);
+
+    for (const [rawEid, rawMsgType, rawOptions] of event.params._enforcedOptions) {
+      const eid = BigInt(rawEid);
+      const msgType = Number(rawMsgType);
+      const options = rawOptions.toLowerCase();
+      const routeId = makeRouteId(oappId, eid);
+      const optionId = `${routeId}_${msgType}`;
+      const versionId = `${eventId}_${eid.toString()}_${msgType}`;
+      const parsed = parseEnforcedOptions(options);
+      if (parsed.parseError) {
+        context.log.warn("EnforcedOptionSet options could not be decoded", {
+          localEid: localEid.toString(),
+          oappId,
+          eid: eid.toString(),
+          msgType,
+          parseError: parsed.parseError,
+          eventId,
+          transactionHash,
+        });
+      }
+
+      const optionEntity: OAppEnforcedOption = {
+        id: optionId,
+        oappId,
+        localEid,
+        oapp: oappAddress,
+        eid,
+        msgType,
+        options,
+        ...parsed,
+        transactionHash,
+        lastUpdatedBlock: blockNumber,
+        lastUpdatedTimestamp: blockTimestamp,
+        lastUpdatedByEventId: eventId,
+      };
+      context.OAppEnforcedOption.set(optionEntity);
+
+      const optionVersion: OAppEnforcedOptionVersion = {
+        id: versionId,
+        oappId,
+        localEid,
+        oapp: oappAddress,
+        eid,
+        msgType,
+        options,
+        ...parsed,
+        transactionHash,
+        blockNumber,
+        blockTimestamp,
+        eventId,
+      };
+      context.OAppEnforcedOptionVersion.set(optionVersion);
+    }
+  },
+  { wildcard: true },
+);
+
+type OftTransferArgs = {
+  direction: "sent" | "received";
+  chainId: number;
+  srcAddress: string;
+  eid: bigint;
+  amountSentLD: bigint;
+  amountReceivedLD: bigint;
+  blockNumber: number;
+  blockTimestamp: number;
+  logIndex: number;
+  transactionHash: string;
+};
+
+/**
+ * Adds one OFT transfer to the all-time and UTC-day volume of the route (oappId, eid),
+ * keyed like OAppRouteStats. Amounts stay in the token's local decimals.
+ */
+const recordOftTransfer = async (context: handlerContext, args: OftTransferArgs) => {
+  const localEid = resolveLocalEid(args.chainId);
+  const blockNumber = toBigInt(args.blockNumber);
+  const blockTimestamp = toBigInt(args.blockTimestamp);
+  const oappAddress = normalizeOAppAddress(args.srcAddress);
+  if (!oappAddress) {
+    context.log.warn(`OFT${args.direction === "sent" ? "Sent" : "Received"} missing srcAddress`, {
+      localEid: localEid.toString(),
+      rawValue: args.srcAddress,
+      eventId: makeEventId(localEid, args.blockNumber, args.logIndex),
+      transactionHash: args.transactionHash,
+    });
+    return;
+  }
+  const oappId = makeOAppId(localEid, oappAddress);
+  const routeId = makeRouteId(oappId, args.eid);
+  const day = blockTimestamp - (blockTimestamp % SECONDS_PER_DAY);
+  const isSent = args.direction === "sent";
+
+  const oappDefaults: OAppStats = {
+    id: oappId,
+    localEid,
+    address: oappAddress,
+    totalPacketsReceived: 0n,
+    lastPacketBlock: undefined,
+    lastPacketTimestamp: undefined,
+  };
+  await ensureOAppStats(context, oappDefaults);
+
+  const emptyVolume = {
+    oappId,
+    localEid,
+    oapp: oappAddress,
+    eid: args.eid,
+    sentAmount: 0n,
+    sentReceivedAmount: 0n,
+    sentCount: 0n,
+    receivedAmount: 0n,
+    receivedCount: 0n,
+    lastTransferBlock: blockNumber,
+    lastTransferTimestamp: blockTimestamp,
+  };
+  const [volume, dailyVolume] = await Promise.all([
+    context.OAppRouteVolume.getOrCreate({ id: routeId, ...emptyVolume }),
+    context.OAppRouteDailyVolume.getOrCreate({
+      id: `${routeId}_${day.toString()}`,
+      day,
+      ...emptyVolume,
+    }),
+  ]);
+
+  const applyTransfer = (current: OAppRouteVolume | OAppRouteDailyVolume) => ({
+    sentAmount: current.sentAmount + (isSent ? args.amountSentLD : 0n),
+    sentReceivedAmount: current.sentReceivedAmount + (isSent ? args.amountReceivedLD : 0n),
+    sentCount: current.sentCount + (isSent ? 1n : 0n),
+    receivedAmount: current.receivedAmount + (isSent ? 0n : args.amountReceivedLD),
+    receivedCount: current.receivedCount + (isSent ? 0n : 1n),
+    lastTransferBlock: blockNumber,
+    lastTransferTimestamp: blockTimestamp,
+  });
+  context.OAppRouteVolume.set({ ...volume, ...applyTransfer(volume) });
+  context.OAppRouteDailyVolume.set({ ...dailyVolume, ...applyTransfer(dailyVolume) });
+
+  if (isSent) {
+    await ensureEffectiveSendConfig({
+      context,
+      localEid,
+      oappId,
+      oappAddress,
+      eid: args.eid,
+      blockNumber,
+      blockTimestamp,
+      eventId: makeEventId(localEid, args.blockNumber, args.logIndex),
+      transactionHash: args.transactionHash,
+    });
+  }
+
+  await recordRateLimitFlow(context, {
+    localEid,
+    oappId,
+    oapp: oappAddress,
+    dstEid: args.eid,
+    outflow: isSent ? args.amountSentLD : 0n,
+    inflow: isSent ? 0n : args.amountReceivedLD,
+    blockNumber,
+    blockTimestamp,
+  });
+};
+
+OAppOFT.OFTSent.handler(
+  async ({ event, context }) => {
+    if (context.isPreload) return;
+
+    await recordOftTransfer(context, {
+      direction: "sent",
+      chainId: event.chainId,
+      srcAddress: event.srcAddress,
+      eid: event.params.dstEid,
+      amountSentLD: event.params.amountSentLD,
+      amountReceivedLD: event.params.amountReceivedLD,
+      blockNumber: event.block.number,
+      blockTimestamp: event.block.timestamp,
+      logIndex: event.logIndex,
+      transactionHash: event.transaction.hash,
+    });
+  },
+  { wildcard: true },
+);
+
+OAppOFT.OFTReceived.handler(
+  async ({ event, context }) => {
+    if (context.isPreload) return;
+
+    await recordOftTransfer(context, {
+      direction: "received",
+      chainId: event.chainId,
+      srcAddress: event.srcAddress,
+      eid: event.params.srcEid,
+      amountSentLD: 0n,
+      amountReceivedLD: event.params.amountReceivedLD,
+      blockNumber: event.block.number,
+      blockTimestamp: event.block.timestamp,
+      logIndex: event.logIndex,
+      transactionHash: event.transaction.hash,
+    });
+  },
+  { wildcard: true },
+);
+
+// Ownable is shared by far more than OApps. Transfers on contracts not yet known as OApps
+// are held as PendingOAppOwner (latest only) until OAppStats is first created.
+OAppOFT.OwnershipTransferred.handler(
+  async ({ event, context }) => {
+    if (context.isPreload) return;
+
+    const localEid = resolveLocalEid(event.chainId);
+    const blockNumber = toBigInt(event.block.number);
+    const blockTimestamp = toBigInt(event.block.timestamp);
+    const eventId = makeEventId(localEid, event.block.number, event.logIndex);
+    const transactionHash = event.transaction.hash;
+    const oappAddress = normalizeOAppAddress(event.srcAddress);
+    if (!oappAddress) {
+      context.log.warn("OwnershipTransferred missing srcAddress", {
+        localEid: localEid.toString(),
+        rawValue: event.srcAddress,
+        eventId,
+        transactionHash,
+      });
+      return;
+    }
+    const oappId = makeOAppId(localEid, oappAddress);
+    const owner = normalizeAddress(event.params.newOwner) ?? ZERO_ADDRESS;
+    const previousOwner = normalizeAddress(event.params.previousOwner) ?? ZERO_ADDRESS;
+    const [oapp, ownerKind] = await Promise.all([
+      context.OAppStats.get(oappId),
+      classifyAccount(context, localEid, owner, event.transaction.from),
+    ]);
+
+    const transfer: OAppOwnerVersion = {
+      id: eventId,
+      oappId,
+      localEid,
+      oapp: oappAddress,
+      owner,
+      previousOwner,
+      ownerKind,
+      transactionHash,
+      blockNumber,
+      blockTimestamp,
+      eventId,
+    };
+    if (oapp) {
+      persistOwnerTransfer(context, transfer);
+      return;
     }
+
+    const pendingOwner: PendingOAppOwner = { ...transfer, id: oappId };
+    context.PendingOAppOwner.set(pendingOwner);
   },
   { wildcard: true },
 );
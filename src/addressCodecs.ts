@@ -0,0 +1,59 @@
+export type AddressCodec = "evm" | "base58" | "hex32";
+
+// Remote endpoints whose OApps are not EVM contracts. Anything not listed is treated as EVM.
+const ADDRESS_CODEC_BY_EID: Record<string, AddressCodec> = {
+  "30168": "base58", // Solana
+  "30108": "hex32", // Aptos
+  "30325": "hex32", // Movement
+  "30326": "hex32", // Initia
+  "30343": "hex32", // TON
+  "30378": "hex32", // Sui
+};
+
+const HEX_PREFIX = "0x";
+const BYTES32_HEX_LENGTH = 64;
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+export const getAddressCodec = (eid: bigint | number | string): AddressCodec =>
+  ADDRESS_CODEC_BY_EID[eid.toString()] ?? "evm";
+
+export const encodeBase58 = (hex: string): string => {
+  let value = hex.length > 0 ? BigInt(`${HEX_PREFIX}${hex}`) : 0n;
+  let encoded = "";
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  // Each leading zero byte is a leading "1", as in Solana public keys
+  for (let i = 0; i + 1 < hex.length && hex.slice(i, i + 2) === "00"; i += 2) {
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+};
+
+/**
+ * Encodes a bytes32 remote address in the native format of the chain behind `eid`.
+ * Returns undefined for non-hex input, zero values and EVM endpoints so callers keep
+ * their EVM normalization.
+ */
+export const encodeRemoteAddress = (
+  eid: bigint | number | string,
+  value: string,
+): string | undefined => {
+  const codec = getAddressCodec(eid);
+  if (codec === "evm") {
+    return undefined;
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.slice(0, HEX_PREFIX.length).toLowerCase() !== HEX_PREFIX) {
+    return undefined;
+  }
+  const hex = trimmed.slice(HEX_PREFIX.length).toLowerCase();
+  if (!/^[0-9a-f]+$/.test(hex) || hex.length > BYTES32_HEX_LENGTH || /^0+$/.test(hex)) {
+    return undefined;
+  }
+
+  const padded = hex.padStart(BYTES32_HEX_LENGTH, "0");
+  return codec === "base58" ? encodeBase58(padded) : `${HEX_PREFIX}${padded}`;
+};
@@ -0,0 +1,7 @@
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+export const normalizeAddress = (value: string | undefined | null): string | undefined =>
+  value ? value.toLowerCase() : undefined;
+
+export const isZeroAddress = (value: string | undefined | null): boolean =>
+  value !== undefined && value !== null && value.toLowerCase() === ZERO_ADDRESS;
@@ -1,129 +1,366 @@
+export type ReceiveLibraryContract = "ReceiveUln302" | "ReceiveUln301";
+
+export type TrackedReceiveLibrary = {
+  contract: ReceiveLibraryContract;
+  version: number;
+  address: string;
+};
+
 export type LocalChainConfig = {
   chainId: number;
   localEid: bigint;
   endpointV2: string;
-  receiveUln302?: string;
+  receiveLibraries: TrackedReceiveLibrary[];
+  sendUln302?: string;
 };
 
+// BEGIN GENERATED CHAINS (scripts/generateChainArtifacts.js, edit chains.json)
 const LOCAL_CHAIN_CONFIGS: LocalChainConfig[] = [
   {
     chainId: 1,
     localEid: 30101n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0xc02ab410f0734efa3f14628780e6e695156024c2",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0xc02ab410f0734efa3f14628780e6e695156024c2",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x245b6e8ffe9ea5fc301e32d16f66bd4c2123eefc",
+      },
+    ],
+    sendUln302: "0xbb2ea70c9e858123480642cf96acbcce1372dce1",
   },
   {
     chainId: 10,
     localEid: 30111n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0x3c4962ff6258dcfcafd23a814237b7d6eb712063",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x3c4962ff6258dcfcafd23a814237b7d6eb712063",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x6c9ae31dfb56699d6bd553146f653dcec3b174fe",
+      },
+    ],
+    sendUln302: "0x1322871e4ab09bc7f5717189434f97bbd9546e95",
   },
   {
     chainId: 56,
     localEid: 30102n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0xb217266c3a98c8b2709ee26836c98cf12f6ccec1",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0xb217266c3a98c8b2709ee26836c98cf12f6ccec1",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0xff3da3a1cd39bbaeb8d7cb2deb83efc065cbb38f",
+      },
+    ],
+    sendUln302: "0x9f8c645f2d0b2159767bd6e0839de4be49e823de",
   },
   {
     chainId: 130,
     localEid: 30320n,
     endpointV2: "0x6f475642a6e85809b1c36fa62763669b1b48dd5b",
-    receiveUln302: "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x15e51701f245f6d5bd0fee87bcaf55b0841451b3",
+      },
+    ],
+    sendUln302: "0xc39161c743d0307eb9bcc9fef03eeb9dc4802de7",
   },
   {
     chainId: 137,
     localEid: 30109n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0x1322871e4ab09bc7f5717189434f97bbd9546e95",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x1322871e4ab09bc7f5717189434f97bbd9546e95",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x3823094993190fbb3bfabfec8365b8c18517566f",
+      },
+    ],
+    sendUln302: "0x6c26c61a97006888ea9e4fa36584c7df57cd9da3",
   },
   {
     chainId: 324,
     localEid: 30165n,
     endpointV2: "0xd07c30af3ff30d96bdc9c6044958230eb797ddbf",
-    receiveUln302: "0x04830f6decf08dec9ed6c3fcad215245b78a59e1",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x04830f6decf08dec9ed6c3fcad215245b78a59e1",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0xf7709ee21566034c06e9308850b58a3ed4b752e0",
+      },
+    ],
+    sendUln302: "0x07fd0e370b49919ca8da0ce842b8177263c0e12c",
   },
   {
     chainId: 480,
     localEid: 30319n,
     endpointV2: "0x6f475642a6e85809b1c36fa62763669b1b48dd5b",
-    receiveUln302: "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x15e51701f245f6d5bd0fee87bcaf55b0841451b3",
+      },
+    ],
+    sendUln302: "0xc39161c743d0307eb9bcc9fef03eeb9dc4802de7",
   },
   {
     chainId: 999,
     localEid: 30367n,
     endpointV2: "0x3a73033c0b1407574c76bdbac67f126f6b4a9aa9",
-    receiveUln302: "0x7cacbe439ead55fa1c22790330b12835c6884a91",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x7cacbe439ead55fa1c22790330b12835c6884a91",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x377530cda84dfb2673bf4d145dcf0c4d7fdcb5b6",
+      },
+    ],
+    sendUln302: "0xfd76d9cb0bac839725ab79127e7411fe71b1e3ca",
   },
   {
     chainId: 1135,
     localEid: 30321n,
     endpointV2: "0x6f475642a6e85809b1c36fa62763669b1b48dd5b",
-    receiveUln302: "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0xe1844c5d63a9543023008d332bd3d2e6f1fe1043",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x15e51701f245f6d5bd0fee87bcaf55b0841451b3",
+      },
+    ],
+    sendUln302: "0xc39161c743d0307eb9bcc9fef03eeb9dc4802de7",
   },
   {
     chainId: 1868,
     localEid: 30340n,
     endpointV2: "0x4bcb6a963a9563c33569d7a512d35754221f3a19",
-    receiveUln302: "0x364b548d8e6db7ca84aaafa54595919eccf961ea",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x364b548d8e6db7ca84aaafa54595919eccf961ea",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x46523e5fd61840d065fb8a0f5dffaf235f4475f6",
+      },
+    ],
+    sendUln302: "0x50351c9da75ccc6d8ea2464b26591bb4bd616dd5",
   },
   {
     chainId: 8453,
     localEid: 30184n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0xc70ab6f32772f59fbfc23889caf4ba3376c84baf",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0xc70ab6f32772f59fbfc23889caf4ba3376c84baf",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x58d53a2d6a08b72a15137f3381d21b90638bd753",
+      },
+    ],
+    sendUln302: "0xb5320b0b3a13cc860893e2bd79fcd7e13484dda2",
   },
   {
     chainId: 34443,
     localEid: 30260n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0xc1b621b18187f74c8f6d52a6f709dd2780c09821",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0xc1b621b18187f74c8f6d52a6f709dd2780c09821",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x7cacbe439ead55fa1c22790330b12835c6884a91",
+      },
+    ],
+    sendUln302: "0x2367325334447c5e1e0f1b3a6fb947b262f58312",
   },
   {
     chainId: 42161,
     localEid: 30110n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0x7b9e184e07a6ee1ac23eae0fe8d6be2f663f05e6",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x7b9e184e07a6ee1ac23eae0fe8d6be2f663f05e6",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0xe4dd168822767c4342e54e6241f0b91de0d3c241",
+      },
+    ],
+    sendUln302: "0x975bcd720be66659e3eb3c0e4f1866a3020e493a",
   },
   {
     chainId: 57073,
     localEid: 30339n,
     endpointV2: "0xca29f3a6f966cb2fc0de625f8f325c0c46dbe958",
-    receiveUln302: "0x473132bb594caef281c68718f4541f73fe14dc89",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x473132bb594caef281c68718f4541f73fe14dc89",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0xbb2753c1b940363d278c81d6402fa89e79ab4ebc",
+      },
+    ],
+    sendUln302: "0x76111de813f83aaadbd62773bf41247634e2319a",
   },
   {
     chainId: 59144,
     localEid: 30183n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0xe22ed54177ce1148c557de74e4873619e6c6b205",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0xe22ed54177ce1148c557de74e4873619e6c6b205",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x443caa8cd23d8cc1e04b3ce897822aea6ad3ebda",
+      },
+    ],
+    sendUln302: "0x32042142dd551b4ebe17b6fed53131dd4b4eea06",
   },
   {
     chainId: 81457,
     localEid: 30243n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0x377530cda84dfb2673bf4d145dcf0c4d7fdcb5b6",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x377530cda84dfb2673bf4d145dcf0c4d7fdcb5b6",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x282b3386571f7f794450d5789911a9804fa346b4",
+      },
+    ],
+    sendUln302: "0xc1b621b18187f74c8f6d52a6f709dd2780c09821",
   },
   {
     chainId: 534352,
     localEid: 30214n,
     endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
-    receiveUln302: "0x8363302080e711e0cab978c081b9e69308d49808",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x8363302080e711e0cab978c081b9e69308d49808",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0xe4b45f3744ef05668b22fcf05fb19ff4a75d3219",
+      },
+    ],
+    sendUln302: "0x9bbeb2b2184b9313cf5ed4a4ddfea2ef62a2a03b",
   },
   {
     chainId: 7777777,
     localEid: 30195n,
-    endpointV2: "0x1a44076050125825900e736c501f859c50fE728c",
-    receiveUln302: "0x57D9775eE8feC31F1B612a06266f599dA167d211",
+    endpointV2: "0x1a44076050125825900e736c501f859c50fe728c",
+    receiveLibraries: [
+      {
+        contract: "ReceiveUln302",
+        version: 302,
+        address: "0x57d9775ee8fec31f1b612a06266f599da167d211",
+      },
+      {
+        contract: "ReceiveUln301",
+        version: 301,
+        address: "0x5eb6b3db915d29fc624b8a0e42ac029e36a1d86b",
+      },
+    ],
+    sendUln302: "0xedf930cd8095548f97b21ec4e2de5455a7382f04",
   },
 ];
+// END GENERATED CHAINS
 
 const LOCAL_EID_BY_CHAIN_ID = new Map<number, bigint>(
   LOCAL_CHAIN_CONFIGS.map((config) => [config.chainId, config.localEid]),
 );
 
-const RECEIVE_LIBRARY_BY_LOCAL_EID = new Map<bigint, string>(
-  LOCAL_CHAIN_CONFIGS.filter((config) => config.receiveUln302).map((config) => [
+const RECEIVE_LIBRARIES_BY_LOCAL_EID = new Map<bigint, TrackedReceiveLibrary[]>(
+  LOCAL_CHAIN_CONFIGS.map((config) => [
+    config.localEid,
+    config.receiveLibraries.map((library) => ({
+      ...library,
+      address: library.address.toLowerCase(),
+    })),
+  ]),
+);
+
+const SEND_LIBRARY_BY_LOCAL_EID = new Map<bigint, string>(
+  LOCAL_CHAIN_CONFIGS.filter((config) => config.sendUln302).map((config) => [
     config.localEid,
-    config.receiveUln302!.toLowerCase(),
+    config.sendUln302!.toLowerCase(),
   ]),
 );
 
@@ -135,7 +372,16 @@ export const resolveLocalEid = (chainId: number): bigint => {
   return localEid;
 };
 
-export const getTrackedReceiveLibraryAddress = (localEid: bigint): string | undefined =>
-  RECEIVE_LIBRARY_BY_LOCAL_EID.get(localEid);
+export const getTrackedReceiveLibraries = (localEid: bigint): TrackedReceiveLibrary[] =>
+  RECEIVE_LIBRARIES_BY_LOCAL_EID.get(localEid) ?? [];
+
+export const findTrackedReceiveLibrary = (
+  localEid: bigint,
+  library: string,
+): TrackedReceiveLibrary | undefined =>
+  getTrackedReceiveLibraries(localEid).find((tracked) => tracked.address === library);
+
+export const getTrackedSendLibraryAddress = (localEid: bigint): string | undefined =>
+  SEND_LIBRARY_BY_LOCAL_EID.get(localEid);
 
 export const listLocalChainConfigs = (): LocalChainConfig[] => LOCAL_CHAIN_CONFIGS.slice();
@@ -0,0 +1,488 @@
+import { isZeroAddress, normalizeAddress } from "./addressUtils";
+import { findTrackedReceiveLibrary, getTrackedSendLibraryAddress } from "./localChainRegistry";
+
+/** The part of handlerContext merge warnings need; conformance tests pass undefined. */
+export type MergeLogContext = {
+  log: { warn: (message: string, params?: Record<string, unknown>) => void };
+};
+
+/**
+ * Sentinel Values in LayerZero UlnConfig
+ *
+ * These special values distinguish between "inherit from default" (0) and "explicitly set to zero" (sentinel).
+ *
+ * | Field              | Type   | Meaning of 0 (DEFAULT)          | Meaning of max_value (NIL)                    |
+ * |--------------------|--------|---------------------------------|-----------------------------------------------|
+ * | requiredDVNCount   | uint8  | Inherit the default setting     | 255: Override to zero required DVNs           |
+ * | optionalDVNCount   | uint8  | Inherit the default setting     | 255: Override to zero optional DVNs           |
+ * | confirmations      | uint64 | Inherit the default setting     | 2^64-1: Override to zero confirmations        |
+ *
+ * Example: If OApp sets requiredDVNCount = 255 with empty requiredDVNs array,
+ * the system will require zero DVNs from the required list (not inherit from defaults).
+ * If they had set it to 0, it would have inherited the default configuration.
+ */
+export const SENTINEL_REQUIRED_DVN_COUNT = 255;
+export const SENTINEL_OPTIONAL_DVN_COUNT = 255;
+export const SENTINEL_CONFIRMATIONS = 18446744073709551615n; // 2^64 - 1
+
+export const FALLBACK_FIELD_ORDER = [
+  "receiveLibrary",
+  "sendLibrary",
+  "confirmations",
+  "requiredDVNCount",
+  "requiredDVNs",
+  "optionalDVNCount",
+  "optionalDVNs",
+  "optionalDVNThreshold",
+  "executor",
+  "maxMessageSize",
+] as const;
+
+export type FallbackField = (typeof FALLBACK_FIELD_ORDER)[number];
+
+/** Receive routes are keyed by srcEid, send routes by dstEid; both live under `eid`. */
+export type LibraryDirection = "receive" | "send";
+
+export type NormalizedConfig = {
+  confirmations?: bigint;
+  requiredDVNCount?: number;
+  optionalDVNCount?: number;
+  optionalDVNThreshold?: number;
+  requiredDVNs: string[];
+  optionalDVNs: string[];
+  hasValues: boolean;
+};
+
+export type ConfigComparable = {
+  confirmations?: bigint;
+  requiredDVNCount: number;
+  optionalDVNCount: number;
+  optionalDVNThreshold: number;
+  requiredDVNs: string[];
+  optionalDVNs: string[];
+  usesSentinel: boolean;
+};
+
+export type MergeResult = {
+  effectiveLibrary?: string;
+  libraryStatus: "tracked" | "unsupported" | "none";
+  effectiveConfirmations?: bigint;
+  effectiveRequiredDVNCount?: number;
+  effectiveOptionalDVNCount: number;
+  effectiveOptionalDVNThreshold?: number;
+  effectiveRequiredDVNs: string[];
+  effectiveOptionalDVNs: string[];
+  usesRequiredDVNSentinel: boolean;
+  usesOptionalDVNSentinel: boolean;
+  usesConfirmationsSentinel: boolean;
+  isConfigTracked: boolean;
+  fallbackFieldSet: Set<FallbackField>;
+  comparable: ConfigComparable;
+};
+
+export const uniqueNormalizedAddresses = (input: readonly string[] | undefined): string[] => {
+  if (!input || input.length === 0) return [];
+  const seen = new Set<string>();
+  for (const value of input) {
+    const normalized = normalizeAddress(value);
+    if (!normalized || isZeroAddress(normalized) || seen.has(normalized)) {
+      continue;
+    }
+    seen.add(normalized);
+  }
+  return Array.from(seen).sort();
+};
+
+export const emptyNormalizedConfig = (): NormalizedConfig => ({
+  confirmations: undefined,
+  requiredDVNCount: undefined,
+  optionalDVNCount: undefined,
+  optionalDVNThreshold: undefined,
+  requiredDVNs: [],
+  optionalDVNs: [],
+  hasValues: false,
+});
+
+export const createNormalizedConfig = (
+  input?: {
+    confirmations?: bigint | null;
+    requiredDVNCount?: number | null;
+    optionalDVNCount?: number | null;
+    optionalDVNThreshold?: number | null;
+    requiredDVNs?: readonly string[] | null;
+    optionalDVNs?: readonly string[] | null;
+  } | null,
+): NormalizedConfig => {
+  if (!input) return emptyNormalizedConfig();
+
+  const confirmations =
+    input.confirmations !== undefined && input.confirmations !== null
+      ? BigInt(input.confirmations)
+      : undefined;
+  const requiredDVNCount =
+    input.requiredDVNCount !== undefined && input.requiredDVNCount !== null
+      ? Number(input.requiredDVNCount)
+      : undefined;
+  const optionalDVNCount =
+    input.optionalDVNCount !== undefined && input.optionalDVNCount !== null
+      ? Number(input.optionalDVNCount)
+      : undefined;
+  const optionalDVNThreshold =
+    input.optionalDVNThreshold !== undefined && input.optionalDVNThreshold !== null
+      ? Number(input.optionalDVNThreshold)
+      : undefined;
+
+  const requiredDVNs = uniqueNormalizedAddresses(input.requiredDVNs ?? []);
+  const optionalDVNs = uniqueNormalizedAddresses(input.optionalDVNs ?? []);
+
+  // A config "has values" if any field is explicitly set (including sentinel values)
+  // 0/undefined means "inherit from default" and doesn't count as having a value
+  const hasValues =
+    (confirmations !== undefined && confirmations !== 0n) ||
+    (requiredDVNCount !== undefined &&
+      (requiredDVNCount > 0 || requiredDVNCount === SENTINEL_REQUIRED_DVN_COUNT)) ||
+    (optionalDVNCount !== undefined &&
+      (optionalDVNCount > 0 || optionalDVNCount === SENTINEL_OPTIONAL_DVN_COUNT)) ||
+    (optionalDVNThreshold !== undefined && optionalDVNThreshold > 0) ||
+    requiredDVNs.length > 0 ||
+    optionalDVNs.length > 0;
+
+  return {
+    confirmations,
+    requiredDVNCount,
+    optionalDVNCount,
+    optionalDVNThreshold,
+    requiredDVNs,
+    optionalDVNs,
+    hasValues,
+  };
+};
+
+/**
+ * Library resolution (LayerZero V2 semantics):
+ * - Zero address override means "unset override, use default"
+ * - Zero address default means "no default configured" → blocked
+ * - Result: zero addresses are never valid libraries (unlike peers where zero = explicit block)
+ */
+export const pickEffectiveLibrary = (
+  defaultLibrary: string | undefined,
+  overrideLibrary: string | undefined,
+): string | undefined => {
+  if (overrideLibrary && !isZeroAddress(overrideLibrary)) return overrideLibrary;
+  if (defaultLibrary && !isZeroAddress(defaultLibrary)) return defaultLibrary;
+  return undefined;
+};
+
+export const isTrackedReceiveLibrary = (localEid: bigint, library?: string): boolean => {
+  if (!library) return false;
+  return findTrackedReceiveLibrary(localEid, library) !== undefined;
+};
+
+export const isTrackedSendLibrary = (localEid: bigint, library?: string): boolean => {
+  if (!library) return false;
+  const tracked = getTrackedSendLibraryAddress(localEid);
+  return tracked !== undefined && tracked === library;
+};
+
+export const emptyConfigComparable = (): ConfigComparable => ({
+  confirmations: undefined,
+  requiredDVNCount: 0,
+  optionalDVNCount: 0,
+  optionalDVNThreshold: 0,
+  requiredDVNs: [],
+  optionalDVNs: [],
+  usesSentinel: false,
+});
+
+export const formatFallbackFields = (fields: Set<FallbackField>): string[] => {
+  const result: string[] = [];
+  for (const field of FALLBACK_FIELD_ORDER) {
+    if (fields.has(field)) {
+      result.push(field);
+    }
+  }
+  return result;
+};
+
+export const arraysEqual = (a: string[], b: string[]): boolean => {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i += 1) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+};
+
+export const configsAreEqual = (a: ConfigComparable, b: ConfigComparable): boolean =>
+  a.usesSentinel === b.usesSentinel &&
+  a.requiredDVNCount === b.requiredDVNCount &&
+  a.optionalDVNCount === b.optionalDVNCount &&
+  a.optionalDVNThreshold === b.optionalDVNThreshold &&
+  arraysEqual(a.requiredDVNs, b.requiredDVNs) &&
+  arraysEqual(a.optionalDVNs, b.optionalDVNs) &&
+  ((a.confirmations === undefined && b.confirmations === undefined) ||
+    (a.confirmations !== undefined &&
+      b.confirmations !== undefined &&
+      a.confirmations === b.confirmations));
+
+/**
+ * Merges default and OApp-specific library/config settings to compute effective values.
+ *
+ * Library resolution:
+ * - If OApp has non-zero override: use override
+ * - Else if default exists: use default (marks fallback)
+ * - Else: undefined (no library configured)
+ *
+ * Config resolution (per field):
+ * - If OApp field is non-zero/non-sentinel: use OApp value
+ * - Else: fall back to default value (marks fallback)
+ *
+ * This ensures that defaults set BEFORE an OApp is first seen are correctly
+ * applied when the OApp's security config is later computed.
+ *
+ * The same rules apply to SendUln302; `direction` selects which tracked
+ * library the effective library is checked against.
+ */
+export const mergeSecurityConfig = (
+  context: MergeLogContext | undefined,
+  localEid: bigint,
+  eid: bigint,
+  oappId: string | undefined,
+  defaults: {
+    library?: string;
+    config: NormalizedConfig;
+  },
+  overrides?: {
+    library?: string;
+    config: NormalizedConfig;
+  },
+  direction: LibraryDirection = "receive",
+): MergeResult => {
+  const fallbackFields = new Set<FallbackField>();
+  const libraryFallbackField: FallbackField =
+    direction === "send" ? "sendLibrary" : "receiveLibrary";
+
+  const defaultLibrary = defaults.library ? normalizeAddress(defaults.library) : undefined;
+  const overrideLibrary = overrides?.library ? normalizeAddress(overrides.library) : undefined;
+
+  const effectiveLibrary = pickEffectiveLibrary(defaultLibrary, overrideLibrary);
+  if (effectiveLibrary && effectiveLibrary !== overrideLibrary) {
+    fallbackFields.add(libraryFallbackField);
+  }
+
+  const isConfigTracked =
+    direction === "send"
+      ? isTrackedSendLibrary(localEid, effectiveLibrary)
+      : isTrackedReceiveLibrary(localEid, effectiveLibrary);
+
+  let libraryStatus: "tracked" | "unsupported" | "none";
+  if (!effectiveLibrary) {
+    libraryStatus = "none";
+  } else if (isConfigTracked) {
+    libraryStatus = "tracked";
+  } else {
+    libraryStatus = "unsupported";
+  }
+
+  if (!isConfigTracked) {
+    return {
+      effectiveLibrary,
+      libraryStatus,
+      effectiveConfirmations: undefined,
+      effectiveRequiredDVNCount: undefined,
+      effectiveOptionalDVNCount: 0,
+      effectiveOptionalDVNThreshold: undefined,
+      effectiveRequiredDVNs: [],
+      effectiveOptionalDVNs: [],
+      usesRequiredDVNSentinel: false,
+      usesOptionalDVNSentinel: false,
+      usesConfirmationsSentinel: false,
+      isConfigTracked: false,
+      fallbackFieldSet: fallbackFields,
+      comparable: emptyConfigComparable(),
+    };
+  }
+
+  const defaultConfig = defaults.config ?? emptyNormalizedConfig();
+  const overrideConfig = overrides?.config ?? emptyNormalizedConfig();
+
+  const overrideHasConfig = overrideConfig.hasValues;
+
+  const overrideConfirmations = overrideConfig.confirmations;
+  const defaultConfirmations = defaultConfig.confirmations;
+  let effectiveConfirmations: bigint | undefined;
+  let usesConfirmationsSentinel = false;
+  if (overrideConfirmations !== undefined && overrideConfirmations !== 0n) {
+    // Sentinel value means explicitly set to zero confirmations
+    usesConfirmationsSentinel = overrideConfirmations === SENTINEL_CONFIRMATIONS;
+    effectiveConfirmations =
+      overrideConfirmations === SENTINEL_CONFIRMATIONS ? 0n : overrideConfirmations;
+  } else if (defaultConfirmations !== undefined) {
+    // Sentinel value in default also means zero confirmations
+    usesConfirmationsSentinel = defaultConfirmations === SENTINEL_CONFIRMATIONS;
+    effectiveConfirmations =
+      defaultConfirmations === SENTINEL_CONFIRMATIONS ? 0n : defaultConfirmations;
+    if (
+      overrideHasConfig &&
+      (overrideConfirmations === undefined || overrideConfirmations === 0n)
+    ) {
+      fallbackFields.add("confirmations");
+    }
+  } else {
+    effectiveConfirmations = undefined;
+  }
+
+  const overrideRequiredCount = overrideConfig.requiredDVNCount;
+  const defaultRequiredCount = defaultConfig.requiredDVNCount;
+  let rawRequiredCount: number | undefined;
+  if (
+    overrideRequiredCount !== undefined &&
+    (overrideRequiredCount > 0 || overrideRequiredCount === SENTINEL_REQUIRED_DVN_COUNT)
+  ) {
+    rawRequiredCount = overrideRequiredCount;
+  } else if (defaultRequiredCount !== undefined) {
+    rawRequiredCount = defaultRequiredCount;
+    if (overrideHasConfig && (overrideRequiredCount === undefined || overrideRequiredCount === 0)) {
+      fallbackFields.add("requiredDVNCount");
+    }
+  }
+
+  const overrideOptionalCount = overrideConfig.optionalDVNCount;
+  const defaultOptionalCount = defaultConfig.optionalDVNCount;
+  let rawOptionalCount: number | undefined;
+  let usesOptionalDVNSentinel = false;
+  if (
+    overrideOptionalCount !== undefined &&
+    (overrideOptionalCount > 0 || overrideOptionalCount === SENTINEL_OPTIONAL_DVN_COUNT)
+  ) {
+    // Sentinel value means explicitly set to zero optional DVNs
+    usesOptionalDVNSentinel = overrideOptionalCount === SENTINEL_OPTIONAL_DVN_COUNT;
+    rawOptionalCount =
+      overrideOptionalCount === SENTINEL_OPTIONAL_DVN_COUNT ? 0 : overrideOptionalCount;
+  } else if (defaultOptionalCount !== undefined) {
+    // Sentinel value in default also means zero optional DVNs
+    usesOptionalDVNSentinel = defaultOptionalCount === SENTINEL_OPTIONAL_DVN_COUNT;
+    rawOptionalCount =
+      defaultOptionalCount === SENTINEL_OPTIONAL_DVN_COUNT ? 0 : defaultOptionalCount;
+    if (overrideHasConfig && (overrideOptionalCount === undefined || overrideOptionalCount === 0)) {
+      fallbackFields.add("optionalDVNCount");
+    }
+  }
+
+  const overrideOptionalThreshold = overrideConfig.optionalDVNThreshold;
+  const defaultOptionalThreshold = defaultConfig.optionalDVNThreshold;
+  let effectiveOptionalDVNThreshold: number | undefined;
+  if (overrideOptionalThreshold !== undefined && overrideOptionalThreshold > 0) {
+    effectiveOptionalDVNThreshold = overrideOptionalThreshold;
+  } else if (defaultOptionalThreshold !== undefined) {
+    effectiveOptionalDVNThreshold = defaultOptionalThreshold;
+    if (
+      overrideHasConfig &&
+      (overrideOptionalThreshold === undefined || overrideOptionalThreshold === 0)
+    ) {
+      fallbackFields.add("optionalDVNThreshold");
+    }
+  }
+
+  const overrideRequiredDVNs = overrideConfig.requiredDVNs;
+  const defaultRequiredDVNs = defaultConfig.requiredDVNs;
+  const usesRequiredDVNSentinel = rawRequiredCount === SENTINEL_REQUIRED_DVN_COUNT;
+
+  let effectiveRequiredDVNs: string[] = [];
+  if (usesRequiredDVNSentinel) {
+    effectiveRequiredDVNs = [];
+  } else if (overrideRequiredDVNs.length > 0) {
+    effectiveRequiredDVNs = overrideRequiredDVNs;
+  } else if (
+    defaultRequiredDVNs.length > 0 ||
+    (defaultRequiredCount !== undefined && defaultRequiredCount > 0)
+  ) {
+    effectiveRequiredDVNs = defaultRequiredDVNs;
+    if (overrideHasConfig && overrideRequiredDVNs.length === 0) {
+      fallbackFields.add("requiredDVNs");
+    }
+  }
+
+  const overrideOptionalDVNs = overrideConfig.optionalDVNs;
+  const defaultOptionalDVNs = defaultConfig.optionalDVNs;
+  let effectiveOptionalDVNs: string[] = [];
+  if (usesOptionalDVNSentinel) {
+    // Like the required sentinel, the NIL count wins over any inherited optional DVN list
+    effectiveOptionalDVNs = [];
+  } else if (overrideOptionalDVNs.length > 0) {
+    effectiveOptionalDVNs = overrideOptionalDVNs;
+  } else if (
+    defaultOptionalDVNs.length > 0 ||
+    (defaultOptionalCount !== undefined && defaultOptionalCount > 0)
+  ) {
+    effectiveOptionalDVNs = defaultOptionalDVNs;
+    if (overrideHasConfig && overrideOptionalDVNs.length === 0) {
+      fallbackFields.add("optionalDVNs");
+    }
+  }
+
+  let effectiveRequiredDVNCount: number | undefined;
+  if (usesRequiredDVNSentinel) {
+    effectiveRequiredDVNCount = 0;
+  } else if (effectiveRequiredDVNs.length > 0) {
+    effectiveRequiredDVNCount = effectiveRequiredDVNs.length;
+  } else if (rawRequiredCount !== undefined) {
+    effectiveRequiredDVNCount = rawRequiredCount;
+  } else {
+    effectiveRequiredDVNCount = undefined;
+  }
+
+  let effectiveOptionalDVNCount: number = effectiveOptionalDVNs.length;
+  if (effectiveOptionalDVNCount === 0 && rawOptionalCount !== undefined) {
+    effectiveOptionalDVNCount = rawOptionalCount;
+  }
+
+  // Cap threshold to count if misconfigured
+  if (effectiveOptionalDVNThreshold !== undefined && effectiveOptionalDVNCount >= 0) {
+    if (effectiveOptionalDVNThreshold > effectiveOptionalDVNCount) {
+      const originalThreshold = effectiveOptionalDVNThreshold;
+      effectiveOptionalDVNThreshold = effectiveOptionalDVNCount;
+
+      if (context) {
+        context.log.warn(
+          "UlnConfig auto-correction: optionalDVNThreshold capped to optionalDVNCount",
+          {
+            localEid: localEid.toString(),
+            eid: eid.toString(),
+            oappId: oappId ?? "default",
+            originalThreshold,
+            cappedThreshold: effectiveOptionalDVNThreshold,
+            optionalDVNCount: effectiveOptionalDVNCount,
+          },
+        );
+      }
+    }
+  }
+
+  const comparable: ConfigComparable = {
+    confirmations: effectiveConfirmations,
+    requiredDVNCount: effectiveRequiredDVNCount !== undefined ? effectiveRequiredDVNCount : 0,
+    optionalDVNCount: effectiveOptionalDVNCount,
+    optionalDVNThreshold:
+      effectiveOptionalDVNThreshold !== undefined ? effectiveOptionalDVNThreshold : 0,
+    requiredDVNs: effectiveRequiredDVNs,
+    optionalDVNs: effectiveOptionalDVNs,
+    usesSentinel: usesRequiredDVNSentinel,
+  };
+
+  return {
+    effectiveLibrary,
+    libraryStatus,
+    effectiveConfirmations,
+    effectiveRequiredDVNCount,
+    effectiveOptionalDVNCount,
+    effectiveOptionalDVNThreshold,
+    effectiveRequiredDVNs,
+    effectiveOptionalDVNs,
+    usesRequiredDVNSentinel,
+    usesOptionalDVNSentinel,
+    usesConfirmationsSentinel,
+    isConfigTracked: true,
+    fallbackFieldSet: fallbackFields,
+    comparable,
+  };
+};
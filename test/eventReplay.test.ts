@@ -0,0 +1,25 @@
+import { join } from "node:path";
+import { expect } from "chai";
+import { loadReplayRecordings, pickReplayedEntity, replayEvents } from "./helpers/eventReplay";
+
+const RECORDINGS_DIR = join(__dirname, "fixtures", "replays");
+
+describe("indexer event replay", () => {
+  for (const recording of loadReplayRecordings(RECORDINGS_DIR)) {
+    describe(recording.name, () => {
+      let mockDb: unknown;
+
+      before(async () => {
+        mockDb = await replayEvents(recording.events);
+      });
+
+      for (const [entityName, entities] of Object.entries(recording.expect)) {
+        for (const [id, expected] of Object.entries(entities)) {
+          it(`${entityName} ${id}`, () => {
+            expect(pickReplayedEntity(mockDb, entityName, id, expected)).to.deep.equal(expected);
+          });
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,5 @@
+// dashboard/config.js reads the page URL and <html> dataset at import time
+const globals = globalThis as Record<string, unknown>;
+
+globals.window ??= { location: { search: "", hostname: "localhost" } };
+globals.document ??= { documentElement: { dataset: {} } };
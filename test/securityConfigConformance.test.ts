@@ -0,0 +1,141 @@
+import "./helpers/dashboardGlobals";
+import { expect } from "chai";
+import { normalizeSecurityConfig } from "../dashboard/security/SecurityConfigNormalizer.js";
+import { getTrackedReceiveLibraries } from "../dashboard/trackedLibraries.js";
+import {
+  configsAreEqual,
+  createNormalizedConfig,
+  formatFallbackFields,
+  mergeSecurityConfig,
+} from "../src/securityConfigMerge";
+import fixtures from "./fixtures/securityConfigMerge.json";
+
+type FixtureConfig = {
+  confirmations?: string;
+  requiredDVNCount?: number;
+  optionalDVNCount?: number;
+  optionalDVNThreshold?: number;
+  requiredDVNs?: string[];
+  optionalDVNs?: string[];
+};
+
+type FixtureSide = {
+  library: string | null;
+  config: FixtureConfig | null;
+};
+
+type FixtureCase = {
+  name: string;
+  defaults: FixtureSide;
+  overrides: FixtureSide | null;
+  expected: Record<string, unknown>;
+};
+
+const LOCAL_EID = fixtures.localEid;
+const EID = fixtures.eid;
+const OAPP_ADDRESS = "0x00000000000000000000000000000000000000a1";
+
+const toIndexerInput = (side: FixtureSide | null) => ({
+  library: side?.library ?? undefined,
+  config: createNormalizedConfig(
+    side?.config
+      ? {
+          ...side.config,
+          confirmations:
+            side.config.confirmations !== undefined ? BigInt(side.config.confirmations) : undefined,
+        }
+      : undefined,
+  ),
+});
+
+// Mirrors computeAndPersistEffectiveConfig: the route always carries an (possibly empty) override
+const runIndexer = (testCase: FixtureCase) => {
+  const localEid = BigInt(LOCAL_EID);
+  const eid = BigInt(EID);
+  const defaults = toIndexerInput(testCase.defaults);
+  const resolved = mergeSecurityConfig(
+    undefined,
+    localEid,
+    eid,
+    `${LOCAL_EID}_${OAPP_ADDRESS}`,
+    defaults,
+    toIndexerInput(testCase.overrides),
+  );
+  const defaultResolved = mergeSecurityConfig(undefined, localEid, eid, undefined, defaults);
+
+  return {
+    libraryStatus: resolved.libraryStatus,
+    effectiveLibrary: resolved.effectiveLibrary ?? null,
+    confirmations: resolved.effectiveConfirmations?.toString() ?? null,
+    requiredDVNCount: resolved.effectiveRequiredDVNCount ?? null,
+    optionalDVNCount: resolved.effectiveOptionalDVNCount,
+    optionalDVNThreshold: resolved.effectiveOptionalDVNThreshold ?? null,
+    requiredDVNs: resolved.effectiveRequiredDVNs,
+    optionalDVNs: resolved.effectiveOptionalDVNs,
+    usesRequiredDVNSentinel: resolved.usesRequiredDVNSentinel,
+    usesOptionalDVNSentinel: resolved.usesOptionalDVNSentinel,
+    usesConfirmationsSentinel: resolved.usesConfirmationsSentinel,
+    usesDefaultConfig:
+      resolved.isConfigTracked &&
+      defaultResolved.isConfigTracked &&
+      configsAreEqual(resolved.comparable, defaultResolved.comparable),
+    fallbackFields: formatFallbackFields(resolved.fallbackFieldSet),
+  };
+};
+
+// Fixture configs describe what is stored under whichever library ends up effective
+const toDashboardConfigs = (testCase: FixtureCase, side: FixtureSide | null) => {
+  const config = side?.config;
+  if (!config) {
+    return [];
+  }
+  return [testCase.defaults.library, testCase.overrides?.library]
+    .filter(Boolean)
+    .map((library) => ({ library, ...config }));
+};
+
+const runDashboard = (testCase: FixtureCase) => {
+  const row = normalizeSecurityConfig({
+    eid: EID,
+    config: null,
+    peerRecord: null,
+    oappId: `${LOCAL_EID}_${OAPP_ADDRESS}`,
+    oappAddress: OAPP_ADDRESS,
+    localEid: LOCAL_EID,
+    trackedReceiveLibraries: getTrackedReceiveLibraries(LOCAL_EID),
+    defaultLibrary: testCase.defaults.library ? { library: testCase.defaults.library } : null,
+    defaultConfigs: toDashboardConfigs(testCase, testCase.defaults),
+    overrideLibrary: testCase.overrides?.library ? { library: testCase.overrides.library } : null,
+    overrideConfigs: toDashboardConfigs(testCase, testCase.overrides),
+  });
+
+  return {
+    libraryStatus: row.libraryStatus,
+    effectiveLibrary: row.effectiveReceiveLibrary,
+    confirmations: row.effectiveConfirmations,
+    requiredDVNCount: row.effectiveRequiredDVNCount,
+    optionalDVNCount: row.effectiveOptionalDVNCount,
+    optionalDVNThreshold: row.effectiveOptionalDVNThreshold,
+    requiredDVNs: row.effectiveRequiredDVNs,
+    optionalDVNs: row.effectiveOptionalDVNs,
+    usesRequiredDVNSentinel: row.usesRequiredDVNSentinel,
+    usesOptionalDVNSentinel: row.usesOptionalDVNSentinel,
+    usesConfirmationsSentinel: row.usesConfirmationsSentinel,
+    usesDefaultConfig: row.usesDefaultConfig,
+    fallbackFields: row.fallbackFields,
+  };
+};
+
+describe("security config merge conformance", () => {
+  for (const testCase of fixtures.cases as FixtureCase[]) {
+    describe(testCase.name, () => {
+      it("indexer mergeSecurityConfig matches the fixture", () => {
+        expect(runIndexer(testCase)).to.deep.equal(testCase.expected);
+      });
+
+      it("dashboard normalizer matches the fixture", () => {
+        expect(runDashboard(testCase)).to.deep.equal(testCase.expected);
+      });
+    });
+  }
+});
@@ -0,0 +1,145 @@
+import "./helpers/dashboardGlobals";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { TOP_OAPPS_QUERY } from "../dashboard/queries/topOApps.js";
+import { SnapshotClient } from "../dashboard/snapshot/SnapshotClient.js";
+
+const SNAPSHOT_DIR = join(__dirname, "fixtures", "snapshot");
+const globals = globalThis as Record<string, unknown>;
+
+// Serves snapshot files from disk and records which ones were read
+const stubFetch = (requested: string[]) => async (url: string) => {
+  const path = fileURLToPath(url);
+  requested.push(path.slice(SNAPSHOT_DIR.length + 1));
+  try {
+    const body = readFileSync(path, "utf8");
+    return { ok: true, status: 200, statusText: "OK", json: async () => JSON.parse(body) };
+  } catch {
+    return { ok: false, status: 404, statusText: "Not Found", json: async () => null };
+  }
+};
+
+describe("SnapshotClient", () => {
+  let originalFetch: unknown;
+  let requested: string[];
+  let client: SnapshotClient;
+
+  beforeEach(() => {
+    originalFetch = globals.fetch;
+    requested = [];
+    globals.fetch = stubFetch(requested);
+    client = new SnapshotClient(pathToFileURL(SNAPSHOT_DIR).toString());
+  });
+
+  afterEach(() => {
+    globals.fetch = originalFetch;
+  });
+
+  it("orders bigint strings numerically and applies filters and limits", async () => {
+    const data = await client.query(TOP_OAPPS_QUERY, { limit: 2, minPackets: 1000 });
+
+    expect(data.OAppStats.map((row: { id: string }) => row.id)).to.deep.equal([
+      "30101_0x00000000000000000000000000000000000000a2",
+      "30110_0x00000000000000000000000000000000000000b1",
+    ]);
+    expect(data.OAppStats[0]).to.have.all.keys(
+      "id",
+      "localEid",
+      "address",
+      "totalPacketsReceived",
+      "lastPacketBlock",
+      "lastPacketTimestamp",
+    );
+  });
+
+  it("reads only the shards an oappId filter can match", async () => {
+    const data = await client.query(
+      `query Routes($oappId: String!) {
+        routes: OAppSecurityConfig(
+          where: { _and: [{ oappId: { _eq: $oappId } }, { libraryStatus: { _neq: "unsupported" } }] }
+          order_by: { eid: asc }
+        ) {
+          eid
+          peerOappId
+          missingColumn
+        }
+      }`,
+      { oappId: "30101_0x00000000000000000000000000000000000000a1" },
+    );
+
+    expect(data.routes).to.deep.equal([
+      {
+        eid: "30110",
+        peerOappId: "30110_0x00000000000000000000000000000000000000b1",
+        missingColumn: null,
+      },
+    ]);
+    expect(requested).to.deep.equal(["manifest.json", "OAppSecurityConfig/30101.json"]);
+  });
+
+  it("answers aliased root fields that need every shard", async () => {
+    const data = await client.query(
+      `query Batch($oappIds: [String!]!) {
+        origin: OAppSecurityConfig(where: { oappId: { _in: $oappIds } }) { id }
+        referencing: OAppSecurityConfig(where: { peerOappId: { _in: $oappIds } }) { id }
+      }`,
+      { oappIds: ["30110_0x00000000000000000000000000000000000000b1"] },
+    );
+
+    expect(data.origin).to.deep.equal([
+      { id: "30110_0x00000000000000000000000000000000000000b1_30101" },
+    ]);
+    expect(data.referencing).to.deep.equal([
+      { id: "30101_0x00000000000000000000000000000000000000a1_30110" },
+    ]);
+  });
+
+  it("matches array columns with _contains and reads unsharded entities", async () => {
+    const configs = await client.query(
+      `{ OAppSecurityConfig(where: { effectiveRequiredDVNs: { _contains: ["0x00000000000000000000000000000000000000d2"] } }) { oappId } }`,
+    );
+    const dvns = await client.query(
+      `{ Dvn(order_by: { packetsSecured: asc }, offset: 1) { id packetsSecured } }`,
+    );
+
+    expect(configs.OAppSecurityConfig).to.deep.equal([
+      { oappId: "30110_0x00000000000000000000000000000000000000b1" },
+    ]);
+    expect(dvns.Dvn).to.deep.equal([
+      { id: "30101_0x00000000000000000000000000000000000000d1", packetsSecured: "42" },
+    ]);
+  });
+
+  it("reports the export time as now once the manifest has loaded", async () => {
+    await client.loadManifest();
+
+    expect(client.now()).to.equal(Date.parse("2026-01-15T12:00:00.000Z"));
+  });
+
+  it("rejects entities missing from the snapshot", async () => {
+    const error = await client.query("{ PacketDelivered(limit: 1) { id } }").then(
+      () => null,
+      (caught: Error) => caught,
+    );
+
+    expect(error).to.have.property("name", "GraphQLRequestError");
+    expect(error?.message).to.equal("PacketDelivered is not included in this snapshot");
+  });
+
+  it("rejects aborted queries without fetching", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await client
+      .query(TOP_OAPPS_QUERY, { limit: 1, minPackets: 0 }, { signal: controller.signal })
+      .then(
+        () => null,
+        (caught: Error) => caught,
+      );
+
+    expect(error).to.have.property("name", "AbortError");
+    expect(requested).to.deep.equal([]);
+  });
+});